@@ -170,6 +170,25 @@ const PARALLEL_ENABLED_KEY = 'bibleReader.parallelEnabled';
 const PARALLEL_VERSION_KEY = 'bibleReader.parallelVersionId';
 const PARALLEL_DEFAULT_VERSION = 'en-kjv';
 
+// Copy/share citation keys
+const CITATION_STYLE_KEY = 'bibleReader.citationStyle';
+const CITATION_VERSE_NUMBERS_KEY = 'bibleReader.citationVerseNumbers';
+const CITATION_STYLES = { inline: 'Inline', block: 'Block quote', markdown: 'Markdown' };
+const CITATION_STYLE_DEFAULT = 'inline';
+
+// Verse highlight keys
+const HIGHLIGHTS_ALL_VERSIONS_KEY = 'bibleReader.highlightsAllVersions';
+const HIGHLIGHT_COLORS = { yellow: 'Yellow', green: 'Green', blue: 'Blue', pink: 'Pink', purple: 'Purple' };
+
+// Verse note keys
+const NOTES_SORT_KEY = 'bibleReader.notesSort';
+
+// Backup encryption
+const BACKUP_PASSPHRASE_MIN_LENGTH = 8;
+
+// Sync: wait this long after a change so a burst of edits is uploaded once
+const SYNC_DEBOUNCE_MS = 30 * 1000;
+
 // ========================================
 // Search State (must be at top for init order)
 // ========================================
@@ -178,6 +197,24 @@ let currentMatchIndex = 0;
 let lastSearchTerm = '';
 let searchActive = false;
 
+// Whole-Bible search state
+const SEARCH_SCOPE_KEY = 'bibleReader.searchScope';
+const SEARCH_SCOPE_CHAPTER = 'chapter';
+const SEARCH_SCOPE_BIBLE = 'bible';
+const SEARCH_SCOPE_VERSIONS = 'versions'; // Whole-Bible search listing every installed version
+let searchScope = SEARCH_SCOPE_CHAPTER;
+let bibleSearchResults = [];
+let bibleSearchPage = 0;
+let bibleSearchGeneration = 0; // Incremented per search so stale scans can bail out
+let bibleSearchWorker = null; // Lazily created search worker (scripts/search/search-worker.js)
+let bibleSearchWorkerFailed = false; // True when workers are unavailable; search runs on the main thread
+let activeBibleSearch = null; // { id, term } of the worker search currently streaming results
+let crossVersionRenderToken = 0; // Incremented per results render so stale parallel-text loads stop
+let bibleSearchDebounceTimer = null;
+const BIBLE_SEARCH_DEBOUNCE_MS = 400;
+const BIBLE_SEARCH_MIN_LENGTH = 2; // Shortest term searched while typing
+let pendingTargetVerse = null; // Verse to highlight once parallel panes finish loading
+
 /**
  * Get saved font size from localStorage
  * @returns {string} Font size or FONT_SIZE_MEDIUM if not saved
@@ -545,6 +582,9 @@ function hideParallelView() {
 
   // Hide back-to-top button for parallel view
   hideParallelBackToTop();
+
+  // A selection made in the secondary pane no longer has a pane to come from
+  refreshVerseSelection();
 }
 
 /**
@@ -690,6 +730,7 @@ async function loadVersesToContainer(bookName, chapter, versionId, container) {
       const verseText = chapterData[verseNum];
       const verseDiv = document.createElement('div');
       verseDiv.className = `verse v${verseNum}`;
+      verseDiv.dataset.verse = verseNum;
 
       const verseNumSpan = document.createElement('span');
       verseNumSpan.className = 'verse-num';
@@ -704,6 +745,11 @@ async function loadVersesToContainer(bookName, chapter, versionId, container) {
       container.innerHTML = '<p class="error">No verses found.</p>';
     }
 
+    // Paint saved highlights and note indicators, and re-mark selected verses in the freshly rendered pane
+    renderHighlights(container, versionId);
+    renderNoteIndicators(container);
+    refreshVerseSelection();
+
     console.log('[Parallel] Loaded', verseNums.length, 'verses for', versionId);
 
   } catch (error) {
@@ -920,74 +966,165 @@ function initFontSize() {
   });
 }
 
+// ========================================
+// User Data (IndexedDB)
+// ========================================
+//
+// Bookmarks, notes and highlights live in IndexedDB (window.BibleDB, see
+// storage/bible-db.js). Rendering reads them synchronously, so they are loaded
+// into userRecords once at startup and every save writes the whole store back.
+
+const userRecords = { bookmarks: [], notes: [], highlights: [] };
+
+/**
+ * Load bookmarks, notes and highlights from IndexedDB into userRecords.
+ * Called once at startup, before the first chapter is displayed.
+ * @returns {Promise<void>}
+ */
+async function loadUserRecords() {
+  if (!window.BibleDB) return;
+
+  await Promise.all(Object.keys(userRecords).map(async storeName => {
+    try {
+      userRecords[storeName] = await BibleDB.getAll(storeName);
+    } catch (e) {
+      console.error(`[Storage] Error loading ${storeName}:`, e);
+    }
+  }));
+}
+
+/**
+ * Replace the cached records of a store and write them to IndexedDB
+ * @param {string} storeName - 'bookmarks', 'notes' or 'highlights'
+ * @param {Array} records - All records of the store
+ * @returns {Promise<boolean>} Whether the write succeeded
+ */
+async function saveUserRecords(storeName, records) {
+  userRecords[storeName] = records;
+  if (!window.BibleDB) return false;
+
+  try {
+    await BibleDB.replaceAll(storeName, records);
+    scheduleSync();
+    return true;
+  } catch (e) {
+    console.error(`[Storage] Error saving ${storeName}:`, e);
+    return false;
+  }
+}
+
 // ========================================
 // Bookmark Management
 // ========================================
-const BOOKMARKS_STORAGE_KEY = 'bibleReader.bookmarks';
+//
+// Bookmarks are stored in the bookmarks store as
+// { id, bookId, bookName, chapter, verse, endVerse, folder, tags, label, createdAt, updatedAt }.
+// verse/endVerse are null for whole-chapter bookmarks (the ☆ button); the verse
+// toolbar saves verse ranges. Entries from before folders/tags existed only have
+// { id, bookId, bookName, chapter, createdAt } and are upgraded by loadBookmarks().
+const BOOKMARKS_FILTER_KEY = 'bibleReader.bookmarksFilter';
+
+// Bookmark open in the editor: an existing bookmark, or the reference of a new one
+let editingBookmark = null;
+
+/**
+ * Fill in fields added after the original chapter-only bookmark format
+ * @param {Object} bookmark - Stored bookmark
+ * @returns {Object} Bookmark with every current field
+ */
+function normalizeBookmark(bookmark) {
+  const verse = Number(bookmark.verse) || null;
+  return {
+    id: bookmark.id,
+    bookId: bookmark.bookId,
+    bookName: bookmark.bookName || bookmark.bookId,
+    chapter: Number(bookmark.chapter),
+    verse: verse,
+    endVerse: verse ? (Number(bookmark.endVerse) || verse) : null,
+    folder: typeof bookmark.folder === 'string' && bookmark.folder.trim() ? bookmark.folder.trim() : null,
+    tags: Array.isArray(bookmark.tags) ? bookmark.tags.filter(t => typeof t === 'string' && t) : [],
+    label: typeof bookmark.label === 'string' ? bookmark.label : '',
+    createdAt: bookmark.createdAt,
+    updatedAt: bookmark.updatedAt || bookmark.createdAt
+  };
+}
 
 /**
- * Load bookmarks from localStorage
+ * Load bookmarks, upgrading old entries in place
  * @returns {Array} Array of bookmark objects
  */
 function loadBookmarks() {
-  try {
-    const bookmarksJson = localStorage.getItem(BOOKMARKS_STORAGE_KEY);
-    if (bookmarksJson) {
-      return JSON.parse(bookmarksJson);
-    }
-  } catch (e) {
-    console.error('Error loading bookmarks:', e);
+  const stored = userRecords.bookmarks;
+  const bookmarks = stored.map(normalizeBookmark);
+
+  // Persist the upgrade once so other readers (backups, sync) see the new shape
+  if (stored.some(b => !('tags' in b) || !('verse' in b) || !('folder' in b))) {
+    saveBookmarks(bookmarks);
+    console.log('[Bookmarks] Migrated', stored.length, 'bookmarks to the verse/folder format');
   }
-  return [];
+  return bookmarks;
 }
 
 /**
- * Save bookmarks to localStorage
+ * Save bookmarks
  * @param {Array} bookmarks - Array of bookmark objects to save
  */
 function saveBookmarks(bookmarks) {
-  try {
-    localStorage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(bookmarks));
-  } catch (e) {
-    console.error('Error saving bookmarks:', e);
+  saveUserRecords('bookmarks', bookmarks);
+}
+
+/**
+ * Readable reference for a bookmark ("John 3", "John 3:16–18")
+ * @param {Object} bookmark - Bookmark object
+ * @returns {string}
+ */
+function getBookmarkReference(bookmark) {
+  if (!bookmark.verse) {
+    return `${bookmark.bookName} ${bookmark.chapter}`;
   }
+  const end = bookmark.endVerse && bookmark.endVerse !== bookmark.verse ? '–' + bookmark.endVerse : '';
+  return `${bookmark.bookName} ${bookmark.chapter}:${bookmark.verse}${end}`;
 }
 
 /**
- * Check if current chapter is bookmarked
+ * Check if current chapter has a whole-chapter bookmark
  * @returns {boolean} True if current chapter has a bookmark
  */
 function isCurrentChapterBookmarked() {
-  const bookmarks = loadBookmarks();
-  return bookmarks.some(b => b.bookId === currentBook && b.chapter === currentChapter);
+  return getCurrentBookmarkId() !== null;
 }
 
 /**
- * Get bookmark ID for current chapter
+ * Get the whole-chapter bookmark ID for current chapter
  * @returns {string|null} Bookmark ID or null if not found
  */
 function getCurrentBookmarkId() {
   const bookmarks = loadBookmarks();
-  const bookmark = bookmarks.find(b => b.bookId === currentBook && b.chapter === currentChapter);
+  const bookmark = bookmarks.find(b => b.bookId === currentBook && b.chapter === currentChapter && !b.verse);
   return bookmark ? bookmark.id : null;
 }
 
 /**
- * Add bookmark for current chapter
+ * Add a bookmark (whole current chapter when called without arguments)
+ * @param {Object} [details] - { verse, endVerse, folder, tags, label }
+ * @returns {Object} The new bookmark
  */
-function addBookmark() {
+function addBookmark(details = {}) {
   const bookmarks = loadBookmarks();
+  const now = new Date().toISOString();
   const id = `${currentBook}-${currentChapter}-${Date.now()}`;
-  const newBookmark = {
+  const newBookmark = normalizeBookmark(Object.assign({}, details, {
     id,
     bookId: currentBook,
     bookName: currentBook,
     chapter: currentChapter,
-    createdAt: new Date().toISOString()
-  };
+    createdAt: now,
+    updatedAt: now
+  }));
   bookmarks.unshift(newBookmark); // Add to beginning (most recent first)
   saveBookmarks(bookmarks);
   updateBookmarkButton();
+  return newBookmark;
 }
 
 /**
@@ -999,6 +1136,7 @@ function removeBookmark(id) {
   bookmarks = bookmarks.filter(b => b.id !== id);
   saveBookmarks(bookmarks);
   updateBookmarkButton();
+  refreshBookmarksListIfOpen();
 }
 
 /**
@@ -1023,6 +1161,128 @@ function updateBookmarkButton() {
   }
 }
 
+/**
+ * Split a comma-separated tag field into unique, trimmed tags
+ * @param {string} text - e.g. "faith, memory"
+ * @returns {Array<string>}
+ */
+function parseBookmarkTags(text) {
+  const tags = [];
+  (text || '').split(',').forEach(tag => {
+    const trimmed = tag.trim().replace(/^#/, '');
+    if (trimmed && !tags.some(t => t.toLowerCase() === trimmed.toLowerCase())) {
+      tags.push(trimmed);
+    }
+  });
+  return tags;
+}
+
+/**
+ * Folders and tags in use, for the editor suggestions and the list filter
+ * @param {Array} [bookmarks] - Defaults to all bookmarks
+ * @returns {Object} { folders: string[], tags: string[] } sorted alphabetically
+ */
+function getBookmarkFoldersAndTags(bookmarks = loadBookmarks()) {
+  const folders = new Set();
+  const tags = new Set();
+  bookmarks.forEach(b => {
+    if (b.folder) folders.add(b.folder);
+    b.tags.forEach(tag => tags.add(tag));
+  });
+  const byName = (a, b) => a.localeCompare(b);
+  return { folders: [...folders].sort(byName), tags: [...tags].sort(byName) };
+}
+
+/**
+ * Open the bookmark editor
+ * @param {Object} target - { bookmarkId } to edit, or { verse, endVerse } for a new
+ *   bookmark in the current chapter
+ */
+function openBookmarkEditor(target) {
+  let bookmark = null;
+  if (target.bookmarkId) {
+    bookmark = loadBookmarks().find(b => b.id === target.bookmarkId);
+    if (!bookmark) return;
+  }
+
+  editingBookmark = bookmark || normalizeBookmark({
+    id: null,
+    bookId: currentBook,
+    chapter: currentChapter,
+    verse: target.verse,
+    endVerse: target.endVerse
+  });
+
+  document.getElementById('bookmarkEditorTitle').textContent = 'Bookmark · ' + getBookmarkReference(editingBookmark);
+  document.getElementById('bookmarkLabelInput').value = editingBookmark.label;
+  document.getElementById('bookmarkFolderInput').value = editingBookmark.folder || '';
+  document.getElementById('bookmarkTagsInput').value = editingBookmark.tags.join(', ');
+  document.getElementById('bookmarkEditorDelete').style.display = bookmark ? '' : 'none';
+
+  // Suggest existing folders
+  const { folders } = getBookmarkFoldersAndTags();
+  const datalist = document.getElementById('bookmarkFolderOptions');
+  datalist.innerHTML = '';
+  folders.forEach(folder => {
+    const option = document.createElement('option');
+    option.value = folder;
+    datalist.appendChild(option);
+  });
+
+  lockBodyScroll();
+  document.getElementById('bookmarkEditorOverlay').classList.add('active');
+  setTimeout(() => document.getElementById('bookmarkLabelInput').focus(), 0);
+}
+
+/**
+ * Close the bookmark editor without saving
+ * @param {Event} event - Optional event object from click handler
+ */
+function closeBookmarkEditor(event) {
+  if (!event || event.target === event.currentTarget) {
+    document.getElementById('bookmarkEditorOverlay').classList.remove('active');
+    editingBookmark = null;
+    unlockBodyScroll();
+  }
+}
+
+/**
+ * Save the bookmark in the editor
+ */
+function saveBookmarkFromEditor() {
+  if (!editingBookmark) return;
+
+  const details = {
+    label: document.getElementById('bookmarkLabelInput').value.trim(),
+    folder: document.getElementById('bookmarkFolderInput').value.trim() || null,
+    tags: parseBookmarkTags(document.getElementById('bookmarkTagsInput').value)
+  };
+
+  if (editingBookmark.id) {
+    const bookmarks = loadBookmarks();
+    const existing = bookmarks.find(b => b.id === editingBookmark.id);
+    if (existing) {
+      Object.assign(existing, details, { updatedAt: new Date().toISOString() });
+      saveBookmarks(bookmarks);
+    }
+  } else {
+    addBookmark(Object.assign({ verse: editingBookmark.verse, endVerse: editingBookmark.endVerse }, details));
+  }
+
+  showToast(`Bookmarked ${getBookmarkReference(editingBookmark)}`);
+  closeBookmarkEditor();
+  refreshBookmarksListIfOpen();
+}
+
+/**
+ * Delete button in the bookmark editor
+ */
+function deleteBookmarkFromEditor() {
+  if (!editingBookmark || !editingBookmark.id) return;
+  removeBookmark(editingBookmark.id);
+  closeBookmarkEditor();
+}
+
 /**
  * Open bookmarks modal
  */
@@ -1048,38 +1308,192 @@ function closeBookmarksModal(event) {
 }
 
 /**
- * Render bookmarks list in modal
+ * Re-render the bookmarks list if the modal is open
+ */
+function refreshBookmarksListIfOpen() {
+  const overlay = document.getElementById('bookmarksModalOverlay');
+  if (overlay && overlay.classList.contains('active')) {
+    renderBookmarksList();
+  }
+}
+
+/**
+ * Saved list filter: '' (all), 'folder:<name>', 'unfiled' or 'tag:<name>'
+ * @returns {string}
+ */
+function getBookmarksFilter() {
+  try {
+    return localStorage.getItem(BOOKMARKS_FILTER_KEY) || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Filter select change handler
+ * @param {string} filter - See getBookmarksFilter()
+ */
+function changeBookmarksFilter(filter) {
+  try {
+    localStorage.setItem(BOOKMARKS_FILTER_KEY, filter);
+  } catch (e) {
+    console.warn('[Bookmarks] Could not save filter:', e.message);
+  }
+  renderBookmarksList();
+}
+
+/**
+ * Fill the folder/tag filter select, keeping the current choice if it still exists
+ * @param {Object} foldersAndTags - From getBookmarkFoldersAndTags()
+ * @param {string} filter - Current filter
+ * @returns {string} The filter actually applied
+ */
+function populateBookmarksFilter(foldersAndTags, filter) {
+  const select = document.getElementById('bookmarksFilterSelect');
+  select.innerHTML = '';
+
+  const addOption = (parent, value, text) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    parent.appendChild(option);
+  };
+
+  addOption(select, '', 'All bookmarks');
+  if (foldersAndTags.folders.length) {
+    const group = document.createElement('optgroup');
+    group.label = 'Folders';
+    foldersAndTags.folders.forEach(folder => addOption(group, 'folder:' + folder, folder));
+    addOption(group, 'unfiled', 'Unfiled');
+    select.appendChild(group);
+  }
+  if (foldersAndTags.tags.length) {
+    const group = document.createElement('optgroup');
+    group.label = 'Tags';
+    foldersAndTags.tags.forEach(tag => addOption(group, 'tag:' + tag, '#' + tag));
+    select.appendChild(group);
+  }
+
+  const available = [...select.options].some(option => option.value === filter);
+  select.value = available ? filter : '';
+  // Hide the filter until there is something to filter by
+  select.parentElement.style.display = select.options.length > 1 ? '' : 'none';
+  return select.value;
+}
+
+/**
+ * Render bookmarks list in modal, grouped by folder and filtered by folder or tag
  */
 function renderBookmarksList() {
   const bookmarks = loadBookmarks();
   const container = document.getElementById('bookmarksContainer');
+  const filter = populateBookmarksFilter(getBookmarkFoldersAndTags(bookmarks), getBookmarksFilter());
 
   if (bookmarks.length === 0) {
     container.innerHTML =
       '<div class="empty-state">' +
         '<p class="empty-title">You haven\'t saved any bookmarks yet.</p>' +
-        '<p class="empty-hint">Tap ★ while reading to save a favorite chapter.</p>' +
+        '<p class="empty-hint">Tap ☆ to save a chapter, or select verses and tap ★ in the toolbar.</p>' +
       '</div>';
     return;
   }
 
-  let html = '';
-  bookmarks.forEach(bookmark => {
-    html += `
-      <div class="bookmark-item">
-        <button class="bookmark-link" onclick="navigateToBookmark('${bookmark.id}')" aria-label="Go to ${bookmark.bookName} chapter ${bookmark.chapter}">
-          <span class="bookmark-text">${bookmark.bookName} ${bookmark.chapter}</span>
-        </button>
-        <button class="bookmark-delete" onclick="removeBookmark('${bookmark.id}'); event.stopPropagation();" aria-label="Remove bookmark for ${bookmark.bookName} chapter ${bookmark.chapter}" title="Remove bookmark">×</button>
-      </div>
-    `;
+  const visible = bookmarks.filter(b => {
+    if (filter === 'unfiled') return !b.folder;
+    if (filter.startsWith('folder:')) return b.folder === filter.slice(7);
+    if (filter.startsWith('tag:')) return b.tags.includes(filter.slice(4));
+    return true;
   });
 
-  container.innerHTML = html;
+  // Group by folder: named folders alphabetically, unfiled last
+  const groups = new Map();
+  visible.forEach(b => {
+    const key = b.folder || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(b);
+  });
+  const groupNames = [...groups.keys()].sort((a, b) => (a === '') - (b === '') || a.localeCompare(b));
+  const showHeadings = groupNames.length > 1 || groupNames[0] !== '';
+
+  container.innerHTML = '';
+  groupNames.forEach(name => {
+    if (showHeadings) {
+      const heading = document.createElement('h3');
+      heading.className = 'bookmark-folder-heading';
+      heading.textContent = name || 'Unfiled';
+      container.appendChild(heading);
+    }
+    groups.get(name).forEach(bookmark => container.appendChild(createBookmarkItem(bookmark)));
+  });
+}
+
+/**
+ * Build one bookmark row (user-entered label/tags are set as text, never HTML)
+ * @param {Object} bookmark - Bookmark object
+ * @returns {HTMLElement}
+ */
+function createBookmarkItem(bookmark) {
+  const reference = getBookmarkReference(bookmark);
+  const item = document.createElement('div');
+  item.className = 'bookmark-item';
+
+  const link = document.createElement('button');
+  link.className = 'bookmark-link';
+  link.onclick = () => navigateToBookmark(bookmark.id);
+  link.setAttribute('aria-label', `Go to ${bookmark.label ? bookmark.label + ', ' : ''}${reference}`);
+
+  const text = document.createElement('span');
+  text.className = 'bookmark-text';
+  text.textContent = bookmark.label || reference;
+  link.appendChild(text);
+
+  if (bookmark.label) {
+    const ref = document.createElement('span');
+    ref.className = 'bookmark-ref';
+    ref.textContent = reference;
+    link.appendChild(ref);
+  }
+
+  if (bookmark.tags.length) {
+    const tags = document.createElement('span');
+    tags.className = 'bookmark-tags';
+    bookmark.tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'bookmark-tag';
+      chip.textContent = '#' + tag;
+      tags.appendChild(chip);
+    });
+    link.appendChild(tags);
+  }
+
+  const edit = document.createElement('button');
+  edit.className = 'bookmark-edit';
+  edit.textContent = '✎';
+  edit.title = 'Edit bookmark';
+  edit.setAttribute('aria-label', `Edit bookmark for ${reference}`);
+  edit.onclick = () => {
+    closeBookmarksModal();
+    openBookmarkEditor({ bookmarkId: bookmark.id });
+  };
+
+  const remove = document.createElement('button');
+  remove.className = 'bookmark-delete';
+  remove.textContent = '×';
+  remove.title = 'Remove bookmark';
+  remove.setAttribute('aria-label', `Remove bookmark for ${reference}`);
+  remove.onclick = (event) => {
+    event.stopPropagation();
+    removeBookmark(bookmark.id);
+  };
+
+  item.appendChild(link);
+  item.appendChild(edit);
+  item.appendChild(remove);
+  return item;
 }
 
 /**
- * Navigate to a bookmarked chapter
+ * Navigate to a bookmarked chapter or verse range
  * @param {string} bookmarkId - The ID of the bookmark to navigate to
  */
 async function navigateToBookmark(bookmarkId) {
@@ -1091,21 +1505,15 @@ async function navigateToBookmark(bookmarkId) {
   // Close bookmarks modal
   closeBookmarksModal();
 
-  // Load the book if different from current
-  if (bookmark.bookId !== currentBook) {
-    try {
-      const bookInfo = booksJson.books.find(b => b.name === bookmark.bookId);
-      if (bookInfo) {
-        await selectBook(bookInfo);
-      }
-    } catch (e) {
-      console.error('Error loading bookmarked book:', e);
-      return;
+  let verses = null;
+  if (bookmark.verse) {
+    verses = [];
+    for (let v = bookmark.verse; v <= bookmark.endVerse; v++) {
+      verses.push(v);
     }
   }
 
-  // Navigate to the chapter
-  selectChapter(bookmark.chapter);
+  await goToPassage(bookmark.bookId, bookmark.chapter, verses);
 }
 
 // ========================================
@@ -1132,7 +1540,7 @@ function timeSince(date) {
 /**
  * Open the reading history modal and populate with recent events
  */
-function openReadingHistory() {
+async function openReadingHistory() {
   lockBodyScroll();
   var modal = document.getElementById('historyModalOverlay');
   var list = document.getElementById('readingHistoryList');
@@ -1152,7 +1560,7 @@ function openReadingHistory() {
     return;
   }
 
-  var events = BibleReading.getRecentReadingEvents(20);
+  var events = await BibleReading.getRecentReadingEvents(20);
 
   if (!events.length) {
     list.innerHTML =
@@ -1244,7 +1652,7 @@ async function navigateToHistoryItem(bookId, chapter) {
  * Update the history modal subtitle with the most recent reading.
  * Shows "Last: John 8 (3m ago)" or "No recent reading yet." if empty.
  */
-function updateHistoryModalSubtitle() {
+async function updateHistoryModalSubtitle() {
   var subtitleEl = document.getElementById('historyModalSubtitle');
   if (!subtitleEl) return;
 
@@ -1253,7 +1661,7 @@ function updateHistoryModalSubtitle() {
     return;
   }
 
-  var events = BibleReading.getRecentReadingEvents(1);
+  var events = await BibleReading.getRecentReadingEvents(1);
 
   if (!events.length) {
     subtitleEl.textContent = 'No recent reading yet.';
@@ -1271,10 +1679,10 @@ function updateHistoryModalSubtitle() {
  * Mobile: updates tooltip and aria-label on the history button
  * Also updates the history modal subtitle.
  */
-function updateLastReadHint() {
+async function updateLastReadHint() {
   if (!window.BibleReading) return;
 
-  var events = BibleReading.getRecentReadingEvents(1);
+  var events = await BibleReading.getRecentReadingEvents(1);
   var hintEl = document.getElementById('lastReadHint');
   var historyBtn = document.querySelector('.history-header-btn');
 
@@ -1311,7 +1719,8 @@ initTheme();
 initFontSize();
 // Initialize line height immediately
 applyLineHeight(getSavedLineHeight());
-// Initialize version indicator and version manager
+// Honor a version named in a deep link, then initialize version indicator and version manager
+applyRouteVersion();
 initVersionIndicator();
 initVersionManager();
 
@@ -1658,8 +2067,14 @@ async function switchVersion(versionId) {
     // Update version indicator chip
     updateVersionIndicator(versionId);
 
-    // Clear any active search
+    // Clear any active search and drop the previous version's cached books
     clearChapterSearch();
+    if (window.BibleSearch) {
+      BibleSearch.clearBookCache();
+    }
+    if (bibleSearchWorker) {
+      bibleSearchWorker.postMessage({ type: 'clearCache' });
+    }
 
     // Reload books.json for the new version
     const booksFilePath = './' + getVersionBooksFile(versionId);
@@ -1796,8 +2211,9 @@ function loadReadingState() {
  * Log the current chapter as a reading event (simple v1)
  * Uses window.BibleReading.logReadingEvent if available.
  * Called after a chapter is successfully displayed.
+ * @returns {Promise<void>} Resolves once the event is stored
  */
-function logCurrentChapterReading() {
+async function logCurrentChapterReading() {
   if (!window.BibleReading || typeof BibleReading.logReadingEvent !== 'function') {
     return;
   }
@@ -1818,12 +2234,18 @@ function logCurrentChapterReading() {
       return;
     }
 
-    BibleReading.logReadingEvent({
+    const event = await BibleReading.logReadingEvent({
       versionId: versionId,
       bookId: bookId,
       chapter: chapterNum
       // completedAt will default to now inside the storage module
     });
+    // Reopening the same chapter (restore on startup, switching versions) isn't
+    // another reading
+    if (!event || !event.isRepeat) {
+      await advanceScheduledPlans(bookId, chapterNum);
+    }
+    scheduleSync();
   } catch (e) {
     console.warn('[BibleReading] Failed to log reading event:', e);
   }
@@ -1832,8 +2254,9 @@ function logCurrentChapterReading() {
 /**
  * Update the simple "Current Book" reading plan in BibleReading storage.
  * Called whenever a chapter is displayed.
+ * @returns {Promise<void>} Resolves once the plan is stored
  */
-function updateCurrentBookPlan() {
+async function updateCurrentBookPlan() {
   if (
     !window.BibleReading ||
     typeof BibleReading.upsertPlan !== 'function' ||
@@ -1861,22 +2284,33 @@ function updateCurrentBookPlan() {
 
   const nowIso = new Date().toISOString();
 
-  BibleReading.upsertPlan({
-    id: 'current-book',
-    name: 'Current Book',
-    type: 'auto-current-book',
-    config: {
-      bookId: bookId,
-      totalChapters: chaptersCount || null
-    },
-    progress: {
-      bookId: bookId,
-      lastChapter: chapterNum,
-      lastUpdatedAt: nowIso
-    }
-  });
+  try {
+    await BibleReading.upsertPlan({
+      id: 'current-book',
+      name: 'Current Book',
+      type: 'auto-current-book',
+      config: {
+        bookId: bookId,
+        totalChapters: chaptersCount || null
+      },
+      progress: {
+        bookId: bookId,
+        lastChapter: chapterNum,
+        lastUpdatedAt: nowIso
+      }
+    });
 
-  BibleReading.setCurrentPlanId('current-book');
+    // Track the current book, but don't take over from a scheduled plan the reader started
+    const [currentPlanId, plans] = await Promise.all([
+      BibleReading.getCurrentPlanId(),
+      BibleReading.getPlans()
+    ]);
+    if (currentPlanId !== 'current-book' && !BiblePlans.isScheduledPlan(plans[currentPlanId])) {
+      await BibleReading.setCurrentPlanId('current-book');
+    }
+  } catch (e) {
+    console.warn('[BibleReading] Failed to update current book plan:', e);
+  }
 }
 
 /**
@@ -1884,7 +2318,7 @@ function updateCurrentBookPlan() {
  * Example: "Reading plan: Genesis 7 of 50"
  * Shows empty-state message when no plan progress exists.
  */
-function updateCurrentPlanStatusUI() {
+async function updateCurrentPlanStatusUI() {
   const el = document.getElementById('currentPlanStatus');
   if (!el) return;
 
@@ -1900,27 +2334,43 @@ function updateCurrentPlanStatusUI() {
     return;
   }
 
-  const currentPlanId =
-    typeof BibleReading.getCurrentPlanId === 'function'
-      ? BibleReading.getCurrentPlanId()
-      : null;
+  let currentPlanId = null;
+  try {
+    currentPlanId =
+      typeof BibleReading.getCurrentPlanId === 'function'
+        ? await BibleReading.getCurrentPlanId()
+        : null;
+  } catch (e) {
+    console.warn('[BibleReading] Unable to load current plan:', e);
+  }
 
-  // If no current-book plan is active, show empty state
-  if (currentPlanId !== 'current-book') {
+  if (!currentPlanId) {
     showEmptyState();
     return;
   }
 
   let plan;
   try {
-    const state = BibleReading.loadReadingState();
-    plan = state && state.plans ? state.plans['current-book'] : null;
+    const plans = await BibleReading.getPlans();
+    plan = plans ? plans[currentPlanId] : null;
   } catch (e) {
     console.warn('[BibleReading] Unable to load reading plan state:', e);
     showEmptyState();
     return;
   }
 
+  // Scheduled plan: today's reading
+  if (BiblePlans.isScheduledPlan(plan)) {
+    el.textContent = 'Reading plan: ' + describeScheduledPlanStatus(plan);
+    return;
+  }
+
+  // Otherwise only the current-book plan has a status line
+  if (currentPlanId !== 'current-book') {
+    showEmptyState();
+    return;
+  }
+
   // If no plan or no progress recorded yet, show empty state
   if (!plan || !plan.progress || !plan.config) {
     showEmptyState();
@@ -1949,7 +2399,7 @@ function updateCurrentPlanStatusUI() {
  * Update the "Continue reading" button UI based on current-book plan state.
  * Shows/hides button and updates label based on progress.
  */
-function updateCurrentPlanActionUI() {
+async function updateCurrentPlanActionUI() {
   var container = document.getElementById('currentPlanActions');
   var btn = document.getElementById('continuePlanBtn');
   if (!container || !btn) return;
@@ -1960,8 +2410,27 @@ function updateCurrentPlanActionUI() {
     return;
   }
 
-  // Get current-book plan
-  var plans = BibleReading.getPlans();
+  // Get the active plan
+  var plans;
+  var currentPlanId;
+  try {
+    [plans, currentPlanId] = await Promise.all([BibleReading.getPlans(), BibleReading.getCurrentPlanId()]);
+  } catch (e) {
+    console.warn('[BibleReading] Unable to load reading plans:', e);
+    container.style.display = 'none';
+    return;
+  }
+
+  var markBtn = document.getElementById('markPlanDayBtn');
+  var activePlan = plans ? plans[currentPlanId] : null;
+  if (BiblePlans.isScheduledPlan(activePlan)) {
+    updateScheduledPlanActionUI(activePlan, container, btn, markBtn);
+    return;
+  }
+  if (markBtn) markBtn.hidden = true;
+  var catchUpBtn = document.getElementById('catchUpPlanBtn');
+  if (catchUpBtn) catchUpBtn.hidden = true;
+
   var plan = plans ? plans['current-book'] : null;
 
   // Hide if no plan or no config
@@ -1999,12 +2468,13 @@ function updateCurrentPlanActionUI() {
   btn.dataset.bookId = planBookId;
   btn.dataset.nextChapter = nextChapter;
   btn.textContent = buttonLabel;
+  btn.hidden = false;
   container.style.display = '';
 }
 
 /**
- * Navigate to the next chapter in the current-book plan.
- * Called when user clicks the "Continue reading" button.
+ * Navigate to the chapter on the "Continue reading" button
+ * (next chapter of the current book, or the next reading of a scheduled plan).
  */
 function continueCurrentBookPlan() {
   var btn = document.getElementById('continuePlanBtn');
@@ -2038,61 +2508,499 @@ function continueCurrentBookPlan() {
 }
 
 // ========================================
-// Offline Detection & Management
+// Scheduled Reading Plans
 // ========================================
+//
+// Built-in plans (BUILTIN_PLANS in storage/reading-plans.js) become day-by-day
+// schedules when started: BiblePlans.buildSchedule() (plans/plan-engine.js) turns
+// the template's spec into config.days, stored with the start date through
+// BibleReading.upsertPlan under the template's id. Finished days are
+// progress.completedDays.
+//
+// Plans advance on their own: every chapter opened is logged as a reading event,
+// and advanceScheduledPlans() ticks it off the first unfinished day of each
+// started plan that has it (BiblePlans.recordReading()). When days are missed the
+// status line says how far behind the plan is, and the plan detail offers the
+// catch-up modes of BiblePlans.catchUp().
+//
+// Some templates read in a bundled order instead of book order: a { order } track
+// names a dataset in data/plans/ (precached by sw.js), which resolveScheduleSpec()
+// loads and swaps for its readings before the schedule is built.
+
+// Reading order datasets already loaded, by name
+const readingOrderCache = new Map();
 
-function updateOfflineIndicator() {
-  const indicator = document.getElementById('offlineIndicator');
-  if (!navigator.onLine) {
-    indicator.classList.add('active');
-    indicator.classList.remove('hidden');
-  } else {
-    indicator.classList.remove('active');
-    indicator.classList.add('hidden');
-    // Remove hidden class after animation completes
-    setTimeout(() => {
-      indicator.classList.remove('hidden');
-    }, 300);
+/**
+ * Readings of a bundled reading order dataset (data/plans/<name>.json)
+ * @param {string} name - e.g. 'chronological'
+ * @returns {Promise<Array>} Readings in order
+ */
+async function loadReadingOrder(name) {
+  if (readingOrderCache.has(name)) return readingOrderCache.get(name);
+  if (!/^[a-z0-9-]+$/.test(name)) {
+    throw new Error(`Invalid reading order: ${name}`);
   }
-}
 
-// Listen for online/offline events
-window.addEventListener('online', () => {
-  updateOfflineIndicator();
-  console.log('Connection restored');
-});
+  const response = await fetch(`./data/plans/${name}.json`);
+  if (!response.ok) throw new Error(`Failed to load reading order ${name}`);
+  const result = BiblePlans.orderReadings(await response.json(), booksJson.books);
+  if (result.error) throw new Error(result.error);
 
-window.addEventListener('offline', () => {
-  updateOfflineIndicator();
-  console.log('Connection lost');
-});
+  readingOrderCache.set(name, result.readings);
+  return result.readings;
+}
 
-// Check initial connection status on page load
-window.addEventListener('load', () => {
-  updateOfflineIndicator();
-});
+/**
+ * Schedule spec with { order } tracks replaced by their readings
+ * @param {Object} spec - Template schedule spec
+ * @returns {Promise<Object>}
+ */
+async function resolveScheduleSpec(spec) {
+  const tracks = await Promise.all(spec.tracks.map(async track =>
+    track.order ? { readings: await loadReadingOrder(track.order) } : track));
+  return Object.assign({}, spec, { tracks: tracks });
+}
+/**
+ * Start a built-in plan on a date and make it the active plan
+ * @param {Object} template - Built-in plan with a `schedule` spec
+ * @param {string} startDate - "YYYY-MM-DD"
+ * @returns {Promise<Object|undefined>} The stored plan
+ */
+async function startBuiltinPlan(template, startDate) {
+  if (!booksJson || !booksJson.books) return;
 
-// ========================================
-// Book & Chapter Navigation
-// ========================================
+  const spec = await resolveScheduleSpec(template.schedule);
+  const plan = await BibleReading.upsertPlan({
+    id: template.id,
+    name: template.name,
+    type: 'structured',
+    config: {
+      templateId: template.id,
+      startDate: startDate,
+      readingDays: template.schedule.readingDays || null,
+      days: BiblePlans.buildSchedule(spec, booksJson.books, startDate)
+    },
+    progress: {
+      completedDays: [],
+      lastUpdatedAt: new Date().toISOString()
+    }
+  });
+  await BibleReading.setCurrentPlanId(template.id);
+  return plan;
+}
 
-// Load books list from books.json
-async function loadBooksJson() {
-  try {
-    const booksFilePath = './' + getCurrentBooksFile();
-    const response = await fetch(booksFilePath);
-    console.log('Loading books.json from:', new URL(booksFilePath, window.location.href).href);
-    if (!response.ok) throw new Error('Failed to load books data');
-    booksJson = await response.json();
-    populateBookLists();
-  } catch (error) {
-    console.error('Error loading books data:', error);
-  }
+/**
+ * Mark one day of a scheduled plan done (or not done)
+ * @param {string} planId
+ * @param {number} dayIndex
+ * @param {boolean} done
+ * @returns {Promise<void>}
+ */
+async function setPlanDayComplete(planId, dayIndex, done) {
+  const plans = await BibleReading.getPlans();
+  const plan = plans[planId];
+  if (!BiblePlans.isScheduledPlan(plan)) return;
+
+  await BibleReading.upsertPlan({
+    id: planId,
+    progress: BiblePlans.setDayComplete(plan.progress, dayIndex, done)
+  });
 }
 
-// Populate the OT and NT book lists in the modal
-function populateBookLists() {
-  if (!booksJson) return;
+/**
+ * Tick a chapter that was just read off every started scheduled plan
+ * @param {string} bookId
+ * @param {number} chapter
+ * @returns {Promise<void>}
+ */
+async function advanceScheduledPlans(bookId, chapter) {
+  if (!window.BiblePlans) return;
+
+  try {
+    const [plans, currentPlanId] = await Promise.all([
+      BibleReading.getPlans(),
+      BibleReading.getCurrentPlanId()
+    ]);
+
+    for (const plan of Object.values(plans)) {
+      if (!BiblePlans.isScheduledPlan(plan) || BiblePlans.getPlanStatus(plan).notStarted) continue;
+
+      const result = BiblePlans.recordReading(plan, bookId, chapter);
+      if (!result) continue;
+
+      await BibleReading.upsertPlan({ id: plan.id, progress: result.progress });
+      if (result.dayCompleted && plan.id === currentPlanId) {
+        showToast(`Day ${result.dayIndex + 1} complete - well done!`);
+      }
+    }
+  } catch (e) {
+    console.warn('[BibleReading] Failed to update plan progress:', e);
+  }
+}
+
+/**
+ * Reschedule a plan that is behind (see BiblePlans.catchUp for the modes)
+ * @param {string} planId
+ * @param {string} mode - 'redistribute' | 'push' | 'skip'
+ * @returns {Promise<boolean>} Whether the plan changed
+ */
+async function catchUpPlan(planId, mode) {
+  const plans = await BibleReading.getPlans();
+  const plan = plans[planId];
+  if (!BiblePlans.isScheduledPlan(plan)) return false;
+
+  const result = BiblePlans.catchUp(plan, mode);
+  if (!result) return false;
+
+  await BibleReading.upsertPlan({ id: planId, config: result.config, progress: result.progress });
+  return true;
+}
+
+/**
+ * Open the active plan's detail in Settings, where the catch-up options are
+ * (the "Catch up" button)
+ */
+async function openPlanCatchUp() {
+  const btn = document.getElementById('catchUpPlanBtn');
+  const planId = btn && btn.dataset.planId;
+  if (!planId) return;
+
+  openSettingsModal();
+  if (_currentActiveSection !== 'reading-plans') {
+    toggleAccordionSection('reading-plans');
+  }
+  await renderPlanDetail(planId);
+  const panel = document.getElementById('planDetail');
+  if (panel) panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * How far off schedule a plan is, e.g. "2 days behind" ('' when on track)
+ * @param {Object} status - BiblePlans.getPlanStatus() result
+ * @returns {string}
+ */
+function describePlanPace(status) {
+  const plural = count => count + (count === 1 ? ' day' : ' days');
+  if (status.behind > 0) return plural(status.behind) + ' behind';
+  if (status.ahead > 0) return plural(status.ahead) + ' ahead';
+  return '';
+}
+
+/**
+ * Short date for plan labels, e.g. "Mon, Oct 20"
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {string}
+ */
+function formatPlanDate(dateKey) {
+  return BiblePlans.fromDateKey(dateKey).toLocaleDateString(undefined, {
+    weekday: 'short', month: 'short', day: 'numeric'
+  });
+}
+
+/**
+ * One-line status of a scheduled plan, e.g.
+ * "Gospels in 40 Days • Day 3 of 40: Matthew 5–6 • 1 day behind"
+ * @param {Object} plan - Scheduled plan
+ * @returns {string}
+ */
+function describeScheduledPlanStatus(plan) {
+  const status = BiblePlans.getPlanStatus(plan);
+  const name = plan.name || plan.id;
+
+  if (status.finished) {
+    return name + ' • Complete!';
+  }
+  if (status.notStarted) {
+    return name + ' • Starts ' + formatPlanDate(status.startDate);
+  }
+  const pace = describePlanPace(status);
+  return name + ' • Day ' + (status.today + 1) + ' of ' + status.totalDays + ': ' +
+    BiblePlans.formatReadings(status.todayReadings) + (status.todayDone ? ' ✓' : '') +
+    (pace ? ' • ' + pace : '');
+}
+
+/**
+ * Fill the plan action buttons for a scheduled plan: "Read <next chapter>" for
+ * today's reading and "Mark day done"
+ * @param {Object} plan - Active scheduled plan
+ * @param {HTMLElement} container - #currentPlanActions
+ * @param {HTMLElement} btn - #continuePlanBtn
+ * @param {HTMLElement|null} markBtn - #markPlanDayBtn
+ */
+function updateScheduledPlanActionUI(plan, container, btn, markBtn) {
+  const status = BiblePlans.getPlanStatus(plan);
+  const readings = status.todayReadings;
+  const catchUpBtn = document.getElementById('catchUpPlanBtn');
+  if (catchUpBtn) {
+    catchUpBtn.hidden = status.behind === 0;
+    catchUpBtn.dataset.planId = plan.id;
+  }
+  if (status.finished || status.notStarted || readings.length === 0) {
+    container.style.display = status.behind > 0 ? '' : 'none';
+    btn.hidden = true;
+    if (markBtn) markBtn.hidden = true;
+    return;
+  }
+
+  // Next unread reading after the chapter on screen, or the first unread one of the day
+  const shownIndex = readings.findIndex(reading =>
+    reading.bookId === currentBook && reading.chapter === Number(currentChapter));
+  const unread = readings.map((reading, index) => index)
+    .filter(index => !status.todayRead.includes(index) && index !== shownIndex);
+  const nextIndex = unread.find(index => index > shownIndex);
+  const next = readings[nextIndex !== undefined ? nextIndex : (unread.length ? unread[0] : 0)];
+
+  btn.dataset.bookId = next.bookId;
+  btn.dataset.nextChapter = next.chapter;
+  btn.textContent = 'Read ' + next.bookId + ' ' + next.chapter;
+  btn.hidden = status.todayDone || unread.length === 0;
+
+  if (markBtn) {
+    markBtn.hidden = false;
+    markBtn.dataset.planId = plan.id;
+    markBtn.dataset.dayIndex = status.today;
+    markBtn.dataset.done = status.todayDone ? 'true' : '';
+    markBtn.textContent = status.todayDone ? 'Day done ✓' : 'Mark day done';
+    markBtn.setAttribute('aria-pressed', status.todayDone ? 'true' : 'false');
+  }
+  container.style.display = '';
+}
+
+/**
+ * Toggle today's day of the active scheduled plan (the "Mark day done" button)
+ */
+async function toggleCurrentPlanDay() {
+  const markBtn = document.getElementById('markPlanDayBtn');
+  if (!markBtn || !markBtn.dataset.planId) return;
+
+  const done = !markBtn.dataset.done;
+  try {
+    await setPlanDayComplete(markBtn.dataset.planId, Number(markBtn.dataset.dayIndex), done);
+    if (done) showToast('Day complete - well done!');
+  } catch (e) {
+    console.error('[BibleReading] Unable to update plan progress:', e);
+    showToast('Could not save plan progress');
+  }
+  await updateCurrentPlanStatusUI();
+  await updateCurrentPlanActionUI();
+}
+
+// ========================================
+// Plan files (import / export)
+// ========================================
+//
+// Plans are shared as plan files (format in plans/plan-engine.js: days of
+// references). Importing stores a structured plan like the builder does; any
+// scheduled plan or built-in template can be exported.
+
+/**
+ * Download a plan as a plan file
+ * @param {Object} plan - Scheduled plan, or a built-in template (scheduled from today)
+ * @returns {Promise<void>}
+ */
+async function exportPlanFile(plan) {
+  try {
+    let scheduled = plan;
+    if (!BiblePlans.isScheduledPlan(plan)) {
+      if (!plan.schedule || !booksJson || !booksJson.books) return;
+      const spec = await resolveScheduleSpec(plan.schedule);
+      scheduled = Object.assign({}, plan, {
+        config: {
+          startDate: null,
+          readingDays: plan.schedule.readingDays || null,
+          days: BiblePlans.buildSchedule(spec, booksJson.books, BiblePlans.toDateKey(new Date()))
+        }
+      });
+    }
+
+    const file = BiblePlans.toPlanFile(Object.assign({}, scheduled, {
+      description: plan.description || plan.meta || ''
+    }));
+    const slug = (plan.name || plan.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `reading-plan-${slug || 'custom'}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    console.error('[BibleReading] Unable to export plan:', e);
+    showToast('Could not export the plan');
+  }
+}
+
+/**
+ * Store a plan file as a new plan and make it active
+ * @param {Object|string} data - Plan file (parsed or text)
+ * @param {string} [source] - URL it came from
+ * @returns {Promise<boolean>} Whether the plan was imported
+ */
+async function importPlanData(data, source) {
+  if (!booksJson || !booksJson.books) {
+    alert('Books are still loading. Please try again in a moment.');
+    return false;
+  }
+
+  const result = BiblePlans.parsePlanFile(data, booksJson.books);
+  if (result.error) {
+    alert(`This plan can't be imported. ${result.error}`);
+    return false;
+  }
+
+  const imported = result.plan;
+  const planId = 'imported-' + Date.now().toString(36);
+  try {
+    await BibleReading.upsertPlan({
+      id: planId,
+      name: imported.name,
+      type: 'structured',
+      description: imported.description || `${imported.days.length} reading days`,
+      config: {
+        source: source || null,
+        startDate: imported.startDate || BiblePlans.toDateKey(new Date()),
+        readingDays: imported.readingDays,
+        days: imported.days
+      },
+      progress: {
+        completedDays: [],
+        lastUpdatedAt: new Date().toISOString()
+      }
+    });
+    await BibleReading.setCurrentPlanId(planId);
+  } catch (e) {
+    console.error('[BibleReading] Unable to save imported plan:', e);
+    showToast('Could not save the plan');
+    return false;
+  }
+
+  showToast(`Imported ${imported.name}!`);
+  closePlanBuilder();
+  await renderReadingPlansList();
+  renderPlanDetail(planId);
+  refreshPlanUI();
+  return true;
+}
+
+/**
+ * Open the hidden file input to select a plan file
+ */
+function openPlanFilePicker() {
+  const fileInput = document.getElementById('planFileInput');
+  if (fileInput) {
+    fileInput.click();
+  }
+}
+
+/**
+ * Import the plan file chosen in the file picker
+ * @param {Event} event - The file input change event
+ */
+function handlePlanFileSelected(event) {
+  const fileInput = event.target;
+  const file = fileInput.files && fileInput.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = e => importPlanData(e.target.result);
+  reader.onerror = () => {
+    console.error('[BibleReading] Error reading plan file');
+    alert('Sorry, something went wrong while reading the plan file.');
+  };
+  reader.readAsText(file);
+
+  // Clear the file input value so the same file can be re-selected later
+  fileInput.value = '';
+}
+
+/**
+ * Download and import the plan file at the URL in #planImportUrl
+ */
+async function importPlanFromUrl() {
+  const input = document.getElementById('planImportUrl');
+  const url = input ? input.value.trim() : '';
+  if (!/^https?:\/\//i.test(url)) {
+    showToast('Enter a link starting with https://');
+    return;
+  }
+
+  let text;
+  try {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    text = await response.text();
+  } catch (e) {
+    console.warn('[BibleReading] Unable to download plan:', e);
+    alert(navigator.onLine
+      ? "The plan couldn't be downloaded. Check the link (the site must allow downloads from other sites)."
+      : "You're offline. Connect to the internet to import from a link.");
+    return;
+  }
+
+  if (await importPlanData(text, url)) {
+    input.value = '';
+  }
+}
+
+// ========================================
+// Offline Detection & Management
+// ========================================
+
+function updateOfflineIndicator() {
+  const indicator = document.getElementById('offlineIndicator');
+  if (!navigator.onLine) {
+    indicator.classList.add('active');
+    indicator.classList.remove('hidden');
+  } else {
+    indicator.classList.remove('active');
+    indicator.classList.add('hidden');
+    // Remove hidden class after animation completes
+    setTimeout(() => {
+      indicator.classList.remove('hidden');
+    }, 300);
+  }
+}
+
+// Listen for online/offline events
+window.addEventListener('online', () => {
+  updateOfflineIndicator();
+  console.log('Connection restored');
+});
+
+window.addEventListener('offline', () => {
+  updateOfflineIndicator();
+  console.log('Connection lost');
+});
+
+// Check initial connection status on page load
+window.addEventListener('load', () => {
+  updateOfflineIndicator();
+});
+
+// ========================================
+// Book & Chapter Navigation
+// ========================================
+
+// Load books list from books.json
+async function loadBooksJson() {
+  try {
+    const booksFilePath = './' + getCurrentBooksFile();
+    const response = await fetch(booksFilePath);
+    console.log('Loading books.json from:', new URL(booksFilePath, window.location.href).href);
+    if (!response.ok) throw new Error('Failed to load books data');
+    booksJson = await response.json();
+    populateBookLists();
+  } catch (error) {
+    console.error('Error loading books data:', error);
+  }
+}
+
+// Populate the OT and NT book lists in the modal
+function populateBookLists() {
+  if (!booksJson) return;
 
   const otBooks = booksJson.books.filter(book => book.testament === 'OT');
   const ntBooks = booksJson.books.filter(book => book.testament === 'NT');
@@ -2292,6 +3200,89 @@ function selectChapter(chapterNum) {
   updateBookmarkButton();
 }
 
+/**
+ * Open a passage directly, without going through the book/chapter modals.
+ * Loads the book if needed, displays the chapter and optionally highlights verses.
+ * @param {string} bookName - Book name from books.json (e.g., "John")
+ * @param {number} chapter - Chapter number
+ * @param {number|Array<number>} [verse] - Verse number(s) to highlight
+ * @returns {Promise<boolean>} True if the passage was opened
+ */
+async function goToPassage(bookName, chapter, verse) {
+  if (!booksJson || !booksJson.books) return false;
+
+  const bookInfo = booksJson.books.find(b => b.name === bookName);
+  const chapterNum = Number(chapter);
+  if (!bookInfo || !chapterNum || chapterNum < 1 || chapterNum > bookInfo.chapters) {
+    return false;
+  }
+
+  try {
+    // Load the book data only when switching books
+    if (bookInfo.name !== currentBook || !bookData) {
+      const dataPath = './' + getCurrentDataPath();
+      const bookPath = dataPath + bookInfo.filename;
+      const response = await fetch(bookPath);
+      console.log('Opening passage from:', new URL(bookPath, window.location.href).href);
+      if (!response.ok) {
+        throw new Error(`Failed to load ${bookInfo.name}`);
+      }
+      bookData = await response.json();
+      currentBook = bookInfo.name;
+      currentBookData = bookInfo;
+      totalChapters = bookInfo.chapters;
+    }
+
+    displayChapter(chapterNum);
+    updateBookmarkButton();
+
+    if (verse) {
+      highlightVerse(verse);
+      updateRoute({ verse: Array.isArray(verse) ? verse[0] : verse, replace: true });
+    }
+    return true;
+  } catch (error) {
+    console.error('Error opening passage:', error);
+    showToast(`Could not open ${bookName} ${chapterNum}.`);
+    return false;
+  }
+}
+
+/**
+ * Briefly highlight one or more verses and scroll the first into view.
+ * In parallel view the highlight is applied to both panes once they have loaded.
+ * @param {number|Array<number>} verseNum - Verse number(s) in the current chapter
+ */
+function highlightVerse(verseNum) {
+  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const verseNums = Array.isArray(verseNum) ? verseNum : [verseNum];
+  const scope = isParallelEnabled() ? '#parallelContainer' : '#versesContainer';
+  const selector = verseNums.map(n => `${scope} .verse[data-verse="${Number(n)}"]`).join(', ');
+
+  let targets;
+  if (isParallelEnabled()) {
+    targets = document.querySelectorAll(selector);
+    if (targets.length === 0) {
+      // Panes are still loading; loadParallelChapter() applies this when done
+      pendingTargetVerse = verseNum;
+      return;
+    }
+  } else {
+    targets = document.querySelectorAll(selector);
+  }
+
+  document.querySelectorAll('.verse-target').forEach(el => el.classList.remove('verse-target'));
+
+  targets.forEach(el => {
+    el.classList.add('verse-target');
+    setTimeout(() => el.classList.remove('verse-target'), 3000);
+  });
+
+  if (targets[0]) {
+    targets[0].scrollIntoView({ behavior: prefersReducedMotion ? 'instant' : 'smooth', block: 'center' });
+  }
+}
+
 // Load the Bible data
 async function loadBibleData() {
   try {
@@ -2316,8 +3307,16 @@ function displayChapter(chapterNum) {
     return;
   }
 
-  // Clear any active search when navigating to a new chapter
-  clearChapterSearch();
+  // Clear any active search when navigating to a new chapter.
+  // Whole-Bible results stay listed so the reader can open the next one.
+  if (isWholeBibleScope()) {
+    clearSearchHighlights();
+  } else {
+    clearChapterSearch();
+  }
+
+  // Verse selection belongs to the chapter it was made in
+  clearVerseSelection();
 
   currentChapter = chapterNum;
   const verses = bookData[chapterNum];
@@ -2350,6 +3349,7 @@ function displayChapter(chapterNum) {
     const verseText = verses[verseNum];
     const verseDiv = document.createElement('div');
     verseDiv.className = 'verse';
+    verseDiv.dataset.verse = verseNum;
 
     const verseNumberSpan = document.createElement('span');
     verseNumberSpan.className = 'verse-number';
@@ -2364,6 +3364,10 @@ function displayChapter(chapterNum) {
     container.appendChild(verseDiv);
   }
 
+  // Paint saved highlights for this version and note indicators
+  renderHighlights(container, getCurrentVersionId());
+  renderNoteIndicators(container);
+
   // Always update chapter indicator to reflect current state
   updateChapterIndicator();
   updateNavigationButtons();
@@ -2375,16 +3379,19 @@ function displayChapter(chapterNum) {
   // Save the reading state after displaying
   saveReadingState(currentBook, currentChapter);
 
-  // Log reading event for history tracking
-  logCurrentChapterReading();
+  // Record the chapter in the URL (back/forward moves between chapters)
+  updateRoute();
 
-  // Update the simple "Current Book" reading plan and its UI
-  updateCurrentBookPlan();
-  updateCurrentPlanStatusUI();
-  updateCurrentPlanActionUI();
+  // Log reading event for history tracking (scheduled plans tick the chapter off),
+  // then update "Last read" hint in header
+  const readingLogged = logCurrentChapterReading();
+  readingLogged.then(updateLastReadHint);
 
-  // Update "Last read" hint in header
-  updateLastReadHint();
+  // Update the simple "Current Book" reading plan and its UI
+  Promise.all([readingLogged, updateCurrentBookPlan()]).then(() => {
+    updateCurrentPlanStatusUI();
+    updateCurrentPlanActionUI();
+  });
 
   // Handle parallel view loading
   if (isParallelEnabled()) {
@@ -2424,6 +3431,13 @@ async function loadParallelChapter(bookName, chapter) {
   // Re-initialize scroll sync after content loads
   initParallelScrollSync();
   console.log('[Parallel] Chapter loaded, scroll sync initialized');
+
+  // Apply a verse highlight requested before the panes were ready
+  if (pendingTargetVerse) {
+    const verseNum = pendingTargetVerse;
+    pendingTargetVerse = null;
+    highlightVerse(verseNum);
+  }
 }
 
 // Update the chapter indicator text
@@ -2530,20 +3544,27 @@ function nextChapter() {
 
 /**
  * Restore reading state on app initialization
- * - Attempts to load saved book and chapter
+ * - Opens the passage in a deep link (#/en-kjv/John/3/16 or ?ref=John.3.16) if present
+ * - Otherwise attempts to load saved book and chapter
  * - Validates that book exists in booksJson before loading
  * - Falls back to John 1 if validation fails
  */
 async function restoreReadingState() {
-  const savedState = loadReadingState();
+  // Links need the books list, however long it takes (first visits aren't cached)
+  await booksJsonLoaded;
 
-  if (savedState && savedState.book && savedState.chapter) {
-    // Wait for booksJson to be loaded
-    if (!booksJson) {
-      // booksJson not ready yet, retry after a short delay
-      await new Promise(resolve => setTimeout(resolve, 100));
+  const route = parseRoute();
+  if (route) {
+    if (await openRoute(route)) {
+      console.log(`Opened link: ${currentBook} ${currentChapter}`);
+      return;
     }
+    console.warn('Link did not match a passage, restoring saved state');
+  }
+
+  const savedState = loadReadingState();
 
+  if (savedState && savedState.book && savedState.chapter) {
     // Validate that the book exists in our books list
     const bookExists = booksJson && booksJson.books.some(b => b.name === savedState.book);
 
@@ -2579,1002 +3600,4163 @@ async function restoreReadingState() {
       } catch (error) {
         console.warn('Failed to restore reading state, using default:', error);
         // Fall back to loading John 1
-        loadBibleData();
+        await loadBibleData();
       }
     } else {
       console.warn('Saved book not found in books list, using default');
       // Fall back to loading John 1
-      loadBibleData();
+      await loadBibleData();
     }
   } else {
     // No saved state, load default (John 1)
-    loadBibleData();
+    await loadBibleData();
   }
 }
 
-// Keyboard event handling for accessibility
-document.addEventListener('keydown', function(event) {
-  // ESC key closes modals or clears search
-  if (event.key === 'Escape') {
-    const bookModal = document.getElementById('bookModalOverlay');
-    const chapterModal = document.getElementById('chapterModalOverlay');
-    const bookmarksModal = document.getElementById('bookmarksModalOverlay');
-    const historyModal = document.getElementById('historyModalOverlay');
-    const versionManager = document.getElementById('versionManagerOverlay');
-    const settingsModal = document.getElementById('settingsModalOverlay');
-    const whatsNewModal = document.getElementById('whatsNewOverlay');
-    const parallelVersionModal = document.getElementById('parallelVersionModalOverlay');
-    const searchInput = document.getElementById('chapterSearchInput');
+// ========================================
+// URL Routing (deep links)
+// ========================================
+//
+// Routes:
+//   #/en-kjv/John/3/16     version, book, chapter and optional verse
+//   #/John/3               current version
+//   ?ref=John.3.16&v=en-kjv
+// Book segments use underscores for spaces ("Song_of_Solomon") and may be
+// any name or abbreviation BibleReference.findBook() understands.
+
+// How displayChapter() records the chapter in the URL: 'push' adds a history
+// entry (back/forward moves between chapters), 'replace' rewrites the current one
+let routeUpdateMode = 'push';
 
-    if (parallelVersionModal && parallelVersionModal.classList.contains('open')) {
-      closeParallelVersionModal();
-      event.preventDefault();
-    } else if (whatsNewModal && whatsNewModal.classList.contains('active')) {
-      closeWhatsNewModal();
-      event.preventDefault();
-    } else if (settingsModal && settingsModal.classList.contains('active')) {
-      closeSettingsModal();
-      event.preventDefault();
-    } else if (versionManager && versionManager.classList.contains('active')) {
-      closeVersionManager();
-      event.preventDefault();
-    } else if (historyModal && historyModal.classList.contains('active')) {
-      closeReadingHistory();
-      event.preventDefault();
-    } else if (bookModal.classList.contains('active')) {
-      closeBookSelector();
-      event.preventDefault();
-    } else if (chapterModal.classList.contains('active')) {
-      closeChapterSelector();
-      event.preventDefault();
-    } else if (bookmarksModal.classList.contains('active')) {
-      closeBookmarksModal();
-      event.preventDefault();
-    } else if (searchInput.value.trim()) {
-      // If search has content, clear it
-      clearChapterSearch();
-      event.preventDefault();
+/**
+ * Read a route from the current URL
+ * @param {Location} [location] - Defaults to window.location
+ * @returns {Object|null} { versionId, book, chapter, verse } with the book as
+ *   written in the URL (resolved later against books.json), or null
+ */
+function parseRoute(location = window.location) {
+  const hashMatch = /^#\/(.+)$/.exec(location.hash || '');
+  if (hashMatch) {
+    const parts = hashMatch[1].split('/').filter(Boolean).map(part => {
+      try {
+        return decodeURIComponent(part);
+      } catch (e) {
+        return part;
+      }
+    });
+
+    // Version segment is optional
+    const versionId = parts.length && getVersion(parts[0]) ? parts.shift() : null;
+    if (!parts.length || parts.length > 3 || !parts.slice(1).every(part => /^\d+$/.test(part))) {
+      return null;
     }
+    return {
+      versionId: versionId,
+      book: parts[0],
+      chapter: parts[1] ? Number(parts[1]) : 1,
+      verse: parts[2] ? Number(parts[2]) : null
+    };
   }
-});
 
-// Initialize the app
-loadBooksJson();
-// Restore reading state instead of always loading John 1
-restoreReadingState();
-// Initialize "Last read" hint from stored history
-updateLastReadHint();
-// Initialize welcome banner for first-time users
-initWelcomeBanner();
-// Initialize parallel view state (show/hide containers based on saved preference)
-if (isParallelEnabled()) {
-  showParallelView();
-}
-// Show What's New modal if version changed
-if (shouldShowWhatsNew()) {
-  openWhatsNewModal();
-}
+  const params = new URLSearchParams(location.search || '');
+  const ref = params.get('ref');
+  if (ref) {
+    // "John.3.16", "1John.3" or "John 3:16"
+    const refMatch = /^(.+?)[.\s]+(\d+)(?:[.:](\d+))?$/.exec(ref.trim());
+    return {
+      versionId: params.get('v'),
+      book: refMatch ? refMatch[1] : ref.trim(),
+      chapter: refMatch ? Number(refMatch[2]) : 1,
+      verse: refMatch && refMatch[3] ? Number(refMatch[3]) : null
+    };
+  }
 
-// ========================================
-// Chapter Search Functionality
-// ========================================
+  return null;
+}
 
 /**
- * Helper function to escape special regex characters
- * @param {string} str - String to escape
- * @returns {string} Escaped string safe for regex
+ * Build the hash route for a passage
+ * @param {string} versionId - Version ID (e.g., "en-kjv")
+ * @param {string} bookName - Book name from books.json
+ * @param {number} chapter - Chapter number
+ * @param {number} [verse] - Verse number
+ * @returns {string} e.g. "#/en-kjv/John/3/16"
  */
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function buildRouteHash(versionId, bookName, chapter, verse) {
+  const parts = [versionId, bookName.replace(/ /g, '_'), chapter];
+  if (verse) parts.push(verse);
+  return '#/' + parts.map(part => encodeURIComponent(part)).join('/');
 }
 
 /**
- * Perform search within the current chapter
- * Finds ALL matches across ALL verses and stores them with their location
+ * Full shareable URL for a passage in the current version
+ * @param {string} bookName - Book name from books.json
+ * @param {number} chapter - Chapter number
+ * @param {number} [verse] - Verse number
+ * @returns {string}
  */
-function performChapterSearch() {
-  const searchInput = document.getElementById('chapterSearchInput');
-  const searchTerm = searchInput.value.trim();
-
-  // Clear previous results
-  clearSearchHighlights();
-  searchMatches = [];
-  currentMatchIndex = 0;
-
-  if (!searchTerm) {
-    document.getElementById('searchResults').textContent = '';
-    document.getElementById('searchNavigation').style.display = 'none';
-    document.getElementById('searchBtn').style.display = 'inline-flex';
-    document.getElementById('clearSearchBtn').style.display = 'none';
-    return;
-  }
-
-  // Hide search button, show clear button
-  document.getElementById('searchBtn').style.display = 'none';
-  document.getElementById('clearSearchBtn').style.display = 'inline-flex';
-
-  // Build regex for case-insensitive matching
-  const regex = new RegExp(escapeRegex(searchTerm), 'gi');
+function getPassageUrl(bookName, chapter, verse) {
+  const base = window.location.href.split(/[?#]/)[0];
+  return base + buildRouteHash(getCurrentVersionId(), bookName, chapter, verse);
+}
 
-  // Search through ALL verse-text elements
-  const container = document.getElementById('versesContainer');
-  const verses = container.querySelectorAll('.verse-text');
+/**
+ * Record the passage on screen in the URL.
+ * Called by displayChapter(); goToPassage() adds the verse with replace.
+ * @param {Object} [options]
+ * @param {number} [options.verse] - Verse to include in the route
+ * @param {boolean} [options.replace] - Rewrite the current entry instead of pushing
+ */
+function updateRoute(options = {}) {
+  if (!window.history || typeof history.pushState !== 'function') return;
 
-  verses.forEach((verseElement) => {
-    const text = verseElement.textContent;
-    let match;
+  const hash = buildRouteHash(getCurrentVersionId(), currentBook, currentChapter, options.verse);
+  // Already there (e.g. redisplaying the same chapter, or following back/forward)
+  if (window.location.hash === hash && !window.location.search) return;
 
-    // Reset regex.lastIndex for global flag to work correctly in loop
-    regex.lastIndex = 0;
+  const state = {
+    versionId: getCurrentVersionId(),
+    book: currentBook,
+    chapter: currentChapter,
+    verse: options.verse || null
+  };
+  const url = window.location.pathname + hash;
 
-    // Find ALL matches within this verse text
-    while ((match = regex.exec(text)) !== null) {
-      searchMatches.push({
-        element: verseElement,
-        verseText: text,
-        matchText: match[0],
-        startIndex: match.index,
-        length: match[0].length
-      });
+  try {
+    if (options.replace || routeUpdateMode === 'replace') {
+      history.replaceState(state, '', url);
+    } else {
+      history.pushState(state, '', url);
     }
-  });
-
-  // Update UI based on results
-  if (searchMatches.length === 0) {
-    document.getElementById('searchResults').textContent = `No matches found for "${searchTerm}"`;
-    document.getElementById('searchNavigation').style.display = 'none';
-  } else {
-    // Highlight first match and navigate to it
-    highlightMatch(0);
-    updateSearchResultsDisplay(searchTerm);
-    document.getElementById('searchNavigation').style.display = 'flex';
+  } catch (error) {
+    // Some embedded/file:// contexts reject history updates
+    console.warn('[Route] Could not update URL:', error.message);
   }
 }
 
 /**
- * Highlight a specific match by index
- * Updates the .verse-text HTML with all matches, marking only the current one with .search-highlight-current
- * @param {number} index - The match index to highlight
+ * Run a navigation with a given route update mode (restores the previous mode)
+ * @param {string} mode - 'push' or 'replace'
+ * @param {Function} task - Async navigation
+ * @returns {Promise<*>} The task's result
  */
-function highlightMatch(index) {
-  if (index < 0 || index >= searchMatches.length) return;
-
-  currentMatchIndex = index;
-  const currentMatch = searchMatches[index];
+async function withRouteMode(mode, task) {
+  const previousMode = routeUpdateMode;
+  routeUpdateMode = mode;
+  try {
+    return await task();
+  } finally {
+    routeUpdateMode = previousMode;
+  }
+}
 
-  // Get the search term to rebuild the verse with highlights
-  const searchTerm = document.getElementById('chapterSearchInput').value.trim();
-  const regex = new RegExp(escapeRegex(searchTerm), 'gi');
+/**
+ * Before books.json loads: switch to the version a deep link names, so the
+ * app starts in that version instead of loading the saved one first
+ */
+function applyRouteVersion() {
+  const route = parseRoute();
+  if (!route || !route.versionId || route.versionId === getCurrentVersionId()) return;
 
-  // Process each unique verse element that has matches
-  const processedElements = new Set();
+  if (isVersionInstalled(route.versionId)) {
+    setCurrentVersionId(route.versionId);
+    console.log('[Route] Using version from link:', route.versionId);
+  } else {
+    console.warn('[Route] Linked version is not installed:', route.versionId);
+  }
+}
 
-  searchMatches.forEach((match, matchIndex) => {
-    if (!processedElements.has(match.element)) {
-      processedElements.add(match.element);
+/**
+ * Open the passage a route points to
+ * @param {Object} route - From parseRoute()
+ * @returns {Promise<boolean>} True if the passage was opened
+ */
+async function openRoute(route) {
+  if (!route || !booksJson || !booksJson.books) return false;
 
-      const verseText = match.verseText;
-      let html = '';
-      let lastIndex = 0;
+  // Back/forward across a version switch
+  if (route.versionId && route.versionId !== getCurrentVersionId() && isVersionInstalled(route.versionId)) {
+    if (!await switchVersion(route.versionId)) return false;
+  }
 
-      // Split text by all matches and build HTML
-      let regexMatch;
-      regex.lastIndex = 0;
-      const parts = [];
+  const bookName = route.book.replace(/_/g, ' ');
+  const bookInfo = booksJson.books.find(b => b.name === bookName) ||
+    (window.BibleReference ? BibleReference.findBook(bookName, booksJson.books) : null);
+  if (!bookInfo || route.chapter < 1 || route.chapter > bookInfo.chapters) {
+    console.warn('[Route] Passage not found:', route);
+    return false;
+  }
 
-      while ((regexMatch = regex.exec(verseText)) !== null) {
-        // Add text before this match
-        if (regexMatch.index > lastIndex) {
-          parts.push({
-            type: 'text',
-            content: verseText.substring(lastIndex, regexMatch.index)
-          });
-        }
+  return goToPassage(bookInfo.name, route.chapter, route.verse);
+}
 
-        // Check if this is the current match being highlighted
-        const isCurrentMatch = match.element === currentMatch.element &&
-          regexMatch.index === currentMatch.startIndex;
+// Back/forward (and hand-edited hashes) move between chapters
+window.addEventListener('popstate', () => {
+  const route = parseRoute();
+  if (route) {
+    withRouteMode('replace', () => openRoute(route));
+  }
+});
 
-        parts.push({
-          type: 'match',
-          content: regexMatch[0],
-          isCurrent: isCurrentMatch
-        });
+// ========================================
+// Verse Selection & Action Toolbar
+// ========================================
+//
+// Tap a verse to select it, tap again to deselect; shift-click selects a range
+// from the last tapped verse. Works in the single view and both parallel panes:
+// the same verse numbers are marked in every pane, and the pane that was tapped
+// supplies the text for copy/share.
+
+// Current selection (cleared whenever a new chapter is displayed)
+let verseSelection = {
+  verses: [],       // Sorted verse numbers
+  anchor: null,     // Last tapped verse (start of shift-ranges)
+  versionId: null   // Version of the pane the selection was made in
+};
+
+// Verse containers that take part in selection
+const VERSE_SELECTION_CONTAINERS = '#versesContainer, #primaryVersesContainer, #secondaryVersesContainer';
 
-        lastIndex = regexMatch.index + regexMatch[0].length;
-      }
+/**
+ * Check whether any verses are selected
+ * @returns {boolean}
+ */
+function hasVerseSelection() {
+  return verseSelection.verses.length > 0;
+}
 
-      // Add remaining text
-      if (lastIndex < verseText.length) {
-        parts.push({
-          type: 'text',
-          content: verseText.substring(lastIndex)
-        });
-      }
+/**
+ * Version shown in a verse container
+ * @param {HTMLElement} container - One of VERSE_SELECTION_CONTAINERS
+ * @returns {string} Version ID
+ */
+function getContainerVersionId(container) {
+  return container && container.id === 'secondaryVersesContainer'
+    ? getSecondaryVersionId()
+    : getCurrentVersionId();
+}
 
-      // Build HTML from parts
-      match.element.innerHTML = '';
-      parts.forEach(part => {
-        if (part.type === 'text') {
-          match.element.appendChild(document.createTextNode(part.content));
-        } else {
-          const span = document.createElement('span');
-          span.className = part.isCurrent ? 'search-highlight-current' : 'search-highlight';
-          span.textContent = part.content;
-          match.element.appendChild(span);
-        }
-      });
+/**
+ * Handle a click/tap on a verse (delegated from document)
+ * @param {MouseEvent} event
+ */
+function handleVerseClick(event) {
+  const verseEl = event.target.closest('.verse');
+  const container = verseEl ? verseEl.closest(VERSE_SELECTION_CONTAINERS) : null;
+  if (!container) return;
+
+  // Let the reader select text with the mouse without toggling the verse
+  const textSelection = window.getSelection ? window.getSelection().toString() : '';
+  if (textSelection) return;
+
+  const verseNum = Number(verseEl.dataset.verse);
+  if (!verseNum) return;
+
+  const versionId = getContainerVersionId(container);
+  let verses;
+
+  if (event.shiftKey && verseSelection.anchor !== null && verseSelection.versionId === versionId) {
+    // Range from the anchor, added to what is already selected
+    const start = Math.min(verseSelection.anchor, verseNum);
+    const end = Math.max(verseSelection.anchor, verseNum);
+    verses = verseSelection.verses.slice();
+    for (let v = start; v <= end; v++) {
+      if (!verses.includes(v)) verses.push(v);
     }
-  });
-
-  // Scroll the current match into view
-  const currentMatchSpan = currentMatch.element.querySelector('.search-highlight-current');
-  if (currentMatchSpan) {
-    currentMatchSpan.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  } else if (verseSelection.verses.includes(verseNum) && verseSelection.versionId === versionId) {
+    verses = verseSelection.verses.filter(v => v !== verseNum);
   } else {
-    currentMatch.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    // Tapping in the other parallel pane starts a selection there
+    verses = verseSelection.versionId === versionId ? verseSelection.verses.concat(verseNum) : [verseNum];
   }
 
-  // Update navigation display
-  document.getElementById('matchPosition').textContent = `${index + 1} of ${searchMatches.length}`;
-
-  // Update navigation button states
-  document.getElementById('prevMatchBtn').disabled = index === 0;
-  document.getElementById('nextMatchBtn').disabled = index === searchMatches.length - 1;
+  verseSelection = {
+    verses: verses.sort((a, b) => a - b),
+    anchor: verseNum,
+    versionId: versionId
+  };
+  applyVerseSelection();
 }
 
 /**
- * Go to previous search match with wraparound
+ * Mark the selected verses in every verse container and show/hide the toolbar
  */
-function goToPreviousMatch() {
-  if (searchMatches.length === 0) return;
-
-  let newIndex = currentMatchIndex - 1;
-  // Wrap around to end if at beginning
-  if (newIndex < 0) {
-    newIndex = searchMatches.length - 1;
-  }
-
-  highlightMatch(newIndex);
+function applyVerseSelection() {
+  document.querySelectorAll(VERSE_SELECTION_CONTAINERS).forEach(container => {
+    container.querySelectorAll('.verse').forEach(el => {
+      const selected = verseSelection.verses.includes(Number(el.dataset.verse));
+      el.classList.toggle('verse-selected', selected);
+      el.setAttribute('aria-selected', selected ? 'true' : 'false');
+    });
+  });
+  updateVerseToolbar();
 }
 
 /**
- * Go to next search match with wraparound
+ * Re-apply the selection after a pane re-renders; drop it if the version it
+ * was made in is no longer on screen (secondary version changed, parallel off)
  */
-function goToNextMatch() {
-  if (searchMatches.length === 0) return;
-
-  let newIndex = currentMatchIndex + 1;
-  // Wrap around to beginning if at end
-  if (newIndex >= searchMatches.length) {
-    newIndex = 0;
+function refreshVerseSelection() {
+  const visible = isParallelEnabled()
+    ? [getCurrentVersionId(), getSecondaryVersionId()]
+    : [getCurrentVersionId()];
+  if (verseSelection.versionId && !visible.includes(verseSelection.versionId)) {
+    clearVerseSelection();
+  } else {
+    applyVerseSelection();
   }
+}
 
-  highlightMatch(newIndex);
+/**
+ * Clear the verse selection and hide the toolbar
+ */
+function clearVerseSelection() {
+  verseSelection = { verses: [], anchor: null, versionId: null };
+  applyVerseSelection();
 }
 
 /**
- * Clear all search highlights and reset search state
+ * Book entry for the current book (currentBookData is unset until a book is chosen)
+ * @returns {Object|null}
  */
-function clearChapterSearch() {
-  clearSearchHighlights();
-  document.getElementById('chapterSearchInput').value = '';
-  document.getElementById('searchResults').textContent = '';
-  document.getElementById('searchNavigation').style.display = 'none';
-  document.getElementById('searchBtn').style.display = 'inline-flex';
-  document.getElementById('clearSearchBtn').style.display = 'none';
-  searchMatches = [];
-  currentMatchIndex = 0;
-  lastSearchTerm = '';
-  searchActive = false;
+function getCurrentBookInfo() {
+  if (currentBookData && currentBookData.name === currentBook) return currentBookData;
+  return booksJson ? booksJson.books.find(b => b.name === currentBook) || null : null;
 }
 
 /**
- * Remove all search highlights from verse text
- * Replaces .search-highlight and .search-highlight-current spans with plain text nodes
+ * Reference for the selection, with consecutive verses merged into ranges
+ * @returns {Object|null} { book, segments, label } like BibleReference.parseReference
  */
-function clearSearchHighlights() {
-  const highlights = document.querySelectorAll('.search-highlight, .search-highlight-current');
-  highlights.forEach(highlight => {
-    const text = highlight.textContent;
-    const parent = highlight.parentNode;
-    if (parent) {
-      parent.replaceChild(document.createTextNode(text), highlight);
-      // Merge adjacent text nodes to restore original structure
-      parent.normalize();
+function getVerseSelectionReference() {
+  const book = getCurrentBookInfo();
+  if (!book || !hasVerseSelection()) return null;
+
+  const segments = [];
+  verseSelection.verses.forEach(v => {
+    const last = segments[segments.length - 1];
+    if (last && last.endVerse === v - 1) {
+      last.endVerse = v;
+    } else {
+      segments.push({ chapter: currentChapter, verse: v, endChapter: currentChapter, endVerse: v });
     }
   });
+
+  return { book: book, segments: segments, label: BibleReference.formatReference(book, segments) };
 }
 
 /**
- * Update search results display with match count
- * @param {string} searchTerm - The search term
+ * Selected verses' text, read from the pane the selection was made in
+ * @returns {Array<{verse: number, text: string}>}
  */
-function updateSearchResultsDisplay(searchTerm) {
-  const resultText = searchMatches.length === 1
-    ? `1 match found for "${searchTerm}"`
-    : `${searchMatches.length} matches found for "${searchTerm}"`;
-  document.getElementById('searchResults').textContent = resultText;
-}
+function getSelectedVerseTexts() {
+  const containerId = !isParallelEnabled()
+    ? 'versesContainer'
+    : (verseSelection.versionId === getCurrentVersionId() ? 'primaryVersesContainer' : 'secondaryVersesContainer');
+  const container = document.getElementById(containerId);
+  if (!container) return [];
+
+  return verseSelection.verses.map(verse => {
+    const el = container.querySelector(`.verse[data-verse="${verse}"]`);
+    if (!el) return null;
+    const textEl = el.querySelector('.verse-text');
+    let text;
+    if (textEl) {
+      text = textEl.textContent;
+    } else {
+      // Parallel panes: verse number span followed by a text node
+      const clone = el.cloneNode(true);
+      clone.querySelectorAll('.verse-num, .verse-number, .note-indicator').forEach(n => n.remove());
+      text = clone.textContent;
+    }
+    return { verse: verse, text: text.trim() };
+  }).filter(Boolean);
+}
 
-// Set up Enter key handler for search input with smart navigation
-const searchInput = document.getElementById('chapterSearchInput');
-if (searchInput) {
-  searchInput.addEventListener('keypress', (event) => {
-    if (event.key === 'Enter') {
-      event.preventDefault(); // Prevent form submission
+/**
+ * The selection as a passage for formatCitation()
+ * @returns {Object|null} { label, versionName, verses: [{ verse, text }] }
+ */
+function getVerseSelectionPassage() {
+  const reference = getVerseSelectionReference();
+  const verses = getSelectedVerseTexts();
+  if (!reference || verses.length === 0) return null;
+
+  const version = getVersion(verseSelection.versionId);
+  return {
+    label: reference.label,
+    versionName: version ? version.shortName : '',
+    verses: verses
+  };
+}
 
-      const searchTerm = searchInput.value.trim();
+/**
+ * Copy text to the clipboard (Clipboard API, with a textarea fallback)
+ * @param {string} text
+ * @returns {Promise<boolean>} True if copied
+ */
+async function copyTextToClipboard(text) {
+  try {
+    if (navigator.clipboard && window.isSecureContext) {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+  } catch (error) {
+    console.warn('[Selection] Clipboard API failed, trying fallback:', error.message);
+  }
 
-      if (!searchTerm) {
-        return; // Do nothing if empty
-      }
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch (error) {
+    console.warn('[Selection] Copy fallback failed:', error.message);
+  }
+  textarea.remove();
+  return copied;
+}
 
-      // Check if this is a new search or continuation
-      const isNewSearch = searchTerm !== lastSearchTerm || !searchActive;
+/**
+ * Show the toolbar with the selection's reference, or hide it when empty
+ */
+function updateVerseToolbar() {
+  const toolbar = document.getElementById('verseToolbar');
+  if (!toolbar) return;
+
+  const reference = getVerseSelectionReference();
+  if (!reference) {
+    toolbar.classList.remove('visible');
+    toolbar.setAttribute('aria-hidden', 'true');
+    toggleHighlightPalette(false);
+    return;
+  }
 
-      if (isNewSearch) {
-        // Perform new search
-        performChapterSearch();
-        lastSearchTerm = searchTerm;
-        searchActive = searchMatches.length > 0;
-      } else {
-        // Navigate existing matches
-        if (event.shiftKey) {
-          goToPreviousMatch();
-        } else {
-          goToNextMatch();
-        }
-      }
-    }
-  });
+  const version = getVersion(verseSelection.versionId);
+  document.getElementById('verseToolbarLabel').textContent =
+    reference.label + (version ? ` (${version.shortName})` : '');
+  toolbar.classList.add('visible');
+  toolbar.setAttribute('aria-hidden', 'false');
 }
 
-// ========================================
-// Back to Top Button Functionality
-// ========================================
+/**
+ * Toolbar: copy the selected verses in the chosen citation style
+ */
+async function copySelectedVerses() {
+  const passage = getVerseSelectionPassage();
+  if (!passage) return;
+
+  if (await copyPassage(passage)) {
+    clearVerseSelection();
+  }
+}
 
 /**
- * Scroll to the top of the page (for back-to-top button).
- * Respects prefers-reduced-motion.
+ * Toolbar: share the selected verses (Web Share API, else copy)
  */
-function scrollToTop() {
-  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-  window.scrollTo({ top: 0, behavior: prefersReducedMotion ? 'instant' : 'smooth' });
+async function shareSelectedVerses() {
+  const passage = getVerseSelectionPassage();
+  if (!passage) return;
+
+  const url = getPassageUrl(currentBook, currentChapter, verseSelection.verses[0]);
+  if (await sharePassage(passage, url)) {
+    clearVerseSelection();
+  }
 }
 
-// Show/hide back-to-top button based on scroll position
-window.addEventListener('scroll', () => {
-  const backToTopBtn = document.getElementById('backToTopBtn');
-  if (backToTopBtn) {
-    if (window.scrollY > 400) {
-      backToTopBtn.style.display = 'inline-flex';
-    } else {
-      backToTopBtn.style.display = 'none';
-    }
+/**
+ * Toolbar: open the highlight palette for the selected verses
+ */
+function highlightSelectedVerses() {
+  toggleHighlightPalette();
+}
+
+/**
+ * Toolbar: bookmark the selected verses (first to last), or edit the
+ * bookmark on exactly that range
+ */
+function bookmarkSelectedVerses() {
+  if (!hasVerseSelection()) return;
+
+  const verse = verseSelection.verses[0];
+  const endVerse = verseSelection.verses[verseSelection.verses.length - 1];
+  const existing = loadBookmarks().find(b =>
+    b.bookId === currentBook && b.chapter === currentChapter && b.verse === verse && b.endVerse === endVerse
+  );
+
+  clearVerseSelection();
+  if (existing) {
+    openBookmarkEditor({ bookmarkId: existing.id });
+  } else {
+    openBookmarkEditor({ verse: verse, endVerse: endVerse });
+  }
+}
+
+document.addEventListener('click', handleVerseClick);
+
+// Shift-click extends the verse selection, not the browser's text selection
+document.addEventListener('mousedown', (event) => {
+  if (event.shiftKey && event.target.closest('.verse') && event.target.closest(VERSE_SELECTION_CONTAINERS)) {
+    event.preventDefault();
   }
 });
 
 // ========================================
-// Parallel View Back-to-Top
+// Copy & Share Citations
 // ========================================
 
 /**
- * Scroll both parallel panes to top.
- * Respects prefers-reduced-motion.
+ * Read the citation preferences
+ * @returns {Object} { style, verseNumbers }
  */
-function scrollParallelPanesToTop() {
-  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-  const leftPane = document.querySelector('.parallel-pane.left-pane');
-  const rightPane = document.querySelector('.parallel-pane.right-pane');
+function getCitationOptions() {
+  let style = CITATION_STYLE_DEFAULT;
+  let verseNumbers = true;
+  try {
+    const savedStyle = localStorage.getItem(CITATION_STYLE_KEY);
+    if (savedStyle && CITATION_STYLES[savedStyle]) {
+      style = savedStyle;
+    }
+    verseNumbers = localStorage.getItem(CITATION_VERSE_NUMBERS_KEY) !== 'false';
+  } catch (e) {
+    console.warn('[Citation] localStorage not available:', e.message);
+  }
+  return { style: style, verseNumbers: verseNumbers };
+}
 
-  if (leftPane) {
-    leftPane.scrollTo({ top: 0, behavior: prefersReducedMotion ? 'instant' : 'smooth' });
+/**
+ * Save a citation preference
+ * @param {string} key - CITATION_STYLE_KEY or CITATION_VERSE_NUMBERS_KEY
+ * @param {string} value
+ */
+function saveCitationOption(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (e) {
+    console.warn('[Citation] Could not save preference:', e.message);
   }
-  if (rightPane) {
-    rightPane.scrollTo({ top: 0, behavior: prefersReducedMotion ? 'instant' : 'smooth' });
+}
+
+/**
+ * Format a passage for copying or sharing.
+ *
+ * Styles (CITATION_STYLES):
+ *   inline    "For God so loved..." — John 3:16 (WEB)
+ *   block     one verse per line, then "— John 3:16–17 (WEB)"
+ *   markdown  "> " quoted lines, bold verse numbers, italic reference
+ * Verse numbers are only added to passages of more than one verse.
+ *
+ * @param {Object} passage - { label, versionName, verses: [{ verse, text }] }
+ * @param {Object} [options] - { style, verseNumbers } (defaults: saved preferences)
+ * @returns {string}
+ */
+function formatCitation(passage, options) {
+  const { style, verseNumbers } = Object.assign(getCitationOptions(), options);
+  const numbered = verseNumbers && passage.verses.length > 1;
+  const citation = passage.label + (passage.versionName ? ` (${passage.versionName})` : '');
+
+  if (style === 'markdown') {
+    const lines = passage.verses.map(v => '> ' + (numbered ? `**${v.verse}** ` : '') + v.text);
+    return lines.join('\n') + '\n>\n> — *' + citation + '*';
+  }
+
+  if (style === 'block') {
+    const lines = passage.verses.map(v => (numbered ? `${v.verse} ` : '') + v.text);
+    return lines.join('\n') + '\n— ' + citation;
   }
+
+  const body = passage.verses.map(v => (numbered ? `${v.verse} ` : '') + v.text).join(' ');
+  return `"${body}" — ${citation}`;
 }
 
 /**
- * Initialize scroll listeners for parallel panes to show/hide back-to-top button.
- * Called when parallel view is enabled.
+ * Copy a passage in the chosen citation style and confirm with a toast
+ * @param {Object} passage - See formatCitation()
+ * @returns {Promise<boolean>} True if copied
  */
-function initParallelBackToTop() {
-  const leftPane = document.querySelector('.parallel-pane.left-pane');
-  const rightPane = document.querySelector('.parallel-pane.right-pane');
-  const backToTopBtn = document.getElementById('parallelBackToTopBtn');
+async function copyPassage(passage) {
+  if (await copyTextToClipboard(formatCitation(passage))) {
+    showToast(`Copied ${passage.label}`);
+    return true;
+  }
+  showToast('Could not copy. Please try again.');
+  return false;
+}
 
-  if (!leftPane || !rightPane || !backToTopBtn) return;
+/**
+ * Share a passage with the Web Share API, falling back to the clipboard
+ * @param {Object} passage - See formatCitation()
+ * @param {string} url - Deep link to the passage
+ * @returns {Promise<boolean>} True if shared or copied
+ */
+async function sharePassage(passage, url) {
+  if (!navigator.share) {
+    return copyPassage(passage);
+  }
 
-  const updateButtonVisibility = () => {
-    // Show if either pane is scrolled down more than 200px
-    const shouldShow = leftPane.scrollTop > 200 || rightPane.scrollTop > 200;
-    backToTopBtn.style.display = shouldShow ? 'flex' : 'none';
-  };
+  try {
+    await navigator.share({
+      title: passage.label,
+      text: formatCitation(passage),
+      url: url
+    });
+    return true;
+  } catch (error) {
+    // AbortError: the reader closed the share sheet
+    if (error.name !== 'AbortError') {
+      console.warn('[Citation] Share failed, copying instead:', error);
+      return copyPassage(passage);
+    }
+    return false;
+  }
+}
 
-  // Add scroll listeners to both panes
-  leftPane.addEventListener('scroll', updateButtonVisibility);
-  rightPane.addEventListener('scroll', updateButtonVisibility);
+/**
+ * The whole current chapter (primary version) as a passage
+ * @returns {Object|null} See formatCitation()
+ */
+function getCurrentChapterPassage() {
+  const book = getCurrentBookInfo();
+  if (!book || !bookData || !bookData[currentChapter]) return null;
+
+  const chapterVerses = bookData[currentChapter];
+  const verses = Object.keys(chapterVerses)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(verse => ({ verse: verse, text: chapterVerses[verse] }));
+  const version = getCurrentVersion();
+
+  return {
+    label: BibleReference.formatReference(book, [{ chapter: currentChapter, verse: null, endChapter: currentChapter, endVerse: null }]),
+    versionName: version ? version.shortName : '',
+    verses: verses
+  };
+}
 
-  // Initial check
-  updateButtonVisibility();
+/**
+ * Chapter nav: share (or copy) the whole current chapter
+ */
+async function shareCurrentChapter() {
+  const passage = getCurrentChapterPassage();
+  if (!passage) return;
+  await sharePassage(passage, getPassageUrl(currentBook, currentChapter));
 }
 
 /**
- * Hide parallel back-to-top button (called when parallel view is disabled).
+ * Initialize the citation style controls in Settings > Reading Preferences
+ * Called when Settings modal opens
  */
-function hideParallelBackToTop() {
-  const backToTopBtn = document.getElementById('parallelBackToTopBtn');
-  if (backToTopBtn) {
-    backToTopBtn.style.display = 'none';
+function initCitationSettings() {
+  const styleSelect = document.getElementById('citationStyleSelect');
+  const numbersToggle = document.getElementById('citationVerseNumbersToggle');
+  if (!styleSelect || !numbersToggle) return;
+
+  if (!styleSelect.options.length) {
+    Object.keys(CITATION_STYLES).forEach(style => {
+      const option = document.createElement('option');
+      option.value = style;
+      option.textContent = CITATION_STYLES[style];
+      styleSelect.appendChild(option);
+    });
   }
+
+  const options = getCitationOptions();
+  styleSelect.value = options.style;
+  numbersToggle.checked = options.verseNumbers;
+
+  styleSelect.onchange = () => {
+    saveCitationOption(CITATION_STYLE_KEY, styleSelect.value);
+    updateCitationPreview();
+  };
+  numbersToggle.onchange = () => {
+    saveCitationOption(CITATION_VERSE_NUMBERS_KEY, numbersToggle.checked ? 'true' : 'false');
+    updateCitationPreview();
+  };
+
+  updateCitationPreview();
+}
+
+/**
+ * Show a sample citation in the current style
+ */
+function updateCitationPreview() {
+  const preview = document.getElementById('citationPreview');
+  if (!preview) return;
+
+  preview.textContent = formatCitation({
+    label: 'John 3:16–17',
+    versionName: 'WEB',
+    verses: [
+      { verse: 16, text: 'For God so loved the world, that he gave his one and only Son...' },
+      { verse: 17, text: 'For God didn\'t send his Son into the world to judge the world...' }
+    ]
+  });
 }
 
 // ========================================
-// Settings Modal & Backup/Restore
+// Verse Highlights
 // ========================================
+//
+// Stored in the highlights store as records, one per version and
+// verse: { id, versionId, bookId, chapter, verse, color, createdAt, updatedAt }.
+// The id is derived from the reference so re-highlighting updates in place.
 
 /**
- * Render the reading plans list in the Settings modal.
- * Shows plan cards with active badge and progress info.
+ * Load highlights
+ * @returns {Array} Array of highlight records
  */
-function renderReadingPlansList() {
-  const container = document.getElementById('readingPlansList');
-  if (!container) {
-    return;
-  }
+function loadHighlights() {
+  return userRecords.highlights.slice();
+}
 
-  // Clear previous content
-  container.innerHTML = '';
+/**
+ * Save highlights
+ * @param {Array} highlights - Array of highlight records
+ */
+function saveHighlights(highlights) {
+  saveUserRecords('highlights', highlights);
+}
 
-  // Check if BibleReading API is available
-  if (!window.BibleReading || typeof BibleReading.getPlans !== 'function') {
-    const errorP = document.createElement('p');
-    errorP.className = 'reading-plans-empty';
-    errorP.textContent = 'Reading plans are not available right now.';
-    container.appendChild(errorP);
-    return;
+/**
+ * Record id for a highlight
+ * @returns {string} e.g. "en-web:John:3:16"
+ */
+function getHighlightId(versionId, bookId, chapter, verse) {
+  return `${versionId}:${bookId}:${chapter}:${verse}`;
+}
+
+/**
+ * Set or clear the highlight color of verses
+ * @param {string} versionId - Version the highlight belongs to
+ * @param {string} bookId - Book name
+ * @param {number} chapter - Chapter number
+ * @param {Array<number>} verses - Verse numbers
+ * @param {string|null} color - Key of HIGHLIGHT_COLORS, or null to remove
+ */
+function setVerseHighlights(versionId, bookId, chapter, verses, color) {
+  const now = new Date().toISOString();
+  const ids = new Set(verses.map(verse => getHighlightId(versionId, bookId, chapter, verse)));
+  const highlights = loadHighlights();
+  const existing = new Map(highlights.filter(h => ids.has(h.id)).map(h => [h.id, h]));
+  const kept = highlights.filter(h => !ids.has(h.id));
+
+  if (color) {
+    verses.forEach(verse => {
+      const id = getHighlightId(versionId, bookId, chapter, verse);
+      const previous = existing.get(id);
+      kept.push({
+        id,
+        versionId,
+        bookId,
+        chapter,
+        verse,
+        color,
+        createdAt: previous ? previous.createdAt : now,
+        updatedAt: now
+      });
+    });
   }
 
-  const allPlans = BibleReading.getPlans();
-  const currentPlanId = BibleReading.getCurrentPlanId();
-  const plansArray = Object.values(allPlans);
+  saveHighlights(kept);
+}
 
-  // Empty state (shouldn't happen now that we have builtins)
-  if (plansArray.length === 0) {
-    const emptyP = document.createElement('p');
-    emptyP.className = 'reading-plans-empty';
-    emptyP.textContent = "No reading plans yet. Start reading a book and we'll track your progress automatically.";
-    container.appendChild(emptyP);
-    return;
+/**
+ * Check whether highlights made in other translations are shown
+ * @returns {boolean}
+ */
+function isShowingHighlightsFromAllVersions() {
+  try {
+    return localStorage.getItem(HIGHLIGHTS_ALL_VERSIONS_KEY) === 'true';
+  } catch (e) {
+    return false;
   }
+}
 
-  // Explicit sort for cross-device consistency:
-  // 1. Active plan first (if exists)
-  // 2. Remaining plans alphabetically by name
-  const activePlan = currentPlanId ? allPlans[currentPlanId] : null;
-  const otherPlans = plansArray
-    .filter(p => p.id !== currentPlanId)
-    .sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
-  const sortedPlans = activePlan ? [activePlan, ...otherPlans] : otherPlans;
-
-  // Render each plan as a card (in sorted order)
-  sortedPlans.forEach(plan => {
-    const planId = plan.id;
-    const isActive = planId === currentPlanId;
+/**
+ * Highlights to show for a chapter in one version
+ * @param {string} versionId - Version on screen
+ * @param {string} bookId - Book name
+ * @param {number} chapter - Chapter number
+ * @returns {Map<number, {color: string, borrowed: boolean}>} verse -> highlight;
+ *   borrowed highlights come from another translation (newest wins)
+ */
+function getChapterHighlights(versionId, bookId, chapter) {
+  const showAll = isShowingHighlightsFromAllVersions();
+  const result = new Map();
+
+  loadHighlights()
+    .filter(h => h.bookId === bookId && h.chapter === chapter && (showAll || h.versionId === versionId))
+    .sort((a, b) => (a.updatedAt || '').localeCompare(b.updatedAt || ''))
+    .forEach(h => {
+      const own = h.versionId === versionId;
+      const current = result.get(h.verse);
+      // The version's own highlight always beats one borrowed from elsewhere
+      if (!current || own || current.borrowed) {
+        result.set(h.verse, { color: h.color, borrowed: !own });
+      }
+    });
 
-    const card = document.createElement('div');
-    card.className = 'reading-plan-card';
-    card.setAttribute('role', 'button');
-    card.setAttribute('tabindex', '0');
-    card.setAttribute('aria-label', (plan.name || planId) + (isActive ? ' (Active)' : ''));
+  return result;
+}
 
-    // Header row with title and optional Active badge
-    const header = document.createElement('div');
-    header.className = 'reading-plan-header';
+/**
+ * Paint highlights onto the verses in a container
+ * @param {HTMLElement} container - #versesContainer or a parallel pane
+ * @param {string} versionId - Version shown in the container
+ */
+function renderHighlights(container, versionId) {
+  if (!container) return;
+
+  const highlights = getChapterHighlights(versionId, currentBook, currentChapter);
+  container.querySelectorAll('.verse').forEach(el => {
+    Object.keys(HIGHLIGHT_COLORS).forEach(color => el.classList.remove(`verse-hl-${color}`));
+    el.classList.remove('verse-hl-borrowed');
+
+    const highlight = highlights.get(Number(el.dataset.verse));
+    if (highlight && HIGHLIGHT_COLORS[highlight.color]) {
+      el.classList.add(`verse-hl-${highlight.color}`);
+      el.classList.toggle('verse-hl-borrowed', highlight.borrowed);
+    }
+  });
+}
 
-    const title = document.createElement('span');
-    title.className = 'reading-plan-title';
-    title.textContent = plan.name || planId;
-    header.appendChild(title);
+/**
+ * Re-paint highlights in every visible verse container
+ */
+function refreshHighlights() {
+  document.querySelectorAll(VERSE_SELECTION_CONTAINERS).forEach(container => {
+    renderHighlights(container, getContainerVersionId(container));
+  });
+}
 
-    if (isActive) {
-      const badge = document.createElement('span');
-      badge.className = 'reading-plan-badge-active';
-      badge.textContent = 'Active';
-      header.appendChild(badge);
+/**
+ * Build the color swatches in the verse toolbar's palette (once)
+ */
+function initHighlightPalette() {
+  const palette = document.getElementById('highlightPalette');
+  if (!palette || palette.childElementCount) return;
+
+  Object.keys(HIGHLIGHT_COLORS).forEach(color => {
+    const swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.className = `highlight-swatch verse-hl-${color}`;
+    swatch.title = HIGHLIGHT_COLORS[color];
+    swatch.setAttribute('aria-label', `Highlight ${HIGHLIGHT_COLORS[color].toLowerCase()}`);
+    swatch.onclick = () => applyHighlightToSelection(color);
+    palette.appendChild(swatch);
+  });
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'highlight-swatch highlight-swatch-remove';
+  remove.title = 'Remove highlight';
+  remove.setAttribute('aria-label', 'Remove highlight');
+  remove.textContent = '⌫';
+  remove.onclick = () => applyHighlightToSelection(null);
+  palette.appendChild(remove);
+}
+
+/**
+ * Show or hide the highlight palette
+ * @param {boolean} [open] - Force open/closed (toggles when omitted)
+ */
+function toggleHighlightPalette(open) {
+  const palette = document.getElementById('highlightPalette');
+  if (!palette) return;
+  initHighlightPalette();
+  palette.hidden = open === undefined ? !palette.hidden : !open;
+}
+
+/**
+ * Highlight (or un-highlight) the selected verses in the version they were selected in
+ * @param {string|null} color - Key of HIGHLIGHT_COLORS, or null to remove
+ */
+function applyHighlightToSelection(color) {
+  const reference = getVerseSelectionReference();
+  if (!reference) return;
+
+  setVerseHighlights(verseSelection.versionId, currentBook, currentChapter, verseSelection.verses, color);
+  refreshHighlights();
+  showToast(color ? `Highlighted ${reference.label}` : `Removed highlight from ${reference.label}`);
+  clearVerseSelection();
+}
+
+/**
+ * Initialize the "show highlights from other translations" toggle
+ * Called when Settings modal opens
+ */
+function initHighlightSettings() {
+  const toggle = document.getElementById('highlightsAllVersionsToggle');
+  if (!toggle) return;
+
+  toggle.checked = isShowingHighlightsFromAllVersions();
+  toggle.onchange = () => {
+    try {
+      localStorage.setItem(HIGHLIGHTS_ALL_VERSIONS_KEY, toggle.checked ? 'true' : 'false');
+    } catch (e) {
+      console.warn('[Highlights] Could not save preference:', e.message);
     }
+    refreshHighlights();
+  };
+}
 
-    card.appendChild(header);
+// ========================================
+// Verse Notes
+// ========================================
+//
+// Stored in the notes store as
+// { id, bookId, chapter, verse, endVerse, text, createdAt, updatedAt }.
+// Notes belong to the reference, not a version, so they show in every translation.
 
-    // Meta line with progress info or description
-    const meta = document.createElement('p');
-    meta.className = 'reading-plan-meta';
+// Note open in the editor: an existing note, or the reference of a new one
+let editingNote = null;
 
-    if (planId === 'current-book' && plan.config && plan.progress) {
-      // Special handling for current-book plan
-      const bookId = plan.config.bookId;
-      const totalChapters = plan.config.totalChapters;
-      const lastChapter = plan.progress.lastChapter;
+/**
+ * Load notes
+ * @returns {Array} Array of note objects
+ */
+function loadNotes() {
+  return userRecords.notes.slice();
+}
 
-      if (bookId && totalChapters && lastChapter) {
-        meta.textContent = `Book: ${bookId} • Last: ${lastChapter} / ${totalChapters}`;
-      } else if (bookId) {
-        meta.textContent = `Book: ${bookId}`;
+/**
+ * Save notes
+ * @param {Array} notes - Array of note objects
+ */
+function saveNotes(notes) {
+  saveUserRecords('notes', notes).then(saved => {
+    if (!saved) showToast('Could not save note. Storage may be full.');
+  });
+}
+
+/**
+ * Readable reference for a note ("John 3:16–18")
+ * @param {Object} note - Note object
+ * @returns {string}
+ */
+function getNoteLabel(note) {
+  const book = booksJson ? booksJson.books.find(b => b.name === note.bookId) : null;
+  const segment = { chapter: note.chapter, verse: note.verse, endChapter: note.chapter, endVerse: note.endVerse || note.verse };
+  if (book && window.BibleReference) {
+    return BibleReference.formatReference(book, [segment]);
+  }
+  const end = segment.endVerse !== segment.verse ? '–' + segment.endVerse : '';
+  return `${note.bookId} ${note.chapter}:${note.verse}${end}`;
+}
+
+/**
+ * Add note indicators beside the verse numbers of a container
+ * @param {HTMLElement} container - #versesContainer or a parallel pane
+ */
+function renderNoteIndicators(container) {
+  if (!container) return;
+
+  container.querySelectorAll('.note-indicator').forEach(el => el.remove());
+
+  // Group by starting verse; the indicator opens the first note there
+  const byVerse = new Map();
+  loadNotes()
+    .filter(note => note.bookId === currentBook && note.chapter === currentChapter)
+    .forEach(note => {
+      if (!byVerse.has(note.verse)) byVerse.set(note.verse, []);
+      byVerse.get(note.verse).push(note);
+    });
+
+  byVerse.forEach((notes, verse) => {
+    const verseEl = container.querySelector(`.verse[data-verse="${verse}"]`);
+    const numberEl = verseEl ? verseEl.querySelector('.verse-number, .verse-num') : null;
+    if (!numberEl) return;
+
+    const indicator = document.createElement('button');
+    indicator.type = 'button';
+    indicator.className = 'note-indicator';
+    indicator.textContent = '📝';
+    indicator.title = notes.length === 1 ? 'Note on ' + getNoteLabel(notes[0]) : `${notes.length} notes`;
+    indicator.setAttribute('aria-label', 'Open ' + (notes.length === 1 ? 'note on ' + getNoteLabel(notes[0]) : `${notes.length} notes on verse ${verse}`));
+    indicator.onclick = (event) => {
+      // Don't toggle the verse selection
+      event.stopPropagation();
+      if (notes.length === 1) {
+        openNoteEditor({ noteId: notes[0].id });
       } else {
-        meta.textContent = 'Tracks your current book automatically.';
+        openNotesModal(getNoteLabel({ bookId: currentBook, chapter: currentChapter, verse: verse }));
       }
-    } else if (plan.meta) {
-      // Built-in plans with meta string
-      meta.textContent = plan.meta;
-    } else if (plan.description) {
-      // Fallback to description (truncate if long)
-      const desc = plan.description;
-      meta.textContent = desc.length > 60 ? desc.substring(0, 57) + '...' : desc;
-    } else {
-      meta.textContent = 'Custom reading plan.';
+    };
+    numberEl.after(indicator);
+  });
+}
+
+/**
+ * Re-draw note indicators in every visible verse container
+ */
+function refreshNoteIndicators() {
+  document.querySelectorAll(VERSE_SELECTION_CONTAINERS).forEach(renderNoteIndicators);
+}
+
+/**
+ * Open the note editor
+ * @param {Object} target - { noteId } to edit, or { bookId, chapter, verse, endVerse } for a new note
+ */
+function openNoteEditor(target) {
+  let note = null;
+  if (target.noteId) {
+    note = loadNotes().find(n => n.id === target.noteId);
+    if (!note) return;
+  }
+
+  editingNote = note
+    ? { id: note.id, bookId: note.bookId, chapter: note.chapter, verse: note.verse, endVerse: note.endVerse }
+    : { id: null, bookId: target.bookId, chapter: target.chapter, verse: target.verse, endVerse: target.endVerse || target.verse };
+
+  document.getElementById('noteEditorTitle').textContent = 'Note · ' + getNoteLabel(editingNote);
+  const textarea = document.getElementById('noteEditorText');
+  textarea.value = note ? note.text : '';
+  document.getElementById('noteEditorDelete').style.display = note ? '' : 'none';
+  document.getElementById('noteEditorMeta').textContent = note
+    ? 'Last edited ' + new Date(note.updatedAt).toLocaleString()
+    : '';
+  updateNoteEditorCount();
+
+  lockBodyScroll();
+  document.getElementById('noteEditorOverlay').classList.add('active');
+  setTimeout(() => textarea.focus(), 0);
+}
+
+/**
+ * Close the note editor without saving
+ * @param {Event} event - Optional event object from click handler
+ */
+function closeNoteEditor(event) {
+  if (!event || event.target === event.currentTarget) {
+    document.getElementById('noteEditorOverlay').classList.remove('active');
+    editingNote = null;
+    unlockBodyScroll();
+  }
+}
+
+/**
+ * Show the character count under the note editor
+ */
+function updateNoteEditorCount() {
+  const textarea = document.getElementById('noteEditorText');
+  document.getElementById('noteEditorCount').textContent = `${textarea.value.length} / ${textarea.maxLength}`;
+}
+
+/**
+ * Save the note in the editor (an empty note deletes an existing one)
+ */
+function saveNoteFromEditor() {
+  if (!editingNote) return;
+
+  const text = document.getElementById('noteEditorText').value.trim();
+  if (!text) {
+    if (editingNote.id) {
+      deleteNote(editingNote.id);
+    }
+    closeNoteEditor();
+    return;
+  }
+
+  const notes = loadNotes();
+  const now = new Date().toISOString();
+  const existing = editingNote.id ? notes.find(n => n.id === editingNote.id) : null;
+
+  if (existing) {
+    existing.text = text;
+    existing.updatedAt = now;
+  } else {
+    notes.unshift({
+      id: `${editingNote.bookId}-${editingNote.chapter}-${editingNote.verse}-${Date.now()}`,
+      bookId: editingNote.bookId,
+      chapter: editingNote.chapter,
+      verse: editingNote.verse,
+      endVerse: editingNote.endVerse,
+      text: text,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  saveNotes(notes);
+  showToast(`Saved note on ${getNoteLabel(editingNote)}`);
+  closeNoteEditor();
+  refreshNoteIndicators();
+  refreshNotesListIfOpen();
+}
+
+/**
+ * Delete button in the note editor
+ */
+function deleteNoteFromEditor() {
+  if (!editingNote || !editingNote.id) return;
+  if (!confirm('Delete this note?')) return;
+
+  deleteNote(editingNote.id);
+  closeNoteEditor();
+}
+
+/**
+ * Remove a note by ID
+ * @param {string} id - The note ID to remove
+ */
+function deleteNote(id) {
+  saveNotes(loadNotes().filter(n => n.id !== id));
+  refreshNoteIndicators();
+  refreshNotesListIfOpen();
+}
+
+/**
+ * Toolbar: add a note to the selected verses (or edit the note on exactly that range)
+ */
+function noteSelectedVerses() {
+  if (!hasVerseSelection()) return;
+
+  const verse = verseSelection.verses[0];
+  const endVerse = verseSelection.verses[verseSelection.verses.length - 1];
+  const existing = loadNotes().find(n =>
+    n.bookId === currentBook && n.chapter === currentChapter && n.verse === verse && (n.endVerse || n.verse) === endVerse
+  );
+
+  clearVerseSelection();
+  if (existing) {
+    openNoteEditor({ noteId: existing.id });
+  } else {
+    openNoteEditor({ bookId: currentBook, chapter: currentChapter, verse: verse, endVerse: endVerse });
+  }
+}
+
+/**
+ * Open the notes browser
+ * @param {string} [filter] - Initial filter text
+ */
+function openNotesModal(filter) {
+  lockBodyScroll();
+  const filterInput = document.getElementById('notesFilterInput');
+  filterInput.value = filter || '';
+  document.getElementById('notesSortSelect').value = getNotesSortOrder();
+  renderNotesList();
+  document.getElementById('notesModalOverlay').classList.add('active');
+  setTimeout(() => filterInput.focus(), 0);
+}
+
+/**
+ * Close the notes browser
+ * @param {Event} event - Optional event object from click handler
+ */
+function closeNotesModal(event) {
+  if (!event || event.target === event.currentTarget) {
+    document.getElementById('notesModalOverlay').classList.remove('active');
+    unlockBodyScroll();
+  }
+}
+
+/**
+ * Saved sort order for the notes browser
+ * @returns {string} 'canonical' or 'date'
+ */
+function getNotesSortOrder() {
+  try {
+    return localStorage.getItem(NOTES_SORT_KEY) === 'date' ? 'date' : 'canonical';
+  } catch (e) {
+    return 'canonical';
+  }
+}
+
+/**
+ * Sort select change handler
+ * @param {string} order - 'canonical' or 'date'
+ */
+function changeNotesSortOrder(order) {
+  try {
+    localStorage.setItem(NOTES_SORT_KEY, order);
+  } catch (e) {
+    console.warn('[Notes] Could not save sort order:', e.message);
+  }
+  renderNotesList();
+}
+
+/**
+ * Re-render the notes list if the browser is open
+ */
+function refreshNotesListIfOpen() {
+  const overlay = document.getElementById('notesModalOverlay');
+  if (overlay && overlay.classList.contains('active')) {
+    renderNotesList();
+  }
+}
+
+/**
+ * Render the notes list: filtered by #notesFilterInput, sorted canonically
+ * (books.json `order`, chapter, verse) or newest first
+ */
+function renderNotesList() {
+  const container = document.getElementById('notesContainer');
+  const filter = document.getElementById('notesFilterInput').value.trim().toLowerCase();
+  const order = getNotesSortOrder();
+  const allNotes = loadNotes();
+
+  const bookOrder = new Map((booksJson ? booksJson.books : []).map(b => [b.name, b.order]));
+  const notes = allNotes
+    .map(note => ({ note: note, label: getNoteLabel(note) }))
+    .filter(item => !filter ||
+      item.note.text.toLowerCase().includes(filter) ||
+      item.label.toLowerCase().includes(filter))
+    .sort((a, b) => {
+      if (order === 'date') {
+        return (b.note.updatedAt || '').localeCompare(a.note.updatedAt || '');
+      }
+      return (bookOrder.get(a.note.bookId) || 0) - (bookOrder.get(b.note.bookId) || 0) ||
+        a.note.chapter - b.note.chapter ||
+        a.note.verse - b.note.verse;
+    });
+
+  container.innerHTML = '';
+
+  if (notes.length === 0) {
+    container.innerHTML = allNotes.length === 0
+      ? '<div class="empty-state">' +
+          '<p class="empty-title">You haven\'t written any notes yet.</p>' +
+          '<p class="empty-hint">Tap a verse, then 📝 in the toolbar to add a note.</p>' +
+        '</div>'
+      : '<div class="empty-state">' +
+          '<p class="empty-title">No notes match your filter.</p>' +
+        '</div>';
+    return;
+  }
+
+  notes.forEach(({ note, label }) => {
+    const item = document.createElement('div');
+    item.className = 'note-item';
+
+    const link = document.createElement('button');
+    link.className = 'note-link';
+    link.onclick = () => navigateToNote(note.id);
+    link.setAttribute('aria-label', `Go to ${label}`);
+
+    const ref = document.createElement('span');
+    ref.className = 'note-ref';
+    ref.textContent = label;
+    const date = document.createElement('span');
+    date.className = 'note-date';
+    date.textContent = new Date(note.updatedAt).toLocaleDateString();
+    const text = document.createElement('span');
+    text.className = 'note-text';
+    text.textContent = note.text;
+
+    link.appendChild(ref);
+    link.appendChild(date);
+    link.appendChild(text);
+
+    const edit = document.createElement('button');
+    edit.className = 'note-edit';
+    edit.textContent = '✎';
+    edit.title = 'Edit note';
+    edit.setAttribute('aria-label', `Edit note on ${label}`);
+    edit.onclick = () => {
+      closeNotesModal();
+      openNoteEditor({ noteId: note.id });
+    };
+
+    const remove = document.createElement('button');
+    remove.className = 'bookmark-delete';
+    remove.textContent = '×';
+    remove.title = 'Delete note';
+    remove.setAttribute('aria-label', `Delete note on ${label}`);
+    remove.onclick = () => {
+      if (confirm(`Delete note on ${label}?`)) deleteNote(note.id);
+    };
+
+    item.appendChild(link);
+    item.appendChild(edit);
+    item.appendChild(remove);
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Jump to a note's passage and highlight its verses
+ * @param {string} noteId - The ID of the note to navigate to
+ */
+async function navigateToNote(noteId) {
+  const note = loadNotes().find(n => n.id === noteId);
+  if (!note) return;
+
+  closeNotesModal();
+
+  const verses = [];
+  for (let v = note.verse; v <= (note.endVerse || note.verse); v++) {
+    verses.push(v);
+  }
+  await goToPassage(note.bookId, note.chapter, verses);
+}
+
+// Keyboard event handling for accessibility
+document.addEventListener('keydown', function(event) {
+  // ESC key closes modals or clears search
+  if (event.key === 'Escape') {
+    const bookModal = document.getElementById('bookModalOverlay');
+    const chapterModal = document.getElementById('chapterModalOverlay');
+    const bookmarksModal = document.getElementById('bookmarksModalOverlay');
+    const historyModal = document.getElementById('historyModalOverlay');
+    const versionManager = document.getElementById('versionManagerOverlay');
+    const settingsModal = document.getElementById('settingsModalOverlay');
+    const whatsNewModal = document.getElementById('whatsNewOverlay');
+    const parallelVersionModal = document.getElementById('parallelVersionModalOverlay');
+    const noteEditor = document.getElementById('noteEditorOverlay');
+    const bookmarkEditor = document.getElementById('bookmarkEditorOverlay');
+    const notesModal = document.getElementById('notesModalOverlay');
+    const restoreModal = document.getElementById('restoreModalOverlay');
+    const searchInput = document.getElementById('chapterSearchInput');
+
+    if (restoreModal && restoreModal.classList.contains('active')) {
+      closeRestoreModal();
+      event.preventDefault();
+    } else if (bookmarkEditor && bookmarkEditor.classList.contains('active')) {
+      closeBookmarkEditor();
+      event.preventDefault();
+    } else if (noteEditor && noteEditor.classList.contains('active')) {
+      closeNoteEditor();
+      event.preventDefault();
+    } else if (notesModal && notesModal.classList.contains('active')) {
+      closeNotesModal();
+      event.preventDefault();
+    } else if (parallelVersionModal && parallelVersionModal.classList.contains('open')) {
+      closeParallelVersionModal();
+      event.preventDefault();
+    } else if (whatsNewModal && whatsNewModal.classList.contains('active')) {
+      closeWhatsNewModal();
+      event.preventDefault();
+    } else if (settingsModal && settingsModal.classList.contains('active')) {
+      closeSettingsModal();
+      event.preventDefault();
+    } else if (versionManager && versionManager.classList.contains('active')) {
+      closeVersionManager();
+      event.preventDefault();
+    } else if (historyModal && historyModal.classList.contains('active')) {
+      closeReadingHistory();
+      event.preventDefault();
+    } else if (bookModal.classList.contains('active')) {
+      closeBookSelector();
+      event.preventDefault();
+    } else if (chapterModal.classList.contains('active')) {
+      closeChapterSelector();
+      event.preventDefault();
+    } else if (bookmarksModal.classList.contains('active')) {
+      closeBookmarksModal();
+      event.preventDefault();
+    } else if (hasVerseSelection()) {
+      clearVerseSelection();
+      event.preventDefault();
+    } else if (searchInput.value.trim()) {
+      // If search has content, clear it
+      clearChapterSearch();
+      event.preventDefault();
     }
+  }
+});
+
+// Initialize the app (restoreReadingState() waits for the books list)
+const booksJsonLoaded = loadBooksJson();
+// Load bookmarks, notes and highlights, then restore reading state instead of
+// always loading John 1 (replacing the URL rather than adding a history entry
+// for the first chapter)
+loadUserRecords()
+  .then(() => withRouteMode('replace', restoreReadingState))
+  .then(() => {
+    initSync();
+    // Write a folder backup if one is due
+    initAutoBackups();
+  });
+// Roll up old reading events into daily summaries (at most once a day)
+if (window.BibleReading && typeof BibleReading.compactIfDue === 'function') {
+  BibleReading.compactIfDue();
+}
+// Initialize "Last read" hint from stored history
+updateLastReadHint();
+// Initialize welcome banner for first-time users
+initWelcomeBanner();
+// Initialize parallel view state (show/hide containers based on saved preference)
+if (isParallelEnabled()) {
+  showParallelView();
+}
+// Show What's New modal if version changed
+if (shouldShowWhatsNew()) {
+  openWhatsNewModal();
+}
+
+// ========================================
+// Chapter Search Functionality
+// ========================================
+
+/**
+ * Get the language code used to normalize searches in the current version
+ * (points, accents and CJK handling are chosen per language by BibleSearch)
+ * @returns {string|undefined} Language code from bibleVersions (e.g. "he")
+ */
+function getCurrentSearchLanguage() {
+  const version = getCurrentVersion();
+  return version ? version.language : undefined;
+}
+
+/**
+ * Parse the search box text (phrases, AND/OR/NOT, wildcards, book:/ot:/nt:).
+ * Parse errors are shown inline in #searchResults.
+ * @param {string} searchTerm - Trimmed search box text
+ * @returns {Object|null} Parsed query from BibleSearchQuery.parseQuery, or null on error
+ */
+function parseSearchInput(searchTerm) {
+  try {
+    return BibleSearchQuery.parseQuery(searchTerm, {
+      books: booksJson && booksJson.books ? booksJson.books : []
+    });
+  } catch (error) {
+    showSearchError(error.message);
+    return null;
+  }
+}
+
+/**
+ * Show a search syntax error in the results line
+ * @param {string} message - Error message from the query parser
+ */
+function showSearchError(message) {
+  const resultsEl = document.getElementById('searchResults');
+  resultsEl.textContent = 'Search syntax: ' + message;
+  resultsEl.classList.add('search-error');
+}
+
+/**
+ * Reset the results line to its normal style (no error, no reference hint)
+ */
+function clearSearchError() {
+  const resultsEl = document.getElementById('searchResults');
+  resultsEl.classList.remove('search-error');
+  delete resultsEl.dataset.referenceHint;
+}
+
+/**
+ * Perform search within the current chapter
+ * Finds ALL matches across ALL verses and stores them with their location
+ */
+function performChapterSearch() {
+  const searchInput = document.getElementById('chapterSearchInput');
+  const searchTerm = searchInput.value.trim();
+
+  // Clear previous results
+  clearSearchHighlights();
+  clearSearchError();
+  searchMatches = [];
+  currentMatchIndex = 0;
+
+  if (!searchTerm) {
+    document.getElementById('searchResults').textContent = '';
+    document.getElementById('searchNavigation').style.display = 'none';
+    document.getElementById('searchBtn').style.display = 'inline-flex';
+    document.getElementById('clearSearchBtn').style.display = 'none';
+    return;
+  }
+
+  // Hide search button, show clear button
+  document.getElementById('searchBtn').style.display = 'none';
+  document.getElementById('clearSearchBtn').style.display = 'inline-flex';
+
+  // Parse the query, then match case-, point- and accent-insensitively
+  const parsed = parseSearchInput(searchTerm);
+  if (!parsed) {
+    document.getElementById('searchNavigation').style.display = 'none';
+    return;
+  }
+
+  // book:/ot:/nt: filters that exclude the current book match nothing here
+  if (parsed.bookNames && currentBook && !parsed.bookNames.includes(currentBook)) {
+    document.getElementById('searchResults').textContent = `No matches: ${currentBook} is outside the book filter`;
+    document.getElementById('searchNavigation').style.display = 'none';
+    return;
+  }
+
+  const query = BibleSearch.compileQuery(parsed, getCurrentSearchLanguage());
+
+  // Search through ALL verse-text elements
+  const container = document.getElementById('versesContainer');
+  const verses = container.querySelectorAll('.verse-text');
+
+  verses.forEach((verseElement) => {
+    if (!query) return;
+    const text = verseElement.textContent;
+    const scored = BibleSearch.scoreVerse(text, query);
+    if (!scored) return;
+
+    // Record ALL matches within this verse text
+    scored.matches.forEach(match => {
+      searchMatches.push({
+        element: verseElement,
+        verseText: text,
+        matchText: text.substr(match.index, match.length),
+        startIndex: match.index,
+        length: match.length
+      });
+    });
+  });
+
+  // Update UI based on results
+  if (searchMatches.length === 0) {
+    document.getElementById('searchResults').textContent = `No matches found for "${searchTerm}"`;
+    document.getElementById('searchNavigation').style.display = 'none';
+  } else {
+    // Highlight first match and navigate to it
+    highlightMatch(0);
+    updateSearchResultsDisplay(searchTerm);
+    document.getElementById('searchNavigation').style.display = 'flex';
+  }
+}
+
+/**
+ * Highlight a specific match by index
+ * Updates the .verse-text HTML with all matches, marking only the current one with .search-highlight-current
+ * @param {number} index - The match index to highlight
+ */
+function highlightMatch(index) {
+  if (index < 0 || index >= searchMatches.length) return;
+
+  currentMatchIndex = index;
+  const currentMatch = searchMatches[index];
+
+  // Process each unique verse element that has matches
+  const processedElements = new Set();
+
+  searchMatches.forEach((match) => {
+    if (!processedElements.has(match.element)) {
+      processedElements.add(match.element);
+
+      const verseText = match.verseText;
+      let lastIndex = 0;
+
+      // Split text by all matches in this verse (stored in order) and build HTML
+      const parts = [];
+
+      searchMatches.filter(m => m.element === match.element).forEach(verseMatch => {
+        // Add text before this match
+        if (verseMatch.startIndex > lastIndex) {
+          parts.push({
+            type: 'text',
+            content: verseText.substring(lastIndex, verseMatch.startIndex)
+          });
+        }
+
+        // Check if this is the current match being highlighted
+        const isCurrentMatch = verseMatch === currentMatch;
+
+        parts.push({
+          type: 'match',
+          content: verseMatch.matchText,
+          isCurrent: isCurrentMatch
+        });
+
+        lastIndex = verseMatch.startIndex + verseMatch.length;
+      });
+
+      // Add remaining text
+      if (lastIndex < verseText.length) {
+        parts.push({
+          type: 'text',
+          content: verseText.substring(lastIndex)
+        });
+      }
+
+      // Build HTML from parts
+      match.element.innerHTML = '';
+      parts.forEach(part => {
+        if (part.type === 'text') {
+          match.element.appendChild(document.createTextNode(part.content));
+        } else {
+          const span = document.createElement('span');
+          span.className = part.isCurrent ? 'search-highlight-current' : 'search-highlight';
+          span.textContent = part.content;
+          match.element.appendChild(span);
+        }
+      });
+    }
+  });
+
+  // Scroll the current match into view
+  const currentMatchSpan = currentMatch.element.querySelector('.search-highlight-current');
+  if (currentMatchSpan) {
+    currentMatchSpan.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  } else {
+    currentMatch.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  // Update navigation display
+  document.getElementById('matchPosition').textContent = `${index + 1} of ${searchMatches.length}`;
+
+  // Update navigation button states
+  document.getElementById('prevMatchBtn').disabled = index === 0;
+  document.getElementById('nextMatchBtn').disabled = index === searchMatches.length - 1;
+}
+
+/**
+ * Go to previous search match with wraparound
+ */
+function goToPreviousMatch() {
+  if (searchMatches.length === 0) return;
+
+  let newIndex = currentMatchIndex - 1;
+  // Wrap around to end if at beginning
+  if (newIndex < 0) {
+    newIndex = searchMatches.length - 1;
+  }
+
+  highlightMatch(newIndex);
+}
+
+/**
+ * Go to next search match with wraparound
+ */
+function goToNextMatch() {
+  if (searchMatches.length === 0) return;
+
+  let newIndex = currentMatchIndex + 1;
+  // Wrap around to beginning if at end
+  if (newIndex >= searchMatches.length) {
+    newIndex = 0;
+  }
+
+  highlightMatch(newIndex);
+}
+
+/**
+ * Clear all search highlights and reset search state
+ */
+function clearChapterSearch() {
+  clearSearchHighlights();
+  document.getElementById('chapterSearchInput').value = '';
+  document.getElementById('searchResults').textContent = '';
+  clearSearchError();
+  document.getElementById('searchNavigation').style.display = 'none';
+  document.getElementById('searchBtn').style.display = 'inline-flex';
+  document.getElementById('clearSearchBtn').style.display = 'none';
+  searchMatches = [];
+  currentMatchIndex = 0;
+  lastSearchTerm = '';
+  searchActive = false;
+  clearBibleSearchResults();
+}
+
+/**
+ * Remove all search highlights from verse text
+ * Replaces .search-highlight and .search-highlight-current spans with plain text nodes
+ */
+function clearSearchHighlights() {
+  const highlights = document.querySelectorAll('.search-highlight, .search-highlight-current');
+  highlights.forEach(highlight => {
+    const text = highlight.textContent;
+    const parent = highlight.parentNode;
+    if (parent) {
+      parent.replaceChild(document.createTextNode(text), highlight);
+      // Merge adjacent text nodes to restore original structure
+      parent.normalize();
+    }
+  });
+}
+
+/**
+ * Update search results display with match count
+ * @param {string} searchTerm - The search term
+ */
+function updateSearchResultsDisplay(searchTerm) {
+  const resultText = searchMatches.length === 1
+    ? `1 match found for "${searchTerm}"`
+    : `${searchMatches.length} matches found for "${searchTerm}"`;
+  document.getElementById('searchResults').textContent = resultText;
+}
+
+// ========================================
+// Whole-Bible Search
+// ========================================
+
+/**
+ * Run a search in the active scope (current chapter or whole Bible),
+ * or jump straight to the passage if the input is a reference.
+ * Called by the search button.
+ */
+function performSearch() {
+  const input = document.getElementById('chapterSearchInput');
+  if (input && tryReferenceNavigation(input.value.trim())) {
+    return;
+  }
+
+  if (isWholeBibleScope()) {
+    performBibleSearch();
+  } else {
+    performChapterSearch();
+  }
+}
+
+/**
+ * Check whether a scope searches the whole Bible (with or without other versions)
+ * @param {string} [scope=searchScope] - Scope to check
+ * @returns {boolean}
+ */
+function isWholeBibleScope(scope) {
+  if (scope === undefined) scope = searchScope;
+  return scope === SEARCH_SCOPE_BIBLE || scope === SEARCH_SCOPE_VERSIONS;
+}
+
+/**
+ * Get the saved search scope
+ * @returns {string} SEARCH_SCOPE_CHAPTER, SEARCH_SCOPE_BIBLE or SEARCH_SCOPE_VERSIONS
+ */
+function getSavedSearchScope() {
+  try {
+    const saved = localStorage.getItem(SEARCH_SCOPE_KEY);
+    return isWholeBibleScope(saved) ? saved : SEARCH_SCOPE_CHAPTER;
+  } catch (e) {
+    return SEARCH_SCOPE_CHAPTER;
+  }
+}
+
+/**
+ * Update the search bar label, placeholder and scope buttons for a scope
+ * @param {string} scope - SEARCH_SCOPE_CHAPTER, SEARCH_SCOPE_BIBLE or SEARCH_SCOPE_VERSIONS
+ */
+function applySearchScopeUI(scope) {
+  const labels = {
+    [SEARCH_SCOPE_CHAPTER]: 'Search this chapter',
+    [SEARCH_SCOPE_BIBLE]: 'Search the whole Bible',
+    [SEARCH_SCOPE_VERSIONS]: 'Search and compare all versions'
+  };
+  const label = document.querySelector('.search-label');
+  const input = document.getElementById('chapterSearchInput');
+
+  if (label) {
+    label.textContent = labels[scope] + ':';
+  }
+  if (input) {
+    input.setAttribute('aria-label', scope === SEARCH_SCOPE_CHAPTER ? 'Search current chapter' : labels[scope]);
+  }
+
+  document.querySelectorAll('.search-scope-btn').forEach(btn => {
+    const active = btn.getAttribute('data-scope') === scope;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-checked', active ? 'true' : 'false');
+  });
+}
+
+/**
+ * Switch between chapter, whole-Bible and cross-version search.
+ * Re-runs the current search term in the new scope.
+ * @param {string} scope - SEARCH_SCOPE_CHAPTER, SEARCH_SCOPE_BIBLE or SEARCH_SCOPE_VERSIONS
+ */
+function setSearchScope(scope) {
+  if (scope !== SEARCH_SCOPE_CHAPTER && !isWholeBibleScope(scope)) return;
+  if (scope === searchScope) return;
+
+  const input = document.getElementById('chapterSearchInput');
+  const term = input ? input.value : '';
+
+  clearChapterSearch();
+  searchScope = scope;
+  applySearchScopeUI(scope);
+
+  try {
+    localStorage.setItem(SEARCH_SCOPE_KEY, scope);
+  } catch (e) {
+    console.warn('[Search] Unable to save search scope:', e);
+  }
+
+  if (input && term.trim()) {
+    input.value = term;
+    performSearch();
+  }
+}
+
+/**
+ * Get the search worker, creating it on first use.
+ * @returns {Worker|null} The worker, or null if workers are unavailable
+ *   (whole-Bible search then runs on the main thread)
+ */
+function getBibleSearchWorker() {
+  if (bibleSearchWorker || bibleSearchWorkerFailed) {
+    return bibleSearchWorker;
+  }
+
+  if (typeof Worker === 'undefined') {
+    bibleSearchWorkerFailed = true;
+    return null;
+  }
+
+  try {
+    bibleSearchWorker = new Worker('scripts/search/search-worker.js');
+    bibleSearchWorker.addEventListener('message', handleBibleSearchWorkerMessage);
+    bibleSearchWorker.addEventListener('error', handleBibleSearchWorkerError);
+    console.log('[Search] Search worker started');
+  } catch (e) {
+    console.warn('[Search] Unable to start search worker, searching on main thread:', e);
+    bibleSearchWorker = null;
+    bibleSearchWorkerFailed = true;
+  }
+
+  return bibleSearchWorker;
+}
+
+/**
+ * Search every book of the current version and list ranked results.
+ * Runs in the search worker when available, streaming results in as each
+ * book is scanned. A newer search (or clearing the search) cancels one still
+ * in progress.
+ */
+async function performBibleSearch() {
+  const searchInput = document.getElementById('chapterSearchInput');
+  const searchTerm = searchInput.value.trim();
+  const resultsEl = document.getElementById('searchResults');
+
+  // Clear previous results (including any chapter highlights)
+  clearSearchHighlights();
+  clearSearchError();
+  clearBibleSearchResults();
+  searchMatches = [];
+  document.getElementById('searchNavigation').style.display = 'none';
+
+  if (!searchTerm) {
+    resultsEl.textContent = '';
+    lastSearchTerm = '';
+    document.getElementById('searchBtn').style.display = 'inline-flex';
+    document.getElementById('clearSearchBtn').style.display = 'none';
+    return;
+  }
+
+  // Hide search button, show clear button
+  document.getElementById('searchBtn').style.display = 'none';
+  document.getElementById('clearSearchBtn').style.display = 'inline-flex';
+
+  if (!window.BibleSearch || !booksJson || !booksJson.books) {
+    resultsEl.textContent = 'Whole-Bible search is not available right now.';
+    return;
+  }
+
+  const generation = bibleSearchGeneration;
+  lastSearchTerm = searchTerm;
+
+  const parsed = parseSearchInput(searchTerm);
+  if (!parsed) return;
+
+  resultsEl.textContent = `Searching the whole Bible for "${searchTerm}"...`;
+
+  const worker = getBibleSearchWorker();
+  if (worker) {
+    activeBibleSearch = { id: generation, term: searchTerm };
+    worker.postMessage({
+      type: 'search',
+      id: generation,
+      query: parsed,
+      // Absolute URL: relative paths inside the worker resolve against its script
+      dataPath: new URL(getCurrentDataPath(), window.location.href).href,
+      books: booksJson.books,
+      language: getCurrentSearchLanguage()
+    });
+    return;
+  }
+
+  const isStale = () => generation !== bibleSearchGeneration;
+
+  try {
+    const results = await BibleSearch.searchVersion({
+      query: parsed,
+      dataPath: './' + getCurrentDataPath(),
+      books: booksJson.books,
+      language: getCurrentSearchLanguage(),
+      onProgress: (done, total) => {
+        if (!isStale()) {
+          resultsEl.textContent = `Searching "${searchTerm}"... ${done} of ${total} books`;
+        }
+      },
+      isCancelled: isStale
+    });
+
+    if (isStale()) return;
+
+    bibleSearchResults = results;
+    bibleSearchPage = 0;
+    finishBibleSearch(searchTerm);
+  } catch (error) {
+    console.error('[Search] Whole-Bible search failed:', error);
+    if (!isStale()) {
+      resultsEl.textContent = 'Search failed. Please try again.';
+    }
+  }
+}
+
+/**
+ * Handle progress, streamed results and completion from the search worker.
+ * Messages for any search other than the active one are ignored.
+ * @param {MessageEvent} event - Worker message ({ type, id, ... })
+ */
+function handleBibleSearchWorkerMessage(event) {
+  const message = event.data || {};
+  if (!activeBibleSearch || message.id !== activeBibleSearch.id) {
+    return;
+  }
+
+  const term = activeBibleSearch.term;
+  const resultsEl = document.getElementById('searchResults');
+
+  switch (message.type) {
+    case 'progress': {
+      const found = bibleSearchResults.length;
+      resultsEl.textContent = `Searching "${term}"... ${message.done} of ${message.total} books` +
+        (found ? ` (${found} ${found === 1 ? 'verse' : 'verses'} so far)` : '');
+      break;
+    }
+    case 'results':
+      bibleSearchResults.push(...message.results);
+      BibleSearch.rankResults(bibleSearchResults);
+      renderBibleSearchPage();
+      break;
+    case 'done':
+      activeBibleSearch = null;
+      finishBibleSearch(term);
+      break;
+    case 'error':
+      activeBibleSearch = null;
+      console.error('[Search] Whole-Bible search failed in worker:', message.message);
+      resultsEl.textContent = 'Search failed. Please try again.';
+      break;
+  }
+}
+
+/**
+ * The worker failed to load or crashed: stop using it and re-run any
+ * active search on the main thread.
+ * @param {ErrorEvent} event - Worker error event
+ */
+function handleBibleSearchWorkerError(event) {
+  console.warn('[Search] Search worker failed, falling back to main thread:', event.message || event);
+  if (bibleSearchWorker) {
+    bibleSearchWorker.terminate();
+  }
+  bibleSearchWorker = null;
+  bibleSearchWorkerFailed = true;
+
+  if (activeBibleSearch) {
+    activeBibleSearch = null;
+    performBibleSearch();
+  }
+}
+
+/**
+ * Show the final result count (and first page) once a search completes
+ * @param {string} searchTerm - The term that was searched
+ */
+function finishBibleSearch(searchTerm) {
+  const resultsEl = document.getElementById('searchResults');
+
+  if (bibleSearchResults.length === 0) {
+    resultsEl.textContent = `No matches found for "${searchTerm}" in the whole Bible`;
+    return;
+  }
+
+  resultsEl.textContent = bibleSearchResults.length === 1
+    ? `1 verse found for "${searchTerm}"`
+    : `${bibleSearchResults.length} verses found for "${searchTerm}"`;
+  renderBibleSearchPage();
+}
+
+/**
+ * Search as the user types in whole-Bible scope. Each new term cancels the
+ * search still running for the previous one.
+ */
+function scheduleBibleSearch() {
+  clearTimeout(bibleSearchDebounceTimer);
+  bibleSearchDebounceTimer = setTimeout(() => {
+    const input = document.getElementById('chapterSearchInput');
+    const term = input ? input.value.trim() : '';
+    if (term === lastSearchTerm) return;
+    if (term.length > 0 && term.length < BIBLE_SEARCH_MIN_LENGTH) return;
+    if (getSearchReference(term)) return; // Enter jumps to it instead
+    performBibleSearch();
+  }, BIBLE_SEARCH_DEBOUNCE_MS);
+}
+
+/**
+ * Render the current page of whole-Bible search results
+ */
+function renderBibleSearchPage() {
+  const panel = document.getElementById('bibleSearchResults');
+  const list = document.getElementById('bibleSearchList');
+  if (!panel || !list) return;
+
+  const page = BibleSearch.paginate(bibleSearchResults, bibleSearchPage);
+  bibleSearchPage = page.page;
+
+  list.innerHTML = '';
+  crossVersionRenderToken++;
+  const crossVersionEntries = [];
+
+  page.items.forEach(result => {
+    const li = document.createElement('li');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'bible-search-item';
+    const reference = `${result.bookName} ${result.chapter}:${result.verse}`;
+    button.setAttribute('aria-label', 'Go to ' + reference);
+
+    const refSpan = document.createElement('span');
+    refSpan.className = 'bible-search-ref';
+    refSpan.textContent = reference;
+
+    const snippetSpan = document.createElement('span');
+    snippetSpan.className = 'bible-search-snippet';
+    const snippet = BibleSearch.buildSnippet(result.text, result.matches[0]);
+    snippetSpan.appendChild(document.createTextNode(snippet.before));
+    if (snippet.match) {
+      const mark = document.createElement('mark');
+      mark.className = 'search-highlight';
+      mark.textContent = snippet.match;
+      snippetSpan.appendChild(mark);
+    }
+    snippetSpan.appendChild(document.createTextNode(snippet.after));
+
+    button.appendChild(refSpan);
+    button.appendChild(snippetSpan);
+    button.addEventListener('click', () => openBibleSearchResult(result));
+
+    li.appendChild(button);
+
+    // Cross-version scope: parallel text from every installed version goes below
+    if (searchScope === SEARCH_SCOPE_VERSIONS) {
+      const parallelList = document.createElement('div');
+      parallelList.className = 'cross-version-list';
+      li.appendChild(parallelList);
+      crossVersionEntries.push({ result: result, container: parallelList });
+    }
+
+    list.appendChild(li);
+  });
+
+  // Load parallel texts once the search has finished (results stop reordering)
+  if (crossVersionEntries.length && !activeBibleSearch) {
+    loadCrossVersionTexts(crossVersionEntries);
+  }
+
+  // Pager
+  const pager = document.getElementById('bibleSearchPager');
+  if (pager) {
+    pager.style.display = page.pageCount > 1 ? 'flex' : 'none';
+  }
+  document.getElementById('bibleSearchPageInfo').textContent = `Page ${page.page + 1} of ${page.pageCount}`;
+  document.getElementById('bibleSearchPrevPage').disabled = page.page === 0;
+  document.getElementById('bibleSearchNextPage').disabled = page.page >= page.pageCount - 1;
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Append verse text to an element, wrapping matches in <mark> highlights
+ * @param {HTMLElement} parent - Element to fill
+ * @param {string} text - Verse text
+ * @param {Array} matches - Sorted, non-overlapping [{ index, length }]
+ */
+function appendHighlightedText(parent, text, matches) {
+  let lastIndex = 0;
+  matches.forEach(match => {
+    parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+    const mark = document.createElement('mark');
+    mark.className = 'search-highlight';
+    mark.textContent = text.substr(match.index, match.length);
+    parent.appendChild(mark);
+    lastIndex = match.index + match.length;
+  });
+  parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+}
+
+/**
+ * Fill in each listed result's text from every installed version (cross-version
+ * search). The current version comes first with its matches highlighted; the
+ * others load one version at a time from their own dataPath. A newer render
+ * (page change, new search) stops an older load.
+ * @param {Array} entries - [{ result, container }] for the visible page
+ */
+async function loadCrossVersionTexts(entries) {
+  const renderToken = crossVersionRenderToken;
+  const currentId = getCurrentVersionId();
+  const versions = getInstalledVersions()
+    .slice()
+    .sort((a, b) => (b.id === currentId) - (a.id === currentId));
+
+  // Build a row per version up front so the layout doesn't jump while loading
+  entries.forEach(entry => {
+    entry.rows = new Map();
+    versions.forEach(version => {
+      const row = document.createElement('div');
+      row.className = 'cross-version-row' + (version.id === currentId ? ' current' : '');
+
+      const label = document.createElement('span');
+      label.className = 'cross-version-label';
+      label.textContent = version.shortName;
+      label.title = version.name;
+
+      const text = document.createElement('span');
+      text.className = 'cross-version-text';
+      if (version.direction === 'RTL') {
+        text.dir = 'rtl';
+      }
+
+      if (version.id === currentId) {
+        appendHighlightedText(text, entry.result.text, entry.result.matches);
+      } else {
+        text.textContent = 'Loading...';
+      }
+
+      row.appendChild(label);
+      row.appendChild(text);
+      entry.container.appendChild(row);
+      entry.rows.set(version.id, text);
+    });
+  });
+
+  for (const version of versions) {
+    if (version.id === currentId) continue;
+
+    for (const entry of entries) {
+      if (renderToken !== crossVersionRenderToken) return;
+
+      const { bookName, chapter, verse } = entry.result;
+      const book = booksJson.books.find(b => b.name === bookName);
+      const textEl = entry.rows.get(version.id);
+      let verseText = null;
+
+      try {
+        verseText = book ? await BibleSearch.loadVerse('./' + version.dataPath, book, chapter, verse) : null;
+      } catch (error) {
+        console.warn('[Search] Parallel text unavailable:', version.id, bookName, error);
+      }
+
+      if (renderToken !== crossVersionRenderToken) return;
+      textEl.textContent = verseText || 'Not available in this version';
+      textEl.classList.toggle('unavailable', !verseText);
+    }
+  }
+}
+
+/**
+ * Move to the previous/next page of whole-Bible results
+ * @param {number} delta - -1 for previous, 1 for next
+ */
+function changeBibleSearchPage(delta) {
+  if (bibleSearchResults.length === 0) return;
+  bibleSearchPage += delta;
+  renderBibleSearchPage();
+  document.getElementById('bibleSearchList').scrollTop = 0;
+}
+
+/**
+ * Navigate to a whole-Bible search result and highlight the verse
+ * @param {Object} result - Result object from BibleSearch.searchVersion()
+ */
+function openBibleSearchResult(result) {
+  goToPassage(result.bookName, result.chapter, result.verse);
+}
+
+/**
+ * Hide whole-Bible results and cancel any search still running
+ */
+function clearBibleSearchResults() {
+  crossVersionRenderToken++;
+  if (activeBibleSearch && bibleSearchWorker) {
+    bibleSearchWorker.postMessage({ type: 'cancel', id: activeBibleSearch.id });
+  }
+  activeBibleSearch = null;
+  clearTimeout(bibleSearchDebounceTimer);
+  bibleSearchGeneration++;
+  bibleSearchResults = [];
+  bibleSearchPage = 0;
+
+  const panel = document.getElementById('bibleSearchResults');
+  const list = document.getElementById('bibleSearchList');
+  if (list) list.innerHTML = '';
+  if (panel) panel.style.display = 'none';
+}
+
+// ========================================
+// Scripture Reference Navigation
+// ========================================
+
+/**
+ * Parse the search box text as a scripture reference ("Jn 3:16-18", "1 Cor 13")
+ * @param {string} text - Trimmed search box text
+ * @returns {Object|null} Reference from BibleReference.parseReference, or null
+ *   if the text should be searched instead
+ */
+function getSearchReference(text) {
+  if (!text || !window.BibleReference || !booksJson || !booksJson.books) {
+    return null;
+  }
+  return BibleReference.parseReference(text, booksJson.books);
+}
+
+/**
+ * If the text is a reference, open it (or report why it can't be opened).
+ * @param {string} text - Trimmed search box text
+ * @returns {boolean} True if the text was handled as a reference
+ */
+function tryReferenceNavigation(text) {
+  const reference = getSearchReference(text);
+  if (!reference) {
+    return false;
+  }
+
+  if (reference.error) {
+    showReferenceError(reference.error);
+    return true;
+  }
+
+  jumpToReference(reference);
+  return true;
+}
+
+/**
+ * Say why a reference can't be opened ("John has 21 chapters")
+ * @param {string} message
+ */
+function showReferenceError(message) {
+  const resultsEl = document.getElementById('searchResults');
+  resultsEl.textContent = message;
+  resultsEl.classList.add('search-error');
+}
+
+/**
+ * Open a parsed reference: its first chapter, with the selected verses highlighted
+ * @param {Object} reference - From BibleReference.parseReference
+ */
+async function jumpToReference(reference) {
+  // Verse numbers can only be checked against the book's text ("John 3:99")
+  if (reference.segments.some(segment => segment.verse !== null)) {
+    try {
+      const text = reference.book.name === currentBook && bookData
+        ? bookData
+        : await BibleSearch.loadBook('./' + getCurrentDataPath(), reference.book);
+      const error = BibleReference.validateVerses(reference, text);
+      if (error) {
+        showReferenceError(error);
+        return;
+      }
+    } catch (error) {
+      // Not loadable: goToPassage() below reports it
+      console.warn('[Reference] Could not check verses:', error);
+    }
+  }
+
+  const first = reference.segments[0];
+  const verses = BibleReference.getVersesInFirstChapter(reference);
+
+  // The input held a reference, not a search term
+  clearChapterSearch();
+
+  const opened = await goToPassage(reference.book.name, first.chapter, verses.length ? verses : null);
+  if (opened) {
+    console.log('[Reference] Opened', reference.label);
+    showToast(reference.label);
+  }
+}
+
+/**
+ * While typing, say when Enter will jump to a reference rather than search
+ * @param {string} text - Trimmed search box text
+ */
+function updateReferenceHint(text) {
+  const resultsEl = document.getElementById('searchResults');
+  const reference = getSearchReference(text);
+  if (!reference) {
+    if (resultsEl.dataset.referenceHint) {
+      resultsEl.textContent = '';
+      delete resultsEl.dataset.referenceHint;
+    }
+    return;
+  }
+
+  // Verses can be checked right away in the open book; others are checked on Enter
+  const error = reference.error ||
+    (reference.book.name === currentBook && bookData ? BibleReference.validateVerses(reference, bookData) : null);
+
+  clearSearchError();
+  resultsEl.textContent = error || `Press Enter to go to ${reference.label}`;
+  resultsEl.classList.toggle('search-error', !!error);
+  resultsEl.dataset.referenceHint = 'true';
+}
+
+// Restore the saved search scope
+searchScope = getSavedSearchScope();
+applySearchScopeUI(searchScope);
+
+// Set up Enter key handler for search input with smart navigation
+const searchInput = document.getElementById('chapterSearchInput');
+if (searchInput) {
+  searchInput.addEventListener('keypress', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault(); // Prevent form submission
+
+      const searchTerm = searchInput.value.trim();
+
+      if (!searchTerm) {
+        return; // Do nothing if empty
+      }
+
+      // References ("Jn 3:16", "1 Cor 13") jump to the passage in any scope
+      if (tryReferenceNavigation(searchTerm)) {
+        return;
+      }
+
+      // Whole-Bible scope: re-run only when the term changed (results stay listed)
+      if (isWholeBibleScope()) {
+        if (searchTerm !== lastSearchTerm || (!activeBibleSearch && bibleSearchResults.length === 0)) {
+          performBibleSearch();
+        }
+        return;
+      }
+
+      // Check if this is a new search or continuation
+      const isNewSearch = searchTerm !== lastSearchTerm || !searchActive;
+
+      if (isNewSearch) {
+        // Perform new search
+        performChapterSearch();
+        lastSearchTerm = searchTerm;
+        searchActive = searchMatches.length > 0;
+      } else {
+        // Navigate existing matches
+        if (event.shiftKey) {
+          goToPreviousMatch();
+        } else {
+          goToNextMatch();
+        }
+      }
+    }
+  });
+
+  // Whole-Bible scope searches while typing (debounced, runs in the worker)
+  searchInput.addEventListener('input', () => {
+    updateReferenceHint(searchInput.value.trim());
+    if (isWholeBibleScope()) {
+      scheduleBibleSearch();
+    }
+  });
+}
+
+// ========================================
+// Back to Top Button Functionality
+// ========================================
+
+/**
+ * Scroll to the top of the page (for back-to-top button).
+ * Respects prefers-reduced-motion.
+ */
+function scrollToTop() {
+  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  window.scrollTo({ top: 0, behavior: prefersReducedMotion ? 'instant' : 'smooth' });
+}
+
+// Show/hide back-to-top button based on scroll position
+window.addEventListener('scroll', () => {
+  const backToTopBtn = document.getElementById('backToTopBtn');
+  if (backToTopBtn) {
+    if (window.scrollY > 400) {
+      backToTopBtn.style.display = 'inline-flex';
+    } else {
+      backToTopBtn.style.display = 'none';
+    }
+  }
+});
+
+// ========================================
+// Parallel View Back-to-Top
+// ========================================
+
+/**
+ * Scroll both parallel panes to top.
+ * Respects prefers-reduced-motion.
+ */
+function scrollParallelPanesToTop() {
+  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const leftPane = document.querySelector('.parallel-pane.left-pane');
+  const rightPane = document.querySelector('.parallel-pane.right-pane');
+
+  if (leftPane) {
+    leftPane.scrollTo({ top: 0, behavior: prefersReducedMotion ? 'instant' : 'smooth' });
+  }
+  if (rightPane) {
+    rightPane.scrollTo({ top: 0, behavior: prefersReducedMotion ? 'instant' : 'smooth' });
+  }
+}
+
+/**
+ * Initialize scroll listeners for parallel panes to show/hide back-to-top button.
+ * Called when parallel view is enabled.
+ */
+function initParallelBackToTop() {
+  const leftPane = document.querySelector('.parallel-pane.left-pane');
+  const rightPane = document.querySelector('.parallel-pane.right-pane');
+  const backToTopBtn = document.getElementById('parallelBackToTopBtn');
+
+  if (!leftPane || !rightPane || !backToTopBtn) return;
+
+  const updateButtonVisibility = () => {
+    // Show if either pane is scrolled down more than 200px
+    const shouldShow = leftPane.scrollTop > 200 || rightPane.scrollTop > 200;
+    backToTopBtn.style.display = shouldShow ? 'flex' : 'none';
+  };
+
+  // Add scroll listeners to both panes
+  leftPane.addEventListener('scroll', updateButtonVisibility);
+  rightPane.addEventListener('scroll', updateButtonVisibility);
+
+  // Initial check
+  updateButtonVisibility();
+}
+
+/**
+ * Hide parallel back-to-top button (called when parallel view is disabled).
+ */
+function hideParallelBackToTop() {
+  const backToTopBtn = document.getElementById('parallelBackToTopBtn');
+  if (backToTopBtn) {
+    backToTopBtn.style.display = 'none';
+  }
+}
+
+// ========================================
+// Settings Modal & Backup/Restore
+// ========================================
+
+/**
+ * Render the reading plans list in the Settings modal.
+ * Shows plan cards with active badge and progress info.
+ */
+async function renderReadingPlansList() {
+  const container = document.getElementById('readingPlansList');
+  if (!container) {
+    return;
+  }
+
+  // Load plans first (async), so overlapping renders don't append twice
+  let allPlans = null;
+  let currentPlanId = null;
+  if (window.BibleReading && typeof BibleReading.getPlans === 'function') {
+    try {
+      [allPlans, currentPlanId] = await Promise.all([
+        BibleReading.getPlans(),
+        BibleReading.getCurrentPlanId()
+      ]);
+    } catch (e) {
+      console.error('[BibleReading] Unable to load reading plans:', e);
+    }
+  }
+
+  // Clear previous content
+  container.innerHTML = '';
+
+  // Check if BibleReading API is available
+  if (!allPlans) {
+    const errorP = document.createElement('p');
+    errorP.className = 'reading-plans-empty';
+    errorP.textContent = 'Reading plans are not available right now.';
+    container.appendChild(errorP);
+    return;
+  }
+  const plansArray = Object.values(allPlans);
+
+  // Empty state (shouldn't happen now that we have builtins)
+  if (plansArray.length === 0) {
+    const emptyP = document.createElement('p');
+    emptyP.className = 'reading-plans-empty';
+    emptyP.textContent = "No reading plans yet. Start reading a book and we'll track your progress automatically.";
+    container.appendChild(emptyP);
+    return;
+  }
+
+  // Explicit sort for cross-device consistency:
+  // 1. Active plan first (if exists)
+  // 2. Remaining plans alphabetically by name
+  const activePlan = currentPlanId ? allPlans[currentPlanId] : null;
+  const otherPlans = plansArray
+    .filter(p => p.id !== currentPlanId)
+    .sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+  const sortedPlans = activePlan ? [activePlan, ...otherPlans] : otherPlans;
+
+  // Render each plan as a card (in sorted order)
+  sortedPlans.forEach(plan => {
+    const planId = plan.id;
+    const isActive = planId === currentPlanId;
+
+    const card = document.createElement('div');
+    card.className = 'reading-plan-card';
+    card.setAttribute('role', 'button');
+    card.setAttribute('tabindex', '0');
+    card.setAttribute('aria-label', (plan.name || planId) + (isActive ? ' (Active)' : ''));
+
+    // Header row with title and optional Active badge
+    const header = document.createElement('div');
+    header.className = 'reading-plan-header';
+
+    const title = document.createElement('span');
+    title.className = 'reading-plan-title';
+    title.textContent = plan.name || planId;
+    header.appendChild(title);
+
+    if (isActive) {
+      const badge = document.createElement('span');
+      badge.className = 'reading-plan-badge-active';
+      badge.textContent = 'Active';
+      header.appendChild(badge);
+    }
+
+    card.appendChild(header);
+
+    // Meta line with progress info or description
+    const meta = document.createElement('p');
+    meta.className = 'reading-plan-meta';
+
+    if (planId === 'current-book' && plan.config && plan.progress) {
+      // Special handling for current-book plan
+      const bookId = plan.config.bookId;
+      const totalChapters = plan.config.totalChapters;
+      const lastChapter = plan.progress.lastChapter;
+
+      if (bookId && totalChapters && lastChapter) {
+        meta.textContent = `Book: ${bookId} • Last: ${lastChapter} / ${totalChapters}`;
+      } else if (bookId) {
+        meta.textContent = `Book: ${bookId}`;
+      } else {
+        meta.textContent = 'Tracks your current book automatically.';
+      }
+    } else if (BiblePlans.isScheduledPlan(plan)) {
+      // Started plans: day and progress
+      const status = BiblePlans.getPlanStatus(plan);
+      meta.textContent = status.finished
+        ? `Complete • ${status.totalDays} days`
+        : status.notStarted
+          ? `Starts ${formatPlanDate(status.startDate)} • ${status.totalDays} days`
+          : `Day ${status.today + 1} of ${status.totalDays} • ${status.completedCount} done` +
+            (describePlanPace(status) ? ` • ${describePlanPace(status)}` : '');
+    } else if (plan.meta) {
+      // Built-in plans with meta string
+      meta.textContent = plan.meta;
+    } else if (plan.description) {
+      // Fallback to description (truncate if long)
+      const desc = plan.description;
+      meta.textContent = desc.length > 60 ? desc.substring(0, 57) + '...' : desc;
+    } else {
+      meta.textContent = 'Custom reading plan.';
+    }
+
+    card.appendChild(meta);
+
+    // Click handler - show the plan's details (start form or today's reading);
+    // the current-book plan switches straight away
+    const handlePlanClick = async () => {
+      if (planId !== 'current-book') {
+        renderPlanDetail(planId);
+        return;
+      }
+
+      const currentId = await BibleReading.getCurrentPlanId();
+
+      // Already on this plan? No-op with friendly message
+      if (planId === currentId) {
+        showToast('Already on this plan—keep reading!');
+        return;
+      }
+
+      // Switch to the new plan
+      await BibleReading.setCurrentPlanId(planId);
+      showToast(`Switched to ${plan.name}!`);
+
+      // Re-render to update the Active badge
+      renderReadingPlansList();
+      refreshPlanUI();
+    };
+
+    card.addEventListener('click', handlePlanClick);
+    card.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        handlePlanClick();
+      }
+    });
+
+    container.appendChild(card);
+  });
+}
+
+/**
+ * Re-render the plan status line and action buttons under the chapter title
+ */
+async function refreshPlanUI() {
+  await updateCurrentPlanStatusUI();
+  await updateCurrentPlanActionUI();
+}
+
+/**
+ * Show a plan's details under the plan list in Settings:
+ * a start form for a built-in plan that isn't started, otherwise today's reading
+ * with "Read now", "Mark day done", "Make active", "Export plan" and "Stop plan"
+ * @param {string|null} planId - Plan to show (null hides the panel)
+ */
+async function renderPlanDetail(planId) {
+  const panel = document.getElementById('planDetail');
+  if (!panel) return;
+
+  let plan = null;
+  let currentPlanId = null;
+  if (planId) {
+    try {
+      const plans = await BibleReading.getPlans();
+      plan = plans[planId];
+      currentPlanId = await BibleReading.getCurrentPlanId();
+    } catch (e) {
+      console.error('[BibleReading] Unable to load plan:', e);
+    }
+  }
+
+  panel.innerHTML = '';
+  panel.hidden = !plan;
+  if (!plan) return;
+
+  const addElement = (tag, className, text) => {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    panel.appendChild(element);
+    return element;
+  };
+  const addButton = (label, className, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    buttons.appendChild(button);
+    return button;
+  };
+
+  addElement('h4', 'plan-detail-title', plan.name || plan.id);
+  if (plan.description) {
+    addElement('p', 'plan-detail-description', plan.description);
+  }
+
+  let buttons;
+
+  // Built-in template that hasn't been started: pick a start date
+  if (!BiblePlans.isScheduledPlan(plan)) {
+    if (!plan.schedule) return;
+
+    const label = addElement('label', 'plan-detail-label', 'Start date');
+    label.htmlFor = 'planStartDateInput';
+    const input = addElement('input', 'bookmark-editor-input');
+    input.type = 'date';
+    input.id = 'planStartDateInput';
+    input.value = BiblePlans.toDateKey(new Date());
+
+    buttons = addElement('div', 'settings-buttons');
+    addButton('Start plan', 'settings-primary-btn', async () => {
+      if (!input.value) {
+        showToast('Choose a start date');
+        return;
+      }
+      try {
+        await startBuiltinPlan(plan, input.value);
+        showToast(`Started ${plan.name}!`);
+      } catch (e) {
+        console.error('[BibleReading] Unable to start plan:', e);
+        showToast('Could not start the plan');
+        return;
+      }
+      renderReadingPlansList();
+      renderPlanDetail(plan.id);
+      refreshPlanUI();
+    });
+    addButton('Export plan', 'settings-secondary-btn', () => exportPlanFile(plan));
+    return;
+  }
+
+  const status = BiblePlans.getPlanStatus(plan);
+  addElement('p', 'plan-detail-status', describeScheduledPlanStatus(plan));
+  addElement('p', 'plan-detail-progress',
+    `${status.completedCount} of ${status.totalDays} days done` +
+    (status.skippedCount ? ` (${status.skippedCount} skipped)` : '') +
+    ` • started ${formatPlanDate(status.startDate)} • ends ${formatPlanDate(status.endDate)}`);
+
+  // Behind schedule: the catch-up modes
+  if (status.behind > 0) {
+    addElement('p', 'plan-detail-catchup',
+      `You've missed ${status.behind === 1 ? '1 day' : status.behind + ' days'}. Catch up by:`);
+    buttons = addElement('div', 'settings-buttons');
+    const catchUpButton = (label, mode, message) => addButton(label, 'settings-secondary-btn', async () => {
+      try {
+        if (!await catchUpPlan(plan.id, mode)) return;
+        showToast(message);
+      } catch (e) {
+        console.error('[BibleReading] Unable to reschedule plan:', e);
+        showToast('Could not update the plan');
+        return;
+      }
+      renderReadingPlansList();
+      renderPlanDetail(plan.id);
+      refreshPlanUI();
+    });
+    catchUpButton('Spread over remaining days', 'redistribute', 'Missed readings spread over the remaining days');
+    catchUpButton('Push back end date', 'push', 'Plan moved - pick up where you left off today');
+    catchUpButton('Skip missed days', 'skip', 'Missed days skipped');
+  }
+
+  buttons = addElement('div', 'settings-buttons');
+  if (!status.finished && !status.notStarted && status.todayReadings.length) {
+    addButton('Read now', 'settings-primary-btn', async () => {
+      if (currentPlanId !== plan.id) {
+        await BibleReading.setCurrentPlanId(plan.id);
+      }
+      closeSettingsModal();
+      const first = status.todayReadings[0];
+      goToPassage(first.bookId, first.chapter, first.verse);
+    });
+    addButton(status.todayDone ? 'Mark day not done' : 'Mark day done', 'settings-secondary-btn', async () => {
+      await setPlanDayComplete(plan.id, status.today, !status.todayDone);
+      renderReadingPlansList();
+      renderPlanDetail(plan.id);
+      refreshPlanUI();
+    });
+  }
+  if (currentPlanId !== plan.id) {
+    addButton('Make active', 'settings-secondary-btn', async () => {
+      await BibleReading.setCurrentPlanId(plan.id);
+      showToast(`Switched to ${plan.name}!`);
+      renderReadingPlansList();
+      renderPlanDetail(plan.id);
+      refreshPlanUI();
+    });
+  }
+  addButton('Export plan', 'settings-secondary-btn', () => exportPlanFile(plan));
+  addButton(plan.isBuiltin ? 'Stop plan' : 'Delete plan', 'settings-secondary-btn', async () => {
+    const question = plan.isBuiltin
+      ? `Stop "${plan.name}"? Its progress will be removed.`
+      : `Delete "${plan.name}"? This can't be undone.`;
+    if (!confirm(question)) return;
+    await BibleReading.deletePlan(plan.id);
+    showToast(plan.isBuiltin ? 'Plan stopped' : 'Plan deleted');
+    renderReadingPlansList();
+    renderPlanDetail(plan.isBuiltin ? plan.id : null);
+    refreshPlanUI();
+  });
+}
+
+// Most tracks the plan builder offers
+const PLAN_BUILDER_MAX_TRACKS = 4;
+
+/**
+ * Open the custom plan builder with a fresh form
+ */
+function openPlanBuilder() {
+  const builder = document.getElementById('planBuilder');
+  if (!builder) return;
+
+  document.getElementById('planBuilderName').value = '';
+  document.getElementById('planBuilderTracks').innerHTML = '';
+  addPlanBuilderTrack();
+  document.getElementById('planBuilderAmount').value = '6';
+  document.getElementById('planBuilderPace').value = 'weeks';
+  document.querySelectorAll('#planBuilderWeekdays input').forEach(input => { input.checked = true; });
+  document.getElementById('planBuilderStart').value = BiblePlans.toDateKey(new Date());
+  document.getElementById('planBuilderInterleave').checked = true;
+
+  builder.oninput = updatePlanBuilderPreview;
+  builder.onchange = updatePlanBuilderPreview;
+  builder.hidden = false;
+  document.getElementById('planBuilderOpenBtn').hidden = true;
+  renderPlanDetail(null);
+  updatePlanBuilderPreview();
+  document.getElementById('planBuilderName').focus();
+}
+
+/**
+ * Hide the custom plan builder
+ */
+function closePlanBuilder() {
+  const builder = document.getElementById('planBuilder');
+  if (builder) builder.hidden = true;
+  const openBtn = document.getElementById('planBuilderOpenBtn');
+  if (openBtn) openBtn.hidden = false;
+}
+
+/**
+ * Add a track input to the plan builder (up to PLAN_BUILDER_MAX_TRACKS)
+ */
+function addPlanBuilderTrack() {
+  const container = document.getElementById('planBuilderTracks');
+  const count = container.querySelectorAll('input').length;
+  if (count >= PLAN_BUILDER_MAX_TRACKS) {
+    showToast(`Up to ${PLAN_BUILDER_MAX_TRACKS} tracks`);
+    return;
+  }
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'bookmark-editor-input';
+  input.placeholder = count === 0 ? 'e.g. Romans' : 'e.g. Psalms';
+  input.setAttribute('aria-label', `Track ${count + 1}`);
+  container.appendChild(input);
+
+  document.getElementById('planBuilderInterleaveLabel').hidden = count + 1 < 2;
+  if (count > 0) input.focus();
+  updatePlanBuilderPreview();
+}
+
+/**
+ * Read the plan builder form into a schedule spec
+ * @returns {Object} { name, label, startDate, spec, days } or { error }
+ */
+function readPlanBuilderForm() {
+  if (!booksJson || !booksJson.books) {
+    return { error: 'Books are still loading' };
+  }
+
+  const tracks = [];
+  const trackLabels = [];
+  for (const input of document.querySelectorAll('#planBuilderTracks input')) {
+    const text = input.value.trim();
+    if (!text) continue;
+    const track = BiblePlans.parseTrack(text, booksJson.books);
+    if (track.error) return { error: track.error };
+    tracks.push(track);
+    trackLabels.push(text);
+  }
+  if (tracks.length === 0) {
+    return { error: 'Enter the books or chapters to read' };
+  }
+
+  const readingDays = [...document.querySelectorAll('#planBuilderWeekdays input:checked')].map(input => Number(input.value));
+  if (readingDays.length === 0) {
+    return { error: 'Choose at least one reading day' };
+  }
+
+  const amount = Math.round(Number(document.getElementById('planBuilderAmount').value));
+  if (!amount || amount < 1) {
+    return { error: 'Enter how long the plan should take' };
+  }
+
+  const startDate = document.getElementById('planBuilderStart').value;
+  if (!startDate) {
+    return { error: 'Choose a start date' };
+  }
+
+  const spec = {
+    tracks: tracks,
+    interleave: document.getElementById('planBuilderInterleave').checked,
+    readingDays: readingDays.length === 7 ? null : readingDays
+  };
+  const pace = document.getElementById('planBuilderPace').value;
+  if (pace === 'chapters') {
+    spec.chaptersPerDay = amount;
+  } else {
+    spec.calendarDays = pace === 'weeks' ? amount * 7 : amount;
+  }
+
+  const days = BiblePlans.buildSchedule(spec, booksJson.books, startDate);
+  const label = trackLabels.join(' + ');
+  const name = document.getElementById('planBuilderName').value.trim() || label;
+
+  return { name: name, label: label, startDate: startDate, spec: spec, days: days };
+}
+
+/**
+ * Summarize the plan the builder would create (or what's wrong with the form)
+ */
+function updatePlanBuilderPreview() {
+  const preview = document.getElementById('planBuilderPreview');
+  if (!preview) return;
+
+  const hasText = [...document.querySelectorAll('#planBuilderTracks input')].some(input => input.value.trim());
+  const result = hasText ? readPlanBuilderForm() : null;
+  preview.classList.toggle('error', Boolean(result && result.error));
+  if (!result) {
+    preview.textContent = '';
+  } else if (result.error) {
+    preview.textContent = result.error;
+  } else {
+    const chapters = result.days.reduce((sum, day) => sum + day.length, 0);
+    const dates = BiblePlans.dayDates({
+      startDate: result.startDate,
+      readingDays: result.spec.readingDays,
+      days: result.days
+    });
+    const perDay = chapters / result.days.length;
+    preview.textContent = `${chapters} chapters over ${result.days.length} reading days ` +
+      `(about ${perDay < 10 ? Math.round(perDay * 10) / 10 : Math.round(perDay)} a day) • ` +
+      `ends ${formatPlanDate(dates[dates.length - 1])}`;
+  }
+}
+
+/**
+ * Save the builder's plan as a structured plan and make it active
+ */
+async function createCustomPlan() {
+  const result = readPlanBuilderForm();
+  if (result.error) {
+    updatePlanBuilderPreview();
+    showToast(result.error);
+    return;
+  }
+
+  const planId = 'custom-' + Date.now().toString(36);
+  try {
+    await BibleReading.upsertPlan({
+      id: planId,
+      name: result.name,
+      type: 'structured',
+      description: `${result.label} • ${result.days.length} reading days`,
+      config: {
+        spec: result.spec,
+        startDate: result.startDate,
+        readingDays: result.spec.readingDays,
+        days: result.days
+      },
+      progress: {
+        completedDays: [],
+        lastUpdatedAt: new Date().toISOString()
+      }
+    });
+    await BibleReading.setCurrentPlanId(planId);
+  } catch (e) {
+    console.error('[BibleReading] Unable to save custom plan:', e);
+    showToast('Could not save the plan');
+    return;
+  }
+
+  showToast(`Created ${result.name}!`);
+  closePlanBuilder();
+  await renderReadingPlansList();
+  renderPlanDetail(planId);
+  refreshPlanUI();
+}
+
+/**
+ * Initialize the reading history retention selects in the Reading Plans section.
+ * Empty option values mean "forever" (null in the policy).
+ */
+async function initHistoryRetentionSettings() {
+  const detailSelect = document.getElementById('historyDetailSelect');
+  const rollupSelect = document.getElementById('historyRollupSelect');
+  if (!detailSelect || !rollupSelect ||
+      !window.BibleReading || typeof BibleReading.getRetentionPolicy !== 'function') {
+    return;
+  }
+
+  try {
+    const policy = await BibleReading.getRetentionPolicy();
+    detailSelect.value = policy.detailDays === null ? '' : String(policy.detailDays);
+    rollupSelect.value = policy.rollupDays === null ? '' : String(policy.rollupDays);
+  } catch (e) {
+    console.warn('[BibleReading] Unable to load retention policy:', e);
+    return;
+  }
+
+  const handleChange = async () => {
+    try {
+      await BibleReading.setRetentionPolicy({
+        detailDays: detailSelect.value ? Number(detailSelect.value) : null,
+        rollupDays: rollupSelect.value ? Number(rollupSelect.value) : null
+      });
+      showToast('Reading history settings saved');
+    } catch (e) {
+      console.error('[BibleReading] Unable to save retention policy:', e);
+      showToast('Could not save reading history settings');
+    }
+  };
+  detailSelect.onchange = handleChange;
+  rollupSelect.onchange = handleChange;
+}
+
+// ========================================
+// Settings Accordion State (Single-Open Mode)
+// ========================================
+const SETTINGS_EXPANDED_KEY = 'bibleReader.settingsExpanded';
+const SETTINGS_DEFAULT_SECTION = 'reading-prefs';
+
+// Track currently active section (module-level for access across functions)
+let _currentActiveSection = null;
+
+// Valid section IDs for validation
+const VALID_SECTION_IDS = ['reading-prefs', 'reading-plans', 'backup-restore', 'sync-settings', 'manage-versions', 'appearance'];
+
+/**
+ * Get persisted active accordion section
+ * Handles migration from old array format to new string format.
+ * @returns {string|null} Active section ID or null
+ */
+function getActiveSection() {
+  const stored = localStorage.getItem(SETTINGS_EXPANDED_KEY);
+  if (!stored) return null;
+
+  // Handle legacy array format: '["reading-prefs"]' or '["reading-prefs","backup-restore"]'
+  if (stored.startsWith('[')) {
+    try {
+      const arr = JSON.parse(stored);
+      if (Array.isArray(arr) && arr.length > 0 && VALID_SECTION_IDS.includes(arr[0])) {
+        // Migrate to new format
+        const firstSection = arr[0];
+        localStorage.setItem(SETTINGS_EXPANDED_KEY, firstSection);
+        return firstSection;
+      }
+    } catch {
+      // Invalid JSON, clear it
+      localStorage.removeItem(SETTINGS_EXPANDED_KEY);
+      return null;
+    }
+  }
+
+  // Validate stored value is a known section ID
+  if (VALID_SECTION_IDS.includes(stored)) {
+    return stored;
+  }
+
+  // Invalid value, clear and return null
+  localStorage.removeItem(SETTINGS_EXPANDED_KEY);
+  return null;
+}
+
+/**
+ * Save active accordion section to localStorage
+ * @param {string|null} sectionId - Section ID or null to clear
+ */
+function saveActiveSection(sectionId) {
+  if (sectionId) {
+    localStorage.setItem(SETTINGS_EXPANDED_KEY, sectionId);
+  } else {
+    localStorage.removeItem(SETTINGS_EXPANDED_KEY);
+  }
+}
+
+/**
+ * Collapse a specific accordion section
+ * @param {string} targetId - Section ID to collapse
+ */
+function collapseSection(targetId) {
+  // Validate targetId before using in selector
+  if (!targetId || !VALID_SECTION_IDS.includes(targetId)) {
+    console.warn('[Accordion] Invalid targetId for collapse:', targetId);
+    return;
+  }
+  const header = document.querySelector(`[data-target="${targetId}"]`);
+  const content = document.getElementById(targetId);
+  if (header && content) {
+    header.setAttribute('aria-expanded', 'false');
+    content.setAttribute('aria-expanded', 'false');
+  }
+}
+
+/**
+ * Expand a specific accordion section
+ * @param {string} targetId - Section ID to expand
+ * @param {boolean} scroll - Whether to scroll to header
+ */
+function expandSection(targetId, scroll = true) {
+  // Validate targetId before using in selector
+  if (!targetId || !VALID_SECTION_IDS.includes(targetId)) {
+    console.warn('[Accordion] Invalid targetId for expand:', targetId);
+    return;
+  }
+  const header = document.querySelector(`[data-target="${targetId}"]`);
+  const content = document.getElementById(targetId);
+  if (header && content) {
+    header.setAttribute('aria-expanded', 'true');
+    content.setAttribute('aria-expanded', 'true');
+    if (scroll) {
+      setTimeout(() => {
+        header.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      }, 50);
+    }
+  }
+}
+
+/**
+ * Toggle accordion section (single-open mode)
+ * Clicking a new section closes any open one first.
+ * Clicking the active section collapses it (all closed).
+ * @param {string} targetId - Section ID to toggle
+ */
+function toggleAccordionSection(targetId) {
+  // Validate targetId
+  if (!targetId || !VALID_SECTION_IDS.includes(targetId)) {
+    console.warn('[Accordion] Invalid targetId for toggle:', targetId);
+    return;
+  }
+
+  if (targetId === _currentActiveSection) {
+    // Toggle off: collapse active section
+    collapseSection(targetId);
+    _currentActiveSection = null;
+    saveActiveSection(null);
+  } else {
+    // Close current if any, then open new
+    if (_currentActiveSection) {
+      collapseSection(_currentActiveSection);
+    }
+    expandSection(targetId);
+    _currentActiveSection = targetId;
+    saveActiveSection(targetId);
+  }
+}
+
+/**
+ * Initialize accordion behavior for settings modal (single-open mode)
+ * Only one section can be expanded at a time.
+ */
+function initSettingsAccordion() {
+  const headers = document.querySelectorAll('.accordion-header');
+
+  // Get persisted or default section
+  const savedSection = getActiveSection();
+  const initialSection = savedSection || SETTINGS_DEFAULT_SECTION;
+
+  // Reset all sections to collapsed first
+  headers.forEach(header => {
+    const targetId = header.dataset.target;
+    const content = document.getElementById(targetId);
+    if (!content) return;
+
+    header.setAttribute('aria-expanded', 'false');
+    content.setAttribute('aria-expanded', 'false');
+
+    // Remove existing listeners (prevent duplicates on re-open)
+    header.removeEventListener('click', header._accordionClickHandler);
+    header.removeEventListener('keydown', header._accordionKeyHandler);
+
+    // Add click handler
+    header._accordionClickHandler = () => toggleAccordionSection(targetId);
+    header.addEventListener('click', header._accordionClickHandler);
+
+    // Keyboard accessibility
+    header.setAttribute('tabindex', '0');
+    header._accordionKeyHandler = (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        toggleAccordionSection(targetId);
+      }
+    };
+    header.addEventListener('keydown', header._accordionKeyHandler);
+  });
+
+  // Expand initial section (without scroll on first load)
+  _currentActiveSection = null; // Reset tracking
+
+  // Validate initialSection before using in selector
+  const validInitial = initialSection && VALID_SECTION_IDS.includes(initialSection) ? initialSection : SETTINGS_DEFAULT_SECTION;
+
+  if (validInitial) {
+    const initialHeader = document.querySelector(`[data-target="${validInitial}"]`);
+    if (initialHeader) {
+      expandSection(validInitial, false);
+      _currentActiveSection = validInitial;
+    } else if (headers.length > 0) {
+      // Fallback to first section if saved one doesn't exist
+      const firstId = headers[0].dataset.target;
+      if (firstId && VALID_SECTION_IDS.includes(firstId)) {
+        expandSection(firstId, false);
+        _currentActiveSection = firstId;
+      }
+    }
+  }
+
+  // ToC navigation (single-open mode)
+  const tocLinks = document.querySelectorAll('.settings-toc .toc-link');
+  tocLinks.forEach(link => {
+    link.removeEventListener('click', link._tocClickHandler);
+    link._tocClickHandler = (e) => {
+      e.preventDefault();
+      const targetId = link.getAttribute('href').slice(1);
+
+      // Validate targetId before using in selector
+      if (!targetId || !VALID_SECTION_IDS.includes(targetId)) {
+        console.warn('[Accordion] Invalid ToC targetId:', targetId);
+        return;
+      }
+
+      const header = document.querySelector(`[data-target="${targetId}"]`);
+      if (header) {
+        // If not already active, switch to it
+        if (_currentActiveSection !== targetId) {
+          toggleAccordionSection(targetId);
+        }
+        // Scroll to header
+        setTimeout(() => {
+          header.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }, 100);
+      }
+    };
+    link.addEventListener('click', link._tocClickHandler);
+  });
+}
+
+/**
+ * Update theme toggle button in Settings to reflect current theme
+ */
+function updateSettingsThemeButton() {
+  const btn = document.getElementById('settingsThemeToggle');
+  if (!btn) return;
+
+  const isDark = document.body.classList.contains(THEME_DARK);
+  const icon = btn.querySelector('.theme-icon');
+  if (icon) {
+    icon.textContent = isDark ? '🌙' : '☀️';
+  }
+}
+
+/**
+ * Open the settings modal
+ */
+function openSettingsModal() {
+  lockBodyScroll();
+  // Render reading plans list fresh each time
+  renderReadingPlansList();
+  renderPlanDetail(null);
+  closePlanBuilder();
+  // Initialize reading history retention selects
+  initHistoryRetentionSettings();
+  // Fill in the automatic backup controls and status
+  initAutoBackupSettings();
+  // Fill in the sync form and status
+  initSyncSettings();
+  // Initialize line height slider with current value
+  initLineHeightSlider();
+  // Initialize parallel view toggle state
+  initParallelView();
+  // Initialize copy/share citation style
+  initCitationSettings();
+  // Initialize cross-translation highlight toggle
+  initHighlightSettings();
+  // Initialize accordion behavior
+  initSettingsAccordion();
+  // Update theme button state
+  updateSettingsThemeButton();
+
+  document.getElementById('settingsModalOverlay').classList.add('active');
+  // Focus the first accordion header for keyboard navigation
+  setTimeout(() => {
+    const firstHeader = document.querySelector('.accordion-header');
+    if (firstHeader) firstHeader.focus();
+  }, 0);
+}
+
+/**
+ * Close the settings modal
+ * @param {Event} event - Optional event object from click handler
+ */
+function closeSettingsModal(event) {
+  if (!event || event.target === event.currentTarget) {
+    document.getElementById('settingsModalOverlay').classList.remove('active');
+    unlockBodyScroll();
+    // Return focus to settings button
+    const settingsBtn = document.querySelector('.settings-header-btn');
+    if (settingsBtn) settingsBtn.focus();
+  }
+}
+
+/**
+ * Open the hidden file input to select a backup file
+ */
+function openBackupFilePicker() {
+  const fileInput = document.getElementById('backupFileInput');
+  if (fileInput) {
+    fileInput.click();
+  }
+}
+
+/**
+ * Handle file selection for backup restore
+ * @param {Event} event - The file input change event
+ */
+function handleBackupFileSelected(event) {
+  const fileInput = event.target;
+  const file = fileInput.files && fileInput.files[0];
+
+  if (!file) {
+    return;
+  }
+
+  const reader = new FileReader();
+
+  reader.onload = async function(e) {
+    // Encrypted files ask for their passphrase first
+    if (BibleBackup.isEncryptedBackup(e.target.result)) {
+      openRestoreUnlock(e.target.result);
+      return;
+    }
+
+    // Parse, upgrade older formats and validate (errors name the problem)
+    let backup;
+    try {
+      backup = BibleBackup.readBackup(e.target.result);
+    } catch (err) {
+      console.warn('[Backup] Rejected backup file:', err.problems || err);
+      alert(err.message);
+      return;
+    }
+
+    try {
+      // Let the user choose merge or replace, with a preview of the merge
+      await openRestoreModal(backup);
+    } catch (err) {
+      console.error('Error preparing backup restore:', err);
+      alert('Sorry, something went wrong while reading the backup file.');
+    }
+  };
+
+  reader.onerror = function() {
+    console.error('Error reading backup file');
+    alert('Sorry, something went wrong while reading the backup file.');
+  };
+
+  reader.readAsText(file);
+
+  // Clear the file input value so the same file can be re-selected later
+  fileInput.value = '';
+}
+
+// Backup chosen in the file picker, waiting for merge/replace ({ backup, merged })
+let pendingRestore = null;
+
+// Encrypted backup file text, waiting for its passphrase
+let pendingEncryptedBackup = null;
+
+/**
+ * Show the restore modal in one of its two steps
+ * @param {string} step - 'unlock' (passphrase for an encrypted file) or 'options'
+ */
+function showRestoreStep(step) {
+  document.getElementById('restoreUnlock').hidden = step !== 'unlock';
+  document.getElementById('restoreOptions').hidden = step !== 'options';
+  document.getElementById('restoreModalTitle').textContent =
+    step === 'unlock' ? 'Encrypted Backup' : 'Restore Backup';
+}
 
-    card.appendChild(meta);
+/**
+ * Ask for the passphrase of an encrypted backup file
+ * @param {string} fileText - Encrypted backup file contents
+ */
+function openRestoreUnlock(fileText) {
+  const overlay = document.getElementById('restoreModalOverlay');
+  const input = document.getElementById('restorePassphraseInput');
+  if (!overlay || !input) return;
 
-    // Click handler - switch to this plan
-    const handlePlanClick = () => {
-      const currentId = BibleReading.getCurrentPlanId();
+  pendingEncryptedBackup = fileText;
+  input.value = '';
+  document.getElementById('restoreUnlockError').textContent = '';
+  showRestoreStep('unlock');
 
-      // Already on this plan? No-op with friendly message
-      if (planId === currentId) {
-        showToast('Already on this plan—keep reading!');
-        return;
-      }
+  lockBodyScroll();
+  overlay.classList.add('active');
+  setTimeout(() => input.focus(), 0);
+}
 
-      // Switch to the new plan
-      BibleReading.setCurrentPlanId(planId);
+/**
+ * Decrypt the pending encrypted backup with the entered passphrase,
+ * then continue to the merge/replace options
+ */
+async function unlockRestoreBackup() {
+  const input = document.getElementById('restorePassphraseInput');
+  const error = document.getElementById('restoreUnlockError');
+  const button = document.getElementById('restoreUnlockBtn');
+  if (!pendingEncryptedBackup || !input.value) {
+    error.textContent = 'Enter the passphrase used when the backup was made.';
+    input.focus();
+    return;
+  }
 
-      // Reset progress: For v1, clear all events when switching to a builtin plan
-      // (current-book keeps events since it tracks whatever you're reading)
-      if (plan.isBuiltin && planId !== 'current-book') {
-        BibleReading.clearReadingEvents();
-        showToast(`Switched to ${plan.name}! Journey reset—start fresh.`);
-      } else {
-        showToast(`Switched to ${plan.name}!`);
-      }
+  if (!window.crypto || !crypto.subtle) {
+    error.textContent = 'Encrypted backups need a secure (https) connection.';
+    return;
+  }
 
-      // Re-render to update the Active badge
-      renderReadingPlansList();
-    };
+  button.disabled = true;
+  button.textContent = 'Unlocking…';
+  error.textContent = '';
+  try {
+    const decrypted = await BibleBackup.decryptBackup(pendingEncryptedBackup, input.value);
+    const backup = BibleBackup.readBackup(decrypted);
+    pendingEncryptedBackup = null;
+    input.value = '';
+    await openRestoreModal(backup);
+  } catch (err) {
+    console.warn('[Backup] Could not unlock backup:', err.problems || err);
+    error.textContent = err.message;
+    input.select();
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Unlock';
+  }
+}
 
-    card.addEventListener('click', handlePlanClick);
-    card.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        handlePlanClick();
-      }
-    });
+/**
+ * Show the restore options for a validated backup: merge into this device's
+ * data (with a preview of what changes) or replace everything
+ * @param {Object} backup - Parsed backup file
+ */
+async function openRestoreModal(backup) {
+  const overlay = document.getElementById('restoreModalOverlay');
+  const list = document.getElementById('restorePreviewList');
+  const exported = document.getElementById('restoreBackupDate');
+  if (!overlay || !list) return;
 
-    container.appendChild(card);
+  const merged = BibleBackup.mergeBackupData(await collectBackupData(), backup.data);
+  pendingRestore = { backup: backup, merged: merged };
+  showRestoreStep('options');
+
+  const date = new Date(backup.exportedAt);
+  exported.textContent = isNaN(date) ? 'Backup file' : 'Backup from ' + date.toLocaleString();
+
+  list.innerHTML = '';
+  merged.changes.forEach(change => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'restore-preview-label';
+    label.textContent = change.label;
+
+    const parts = [];
+    if (change.added) parts.push(change.added + ' new');
+    if (change.updated) parts.push(change.updated + ' updated');
+    const counts = document.createElement('span');
+    counts.className = 'restore-preview-counts';
+    counts.textContent = parts.length ? parts.join(', ') : 'no changes';
+    if (!parts.length) item.classList.add('unchanged');
+
+    item.appendChild(label);
+    item.appendChild(counts);
+    list.appendChild(item);
   });
+
+  lockBodyScroll();
+  overlay.classList.add('active');
+  setTimeout(() => {
+    const mergeBtn = document.getElementById('restoreMergeBtn');
+    if (mergeBtn) mergeBtn.focus();
+  }, 0);
 }
 
-// ========================================
-// Settings Accordion State (Single-Open Mode)
-// ========================================
-const SETTINGS_EXPANDED_KEY = 'bibleReader.settingsExpanded';
-const SETTINGS_DEFAULT_SECTION = 'reading-prefs';
+/**
+ * Close the restore options without restoring
+ * @param {Event} event - Optional event object from click handler
+ */
+function closeRestoreModal(event) {
+  if (event && event.target !== event.currentTarget) return;
 
-// Track currently active section (module-level for access across functions)
-let _currentActiveSection = null;
+  const overlay = document.getElementById('restoreModalOverlay');
+  if (overlay) overlay.classList.remove('active');
+  pendingRestore = null;
+  pendingEncryptedBackup = null;
+  document.getElementById('restorePassphraseInput').value = '';
 
-// Valid section IDs for validation
-const VALID_SECTION_IDS = ['reading-prefs', 'reading-plans', 'backup-restore', 'manage-versions', 'appearance'];
+  // Opened from Settings; keep the page locked while Settings is still open
+  const settings = document.getElementById('settingsModalOverlay');
+  if (!settings || !settings.classList.contains('active')) {
+    unlockBodyScroll();
+  }
+}
 
 /**
- * Get persisted active accordion section
- * Handles migration from old array format to new string format.
- * @returns {string|null} Active section ID or null
+ * Apply the pending backup and reload
+ * @param {string} mode - 'merge' (combine with this device's data) or 'replace'
  */
-function getActiveSection() {
-  const stored = localStorage.getItem(SETTINGS_EXPANDED_KEY);
-  if (!stored) return null;
+async function applyRestore(mode) {
+  if (!pendingRestore) return;
+
+  if (mode === 'replace') {
+    const ok = window.confirm(
+      'Replacing will overwrite your current Bible Reader data (reading progress, history, notes, bookmarks, preferences) on this device. Continue?'
+    );
+    if (!ok) return;
+  }
 
-  // Handle legacy array format: '["reading-prefs"]' or '["reading-prefs","backup-restore"]'
-  if (stored.startsWith('[')) {
-    try {
-      const arr = JSON.parse(stored);
-      if (Array.isArray(arr) && arr.length > 0 && VALID_SECTION_IDS.includes(arr[0])) {
-        // Migrate to new format
-        const firstSection = arr[0];
-        localStorage.setItem(SETTINGS_EXPANDED_KEY, firstSection);
-        return firstSection;
+  const data = mode === 'merge' ? pendingRestore.merged.data : pendingRestore.backup.data;
+
+  try {
+    // Records go straight into IndexedDB in one transaction, so a failure
+    // (e.g. a full disk) leaves this device's data as it was
+    const storeKeys = window.BibleDB ? BibleDB.LEGACY_KEYS : [];
+    if (window.BibleDB) {
+      await BibleDB.restoreLegacyData(data);
+    }
+
+    // Preferences live in localStorage
+    for (const key in data) {
+      if (Object.prototype.hasOwnProperty.call(data, key) && !storeKeys.includes(key)) {
+        localStorage.setItem(key, data[key]);
       }
-    } catch {
-      // Invalid JSON, clear it
-      localStorage.removeItem(SETTINGS_EXPANDED_KEY);
-      return null;
     }
-  }
 
-  // Validate stored value is a known section ID
-  if (VALID_SECTION_IDS.includes(stored)) {
-    return stored;
+    // Replace: drop the other "bibleReader." preferences once everything is written
+    if (mode === 'replace') {
+      const keysToRemove = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith('bibleReader.') && !storeKeys.includes(key) &&
+            !Object.prototype.hasOwnProperty.call(data, key)) {
+          keysToRemove.push(key);
+        }
+      }
+      keysToRemove.forEach(key => localStorage.removeItem(key));
+    }
+  } catch (err) {
+    console.error('Error restoring backup:', err);
+    alert('Sorry, something went wrong while restoring the backup.');
+    return;
   }
 
-  // Invalid value, clear and return null
-  localStorage.removeItem(SETTINGS_EXPANDED_KEY);
-  return null;
+  // Show success message and reload
+  alert(mode === 'merge'
+    ? 'Backup merged successfully. The app will now reload.'
+    : 'Backup restored successfully. The app will now reload.');
+  window.location.reload();
 }
 
 /**
- * Save active accordion section to localStorage
- * @param {string|null} sectionId - Section ID or null to clear
+ * Collect this device's data in backup format: every localStorage key that
+ * starts with "bibleReader.", plus IndexedDB records under their original
+ * localStorage keys (bibleReader.bookmarks, bibleReader.readingState.v1, ...)
+ * so backups keep one format.
+ * @returns {Promise<Object>} { key: jsonString }
  */
-function saveActiveSection(sectionId) {
-  if (sectionId) {
-    localStorage.setItem(SETTINGS_EXPANDED_KEY, sectionId);
-  } else {
-    localStorage.removeItem(SETTINGS_EXPANDED_KEY);
+async function collectBackupData() {
+  const data = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith('bibleReader.')) {
+      data[key] = localStorage.getItem(key);
+    }
   }
+  if (window.BibleDB) {
+    Object.assign(data, await BibleDB.exportLegacyData());
+  }
+  return data;
 }
 
 /**
- * Collapse a specific accordion section
- * @param {string} targetId - Section ID to collapse
+ * Show or hide the passphrase fields when "Encrypt backup" is toggled
  */
-function collapseSection(targetId) {
-  // Validate targetId before using in selector
-  if (!targetId || !VALID_SECTION_IDS.includes(targetId)) {
-    console.warn('[Accordion] Invalid targetId for collapse:', targetId);
-    return;
-  }
-  const header = document.querySelector(`[data-target="${targetId}"]`);
-  const content = document.getElementById(targetId);
-  if (header && content) {
-    header.setAttribute('aria-expanded', 'false');
-    content.setAttribute('aria-expanded', 'false');
+function toggleBackupPassphrase() {
+  const toggle = document.getElementById('backupEncryptToggle');
+  const fields = document.getElementById('backupPassphraseFields');
+  if (!toggle || !fields) return;
+
+  fields.hidden = !toggle.checked;
+  if (toggle.checked) {
+    document.getElementById('backupPassphraseInput').focus();
   }
 }
 
 /**
- * Expand a specific accordion section
- * @param {string} targetId - Section ID to expand
- * @param {boolean} scroll - Whether to scroll to header
+ * Passphrase to encrypt the next backup with, if encryption is turned on
+ * @returns {string|null|false} Passphrase, null when not encrypting, or false
+ *   when the fields are invalid (the user has been told why)
  */
-function expandSection(targetId, scroll = true) {
-  // Validate targetId before using in selector
-  if (!targetId || !VALID_SECTION_IDS.includes(targetId)) {
-    console.warn('[Accordion] Invalid targetId for expand:', targetId);
-    return;
+function getBackupPassphrase() {
+  const toggle = document.getElementById('backupEncryptToggle');
+  if (!toggle || !toggle.checked) return null;
+
+  const passphrase = document.getElementById('backupPassphraseInput').value;
+  const confirmation = document.getElementById('backupPassphraseConfirm').value;
+
+  if (passphrase.length < BACKUP_PASSPHRASE_MIN_LENGTH) {
+    alert(`Choose a passphrase of at least ${BACKUP_PASSPHRASE_MIN_LENGTH} characters.`);
+    return false;
   }
-  const header = document.querySelector(`[data-target="${targetId}"]`);
-  const content = document.getElementById(targetId);
-  if (header && content) {
-    header.setAttribute('aria-expanded', 'true');
-    content.setAttribute('aria-expanded', 'true');
-    if (scroll) {
-      setTimeout(() => {
-        header.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-      }, 50);
-    }
+  if (passphrase !== confirmation) {
+    alert('The passphrases don\'t match.');
+    return false;
   }
+  if (!window.crypto || !crypto.subtle) {
+    alert('Encrypted backups need a secure (https) connection.');
+    return false;
+  }
+  return passphrase;
 }
 
 /**
- * Toggle accordion section (single-open mode)
- * Clicking a new section closes any open one first.
- * Clicking the active section collapses it (all closed).
- * @param {string} targetId - Section ID to toggle
+ * Timestamped backup file name, e.g. bible-reader-backup-2025-01-31T08-00-00-000Z.json
+ * (names sort by date)
+ * @param {string} prefix
+ * @param {boolean} [encrypted=false]
+ * @returns {string}
  */
-function toggleAccordionSection(targetId) {
-  // Validate targetId
-  if (!targetId || !VALID_SECTION_IDS.includes(targetId)) {
-    console.warn('[Accordion] Invalid targetId for toggle:', targetId);
-    return;
-  }
+function backupFileName(prefix, encrypted = false) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return prefix + timestamp + (encrypted ? '.encrypted' : '') + '.json';
+}
 
-  if (targetId === _currentActiveSection) {
-    // Toggle off: collapse active section
-    collapseSection(targetId);
-    _currentActiveSection = null;
-    saveActiveSection(null);
-  } else {
-    // Close current if any, then open new
-    if (_currentActiveSection) {
-      collapseSection(_currentActiveSection);
+/**
+ * Export all Bible Reader data as a JSON backup file
+ * (encrypted when "Encrypt backup with a passphrase" is on)
+ */
+async function exportBibleBackup() {
+  const passphrase = getBackupPassphrase();
+  if (passphrase === false) return;
+
+  try {
+    const backup = BibleBackup.createBackup(await collectBackupData());
+
+    // Check if there's any data to export
+    if (Object.keys(backup.data).length === 0) {
+      alert('No Bible Reader data found to export. You can still save this file as a starting point.');
     }
-    expandSection(targetId);
-    _currentActiveSection = targetId;
-    saveActiveSection(targetId);
+
+    const file = passphrase ? await BibleBackup.encryptBackup(backup, passphrase) : backup;
+
+    // Create the JSON blob
+    const jsonStr = JSON.stringify(file, null, 2);
+    const blob = new Blob([jsonStr], { type: 'application/json' });
+
+    // Generate filename with timestamp
+    const filename = backupFileName('bible-reader-backup-', Boolean(passphrase));
+
+    // Create download link and trigger download
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+  } catch (err) {
+    console.error('Error creating backup:', err);
+    alert('Sorry, something went wrong while creating the backup.');
   }
 }
 
+// ========================================
+// Automatic Backups (folder)
+// ========================================
+//
+// Where showDirectoryPicker() is supported, the user grants a folder and the app
+// writes the same file as "Download backup" (unencrypted) there daily or weekly
+// while it is open, keeping the newest N. The folder handle and settings are
+// device-local BibleDB meta ('local:' keys). Browsers may forget the write
+// permission after a restart; it can only be asked for again on a click
+// ("Back up now"), so until then the status line says so.
+
+const AUTO_BACKUP_SETTINGS_KEY = 'local:autoBackup';
+const AUTO_BACKUP_DIR_KEY = 'local:autoBackupDir';
+const AUTO_BACKUP_PREFIX = 'bible-reader-backup-auto-';
+const AUTO_BACKUP_INTERVALS_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+// How often an open app checks whether a backup is due
+const AUTO_BACKUP_CHECK_MS = 60 * 60 * 1000;
+const AUTO_BACKUP_DEFAULTS = {
+  frequency: 'off',
+  keep: 7,
+  lastBackupAt: null,
+  lastFileName: null,
+  lastError: null
+};
+
 /**
- * Initialize accordion behavior for settings modal (single-open mode)
- * Only one section can be expanded at a time.
+ * Whether this browser can write backups to a folder
+ * (needs showDirectoryPicker and IndexedDB to remember the folder)
+ * @returns {Promise<boolean>}
  */
-function initSettingsAccordion() {
-  const headers = document.querySelectorAll('.accordion-header');
-
-  // Get persisted or default section
-  const savedSection = getActiveSection();
-  const initialSection = savedSection || SETTINGS_DEFAULT_SECTION;
-
-  // Reset all sections to collapsed first
-  headers.forEach(header => {
-    const targetId = header.dataset.target;
-    const content = document.getElementById(targetId);
-    if (!content) return;
+async function isAutoBackupSupported() {
+  if (typeof window.showDirectoryPicker !== 'function' || !window.BibleDB) return false;
+  await BibleDB.open();
+  return !BibleDB.isFallback();
+}
 
-    header.setAttribute('aria-expanded', 'false');
-    content.setAttribute('aria-expanded', 'false');
+/**
+ * Automatic backup settings and last result
+ * @returns {Promise<Object>} { frequency, keep, lastBackupAt, lastFileName, lastError }
+ */
+async function getAutoBackupSettings() {
+  const stored = await BibleDB.getMeta(AUTO_BACKUP_SETTINGS_KEY, null);
+  return Object.assign({}, AUTO_BACKUP_DEFAULTS, stored || {});
+}
 
-    // Remove existing listeners (prevent duplicates on re-open)
-    header.removeEventListener('click', header._accordionClickHandler);
-    header.removeEventListener('keydown', header._accordionKeyHandler);
+/**
+ * Update automatic backup settings
+ * @param {Object} changes
+ * @returns {Promise<Object>} The saved settings
+ */
+async function saveAutoBackupSettings(changes) {
+  const settings = Object.assign(await getAutoBackupSettings(), changes);
+  await BibleDB.setMeta(AUTO_BACKUP_SETTINGS_KEY, settings);
+  return settings;
+}
 
-    // Add click handler
-    header._accordionClickHandler = () => toggleAccordionSection(targetId);
-    header.addEventListener('click', header._accordionClickHandler);
+/**
+ * Check (and on a click, request) write access to the backup folder
+ * @param {FileSystemDirectoryHandle} folder
+ * @param {boolean} interactive - Whether a permission prompt may be shown
+ * @returns {Promise<boolean>}
+ */
+async function hasAutoBackupPermission(folder, interactive) {
+  const options = { mode: 'readwrite' };
+  if (await folder.queryPermission(options) === 'granted') return true;
+  return interactive && await folder.requestPermission(options) === 'granted';
+}
 
-    // Keyboard accessibility
-    header.setAttribute('tabindex', '0');
-    header._accordionKeyHandler = (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        toggleAccordionSection(targetId);
-      }
-    };
-    header.addEventListener('keydown', header._accordionKeyHandler);
-  });
+/**
+ * Delete the oldest automatic backups in the folder beyond the newest `keep`
+ * (other files are never touched)
+ * @param {FileSystemDirectoryHandle} folder
+ * @param {number} keep
+ */
+async function rotateAutoBackups(folder, keep) {
+  const names = [];
+  for await (const [name, entry] of folder.entries()) {
+    if (entry.kind === 'file' && name.startsWith(AUTO_BACKUP_PREFIX) && name.endsWith('.json')) {
+      names.push(name);
+    }
+  }
+  names.sort();
 
-  // Expand initial section (without scroll on first load)
-  _currentActiveSection = null; // Reset tracking
+  for (const name of names.slice(0, Math.max(0, names.length - keep))) {
+    await folder.removeEntry(name);
+  }
+}
 
-  // Validate initialSection before using in selector
-  const validInitial = initialSection && VALID_SECTION_IDS.includes(initialSection) ? initialSection : SETTINGS_DEFAULT_SECTION;
+/**
+ * Write a backup to the chosen folder and rotate old ones
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive=false] - Called from a click (may ask for permission)
+ * @returns {Promise<boolean>} Whether a backup was written
+ */
+async function writeAutoBackup(options = {}) {
+  const folder = await BibleDB.getMeta(AUTO_BACKUP_DIR_KEY, null);
+  if (!folder) return false;
 
-  if (validInitial) {
-    const initialHeader = document.querySelector(`[data-target="${validInitial}"]`);
-    if (initialHeader) {
-      expandSection(validInitial, false);
-      _currentActiveSection = validInitial;
-    } else if (headers.length > 0) {
-      // Fallback to first section if saved one doesn't exist
-      const firstId = headers[0].dataset.target;
-      if (firstId && VALID_SECTION_IDS.includes(firstId)) {
-        expandSection(firstId, false);
-        _currentActiveSection = firstId;
-      }
+  try {
+    if (!await hasAutoBackupPermission(folder, Boolean(options.interactive))) {
+      await saveAutoBackupSettings({ lastError: 'Allow access to the backup folder again with "Back up now".' });
+      return false;
     }
-  }
 
-  // ToC navigation (single-open mode)
-  const tocLinks = document.querySelectorAll('.settings-toc .toc-link');
-  tocLinks.forEach(link => {
-    link.removeEventListener('click', link._tocClickHandler);
-    link._tocClickHandler = (e) => {
-      e.preventDefault();
-      const targetId = link.getAttribute('href').slice(1);
+    const settings = await getAutoBackupSettings();
+    const backup = BibleBackup.createBackup(await collectBackupData());
+    const filename = backupFileName(AUTO_BACKUP_PREFIX);
 
-      // Validate targetId before using in selector
-      if (!targetId || !VALID_SECTION_IDS.includes(targetId)) {
-        console.warn('[Accordion] Invalid ToC targetId:', targetId);
-        return;
-      }
+    const fileHandle = await folder.getFileHandle(filename, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(JSON.stringify(backup, null, 2));
+    await writable.close();
 
-      const header = document.querySelector(`[data-target="${targetId}"]`);
-      if (header) {
-        // If not already active, switch to it
-        if (_currentActiveSection !== targetId) {
-          toggleAccordionSection(targetId);
-        }
-        // Scroll to header
-        setTimeout(() => {
-          header.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        }, 100);
-      }
-    };
-    link.addEventListener('click', link._tocClickHandler);
-  });
+    await rotateAutoBackups(folder, settings.keep);
+    await saveAutoBackupSettings({ lastBackupAt: new Date().toISOString(), lastFileName: filename, lastError: null });
+    console.log('[AutoBackup] Wrote', filename);
+    return true;
+  } catch (e) {
+    console.error('[AutoBackup] Backup failed:', e);
+    await saveAutoBackupSettings({ lastError: 'The last automatic backup failed: ' + e.message });
+    return false;
+  } finally {
+    updateAutoBackupStatusUI();
+  }
 }
 
 /**
- * Update theme toggle button in Settings to reflect current theme
+ * Write a backup if automatic backups are on and the last one is old enough
  */
-function updateSettingsThemeButton() {
-  const btn = document.getElementById('settingsThemeToggle');
-  if (!btn) return;
+async function runAutoBackupIfDue() {
+  try {
+    const settings = await getAutoBackupSettings();
+    const interval = AUTO_BACKUP_INTERVALS_MS[settings.frequency];
+    if (!interval) return;
 
-  const isDark = document.body.classList.contains(THEME_DARK);
-  const icon = btn.querySelector('.theme-icon');
-  if (icon) {
-    icon.textContent = isDark ? '🌙' : '☀️';
+    const lastBackupAt = settings.lastBackupAt ? Date.parse(settings.lastBackupAt) : 0;
+    if (Date.now() - lastBackupAt >= interval) {
+      await writeAutoBackup();
+    }
+  } catch (e) {
+    console.warn('[AutoBackup] Unable to check schedule:', e);
   }
 }
 
 /**
- * Open the settings modal
+ * Start the automatic backup schedule (once at startup)
  */
-function openSettingsModal() {
-  lockBodyScroll();
-  // Render reading plans list fresh each time
-  renderReadingPlansList();
-  // Initialize line height slider with current value
-  initLineHeightSlider();
-  // Initialize parallel view toggle state
-  initParallelView();
-  // Initialize accordion behavior
-  initSettingsAccordion();
-  // Update theme button state
-  updateSettingsThemeButton();
+async function initAutoBackups() {
+  if (!await isAutoBackupSupported()) return;
 
-  document.getElementById('settingsModalOverlay').classList.add('active');
-  // Focus the first accordion header for keyboard navigation
-  setTimeout(() => {
-    const firstHeader = document.querySelector('.accordion-header');
-    if (firstHeader) firstHeader.focus();
-  }, 0);
+  runAutoBackupIfDue();
+  setInterval(runAutoBackupIfDue, AUTO_BACKUP_CHECK_MS);
 }
 
 /**
- * Close the settings modal
- * @param {Event} event - Optional event object from click handler
+ * Let the user pick the backup folder, then back up straight away
  */
-function closeSettingsModal(event) {
-  if (!event || event.target === event.currentTarget) {
-    document.getElementById('settingsModalOverlay').classList.remove('active');
-    unlockBodyScroll();
-    // Return focus to settings button
-    const settingsBtn = document.querySelector('.settings-header-btn');
-    if (settingsBtn) settingsBtn.focus();
+async function chooseAutoBackupFolder() {
+  let folder;
+  try {
+    folder = await window.showDirectoryPicker({ id: 'bible-reader-backups', mode: 'readwrite' });
+  } catch (e) {
+    if (e.name !== 'AbortError') {
+      console.error('[AutoBackup] Folder picker failed:', e);
+      showToast('Could not open that folder');
+    }
+    return;
+  }
+
+  await BibleDB.setMeta(AUTO_BACKUP_DIR_KEY, folder);
+  const settings = await getAutoBackupSettings();
+  if (settings.frequency === 'off') {
+    await saveAutoBackupSettings({ frequency: 'daily' });
+    document.getElementById('autoBackupFrequencySelect').value = 'daily';
+  }
+
+  if (await writeAutoBackup({ interactive: true })) {
+    showToast('Backup saved to ' + folder.name);
   }
 }
 
 /**
- * Open the hidden file input to select a backup file
+ * "Back up now": write a backup to the folder (asking for access again if needed)
  */
-function openBackupFilePicker() {
-  const fileInput = document.getElementById('backupFileInput');
-  if (fileInput) {
-    fileInput.click();
+async function backUpToFolderNow() {
+  const folder = await BibleDB.getMeta(AUTO_BACKUP_DIR_KEY, null);
+  if (!folder) {
+    chooseAutoBackupFolder();
+    return;
+  }
+
+  if (await writeAutoBackup({ interactive: true })) {
+    showToast('Backup saved to ' + folder.name);
+  } else {
+    showToast('Backup failed');
   }
 }
 
 /**
- * Handle file selection for backup restore
- * @param {Event} event - The file input change event
+ * Show the last automatic backup in #autoBackupStatus
  */
-function handleBackupFileSelected(event) {
-  const fileInput = event.target;
-  const file = fileInput.files && fileInput.files[0];
+async function updateAutoBackupStatusUI() {
+  const statusEl = document.getElementById('autoBackupStatus');
+  if (!statusEl || !window.BibleDB) return;
 
-  if (!file) {
+  try {
+    const [settings, folder] = await Promise.all([
+      getAutoBackupSettings(),
+      BibleDB.getMeta(AUTO_BACKUP_DIR_KEY, null)
+    ]);
+
+    statusEl.classList.toggle('error', Boolean(folder && settings.lastError));
+    if (!folder) {
+      statusEl.textContent = 'Choose a folder to turn on automatic backups.';
+    } else if (settings.lastError) {
+      statusEl.textContent = settings.lastError;
+    } else if (settings.lastBackupAt) {
+      statusEl.textContent = 'Last backup: ' + new Date(settings.lastBackupAt).toLocaleString() +
+        ' (' + folder.name + '/' + settings.lastFileName + ')';
+    } else {
+      statusEl.textContent = 'Folder: ' + folder.name + '. No backup yet.';
+    }
+  } catch (e) {
+    console.warn('[AutoBackup] Unable to load status:', e);
+  }
+}
+
+/**
+ * Set up the automatic backup controls in Backup & Restore (called when Settings opens)
+ */
+async function initAutoBackupSettings() {
+  const group = document.getElementById('autoBackupSetting');
+  if (!group) return;
+
+  const supported = await isAutoBackupSupported();
+  group.hidden = !supported;
+  if (!supported) return;
+
+  const frequencySelect = document.getElementById('autoBackupFrequencySelect');
+  const keepSelect = document.getElementById('autoBackupKeepSelect');
+
+  try {
+    const settings = await getAutoBackupSettings();
+    frequencySelect.value = settings.frequency;
+    keepSelect.value = String(settings.keep);
+  } catch (e) {
+    console.warn('[AutoBackup] Unable to load settings:', e);
     return;
   }
 
-  const reader = new FileReader();
+  frequencySelect.onchange = async () => {
+    await saveAutoBackupSettings({ frequency: frequencySelect.value });
+    runAutoBackupIfDue();
+  };
+  keepSelect.onchange = () => saveAutoBackupSettings({ keep: Number(keepSelect.value) });
 
-  reader.onload = function(e) {
-    try {
-      const content = e.target.result;
-      const backup = JSON.parse(content);
+  updateAutoBackupStatusUI();
+}
 
-      // Validate the backup structure
-      if (!backup || typeof backup !== 'object') {
-        alert('This file does not look like a valid Bible Reader backup.');
-        return;
-      }
+// ========================================
+// Sync (WebDAV / REST)
+// ========================================
+//
+// BibleSync (storage/sync.js) does the pulling, merging and pushing; this section
+// has the Settings form, the automatic triggers (startup, after changes, leaving
+// the app) and the offline retry. A sync that fails offline is handed to the
+// service worker's background sync, or retried on the 'online' event where
+// background sync isn't supported.
+
+// Cached "Sync automatically" setting (true only when a URL is set)
+let syncAutoEnabled = false;
+let syncTimer = null;
+let syncRetryWhenOnline = false;
 
-      // Check appId
-      if (backup.appId !== 'yahtsar-bible-reader') {
-        alert('This file does not look like a valid Bible Reader backup.');
-        return;
-      }
+/**
+ * Load the sync settings at startup and sync once if automatic sync is on
+ */
+async function initSync() {
+  if (!window.BibleSync) return;
 
-      // Check schemaVersion is a number
-      if (typeof backup.schemaVersion !== 'number') {
-        alert('This file does not look like a valid Bible Reader backup.');
-        return;
-      }
+  try {
+    const settings = await BibleSync.getSettings();
+    syncAutoEnabled = Boolean(settings.url && settings.auto);
+  } catch (e) {
+    console.warn('[BibleSync] Unable to load sync settings:', e);
+    return;
+  }
 
-      // Check data is an object
-      if (!backup.data || typeof backup.data !== 'object') {
-        alert('This file does not look like a valid Bible Reader backup.');
-        return;
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', event => {
+      if (event.data && event.data.type === 'bible-sync-complete') {
+        applySyncedChanges(event.data.result);
       }
+    });
+  }
 
-      // Ask for confirmation
-      const ok = window.confirm(
-        'Restoring a backup will overwrite your current Bible Reader data (reading progress, history, preferences) on this device. Continue?'
-      );
+  if (syncAutoEnabled) {
+    runSync({ quiet: true });
+  }
+}
 
-      if (!ok) {
-        return;
-      }
+/**
+ * Sync a little while after a change (automatic sync only)
+ */
+function scheduleSync() {
+  if (!syncAutoEnabled) return;
 
-      // Clear existing localStorage keys that start with "bibleReader."
-      const keysToRemove = [];
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith('bibleReader.')) {
-          keysToRemove.push(key);
-        }
-      }
-      keysToRemove.forEach(key => localStorage.removeItem(key));
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncTimer = null;
+    runSync({ quiet: true });
+  }, SYNC_DEBOUNCE_MS);
+}
 
-      // Write all keys from backup.data into localStorage
-      for (const key in backup.data) {
-        if (Object.prototype.hasOwnProperty.call(backup.data, key)) {
-          localStorage.setItem(key, backup.data[key]);
-        }
+/**
+ * Sync now and refresh whatever changed
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=false] - No toasts (automatic syncs)
+ * @returns {Promise<boolean>} Whether the sync succeeded
+ */
+async function runSync(options = {}) {
+  if (!window.BibleSync) return false;
+
+  try {
+    const result = await BibleSync.syncNow();
+    if (result) {
+      await applySyncedChanges(result);
+      if (!options.quiet) showToast('Synced');
+    }
+    return true;
+  } catch (e) {
+    console.warn('[BibleSync] Sync failed:', e);
+    if (e.offline) {
+      registerBackgroundSync();
+    }
+    if (!options.quiet) {
+      showToast(e.offline ? 'Offline - will sync when you\'re back online' : 'Sync failed');
+    }
+    return false;
+  } finally {
+    updateSyncStatusUI();
+  }
+}
+
+/**
+ * Ask the service worker to retry the sync when the connection is back
+ * (falls back to the page's 'online' event)
+ */
+function registerBackgroundSync() {
+  const retryWhenOnline = () => { syncRetryWhenOnline = true; };
+
+  if (!('serviceWorker' in navigator)) {
+    retryWhenOnline();
+    return;
+  }
+
+  navigator.serviceWorker.ready
+    .then(registration => {
+      if (!registration.sync) {
+        retryWhenOnline();
+        return;
       }
+      return registration.sync.register(BibleSync.SYNC_TAG);
+    })
+    .catch(e => {
+      console.warn('[BibleSync] Background sync unavailable:', e);
+      retryWhenOnline();
+    });
+}
 
-      // Show success message and reload
-      alert('Backup restored successfully. The app will now reload.');
-      window.location.reload();
+window.addEventListener('online', () => {
+  if (!syncRetryWhenOnline) return;
+  syncRetryWhenOnline = false;
+  runSync({ quiet: true });
+});
 
-    } catch (err) {
-      console.error('Error parsing backup file:', err);
-      alert('This file does not look like a valid Bible Reader backup.');
-    }
-  };
+// Upload pending changes when the app is hidden or closed
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden' && syncTimer) {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+    runSync({ quiet: true });
+  }
+});
 
-  reader.onerror = function() {
-    console.error('Error reading backup file');
-    alert('Sorry, something went wrong while reading the backup file.');
-  };
+/**
+ * Reload cached records and refresh the views after a sync changed local data
+ * @param {Object} result - { changedStores } from BibleSync.syncNow()
+ */
+async function applySyncedChanges(result) {
+  const changed = (result && result.changedStores) || [];
+  if (changed.length === 0) return;
 
-  reader.readAsText(file);
+  await loadUserRecords();
 
-  // Clear the file input value so the same file can be re-selected later
-  fileInput.value = '';
+  if (changed.includes('bookmarks')) {
+    updateBookmarkButton();
+    refreshBookmarksListIfOpen();
+  }
+  if (changed.includes('notes')) {
+    refreshNoteIndicators();
+    refreshNotesListIfOpen();
+  }
+  if (changed.includes('highlights')) {
+    refreshHighlights();
+  }
+  if (changed.includes('readingEvents') || changed.includes('plans') || changed.includes('meta')) {
+    updateLastReadHint();
+    await updateCurrentPlanStatusUI();
+    await updateCurrentPlanActionUI();
+  }
 }
 
 /**
- * Export all Bible Reader data as a JSON backup file
+ * Show or hide the credential fields for the selected server type
+ */
+function updateSyncAuthFields() {
+  const provider = document.getElementById('syncProviderSelect').value;
+  document.getElementById('syncWebdavFields').hidden = provider !== 'webdav';
+  document.getElementById('syncRestFields').hidden = provider !== 'rest';
+}
+
+/**
+ * Fill in the sync form from the saved settings (called when Settings opens)
  */
-function exportBibleBackup() {
+async function initSyncSettings() {
+  if (!window.BibleSync || !document.getElementById('syncUrlInput')) return;
+
   try {
-    const backup = {
-      appId: 'yahtsar-bible-reader',
-      schemaVersion: 1,
-      exportedAt: new Date().toISOString(),
-      data: {}
-    };
+    const settings = await BibleSync.getSettings();
+    document.getElementById('syncProviderSelect').value = settings.provider;
+    document.getElementById('syncUrlInput').value = settings.url;
+    document.getElementById('syncUsernameInput').value = settings.username;
+    document.getElementById('syncPasswordInput').value = settings.password;
+    document.getElementById('syncTokenInput').value = settings.token;
+    document.getElementById('syncAutoToggle').checked = settings.auto;
+    updateSyncAuthFields();
+  } catch (e) {
+    console.warn('[BibleSync] Unable to load sync settings:', e);
+  }
+  updateSyncStatusUI();
+}
 
-    // Collect all localStorage keys that start with "bibleReader."
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith('bibleReader.')) {
-        backup.data[key] = localStorage.getItem(key);
-      }
-    }
+/**
+ * Show the result of the last sync in #syncStatus
+ */
+async function updateSyncStatusUI() {
+  const statusEl = document.getElementById('syncStatus');
+  if (!statusEl || !window.BibleSync) return;
 
-    // Check if there's any data to export
-    if (Object.keys(backup.data).length === 0) {
-      alert('No Bible Reader data found to export. You can still save this file as a starting point.');
+  try {
+    const [enabled, status] = await Promise.all([BibleSync.isEnabled(), BibleSync.getStatus()]);
+    const lastSync = status && status.lastSyncAt
+      ? 'Last synced ' + new Date(status.lastSyncAt).toLocaleString() + '.'
+      : 'Not synced yet.';
+
+    statusEl.classList.toggle('error', Boolean(enabled && status && !status.ok && !status.pending));
+    if (!enabled) {
+      statusEl.textContent = 'Sync is off.';
+    } else if (status && status.pending) {
+      statusEl.textContent = lastSync + ' Changes will sync when you\'re back online.';
+    } else if (status && !status.ok) {
+      statusEl.textContent = lastSync + ' Last attempt failed: ' + status.error;
+    } else {
+      statusEl.textContent = lastSync;
     }
+  } catch (e) {
+    console.warn('[BibleSync] Unable to load sync status:', e);
+  }
+}
 
-    // Create the JSON blob
-    const jsonStr = JSON.stringify(backup, null, 2);
-    const blob = new Blob([jsonStr], { type: 'application/json' });
+/**
+ * Save the sync form and sync straight away
+ */
+async function saveSyncSettings() {
+  if (!window.BibleSync) return;
 
-    // Generate filename with timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = 'bible-reader-backup-' + timestamp + '.json';
+  const url = document.getElementById('syncUrlInput').value.trim();
+  if (!url) {
+    alert('Enter the URL of the file to sync with.');
+    return;
+  }
 
-    // Create download link and trigger download
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  try {
+    const settings = await BibleSync.setSettings({
+      provider: document.getElementById('syncProviderSelect').value,
+      url: url,
+      username: document.getElementById('syncUsernameInput').value.trim(),
+      password: document.getElementById('syncPasswordInput').value,
+      token: document.getElementById('syncTokenInput').value.trim(),
+      auto: document.getElementById('syncAutoToggle').checked
+    });
+    syncAutoEnabled = Boolean(settings.url && settings.auto);
+  } catch (e) {
+    alert(e.message);
+    return;
+  }
 
-  } catch (err) {
-    console.error('Error creating backup:', err);
-    alert('Sorry, something went wrong while creating the backup.');
+  await runSync();
+}
+
+/**
+ * Turn sync off on this device (nothing is deleted here or on the server)
+ */
+async function turnOffSync() {
+  if (!window.BibleSync) return;
+
+  try {
+    await BibleSync.disable();
+    syncAutoEnabled = false;
+    clearTimeout(syncTimer);
+    syncTimer = null;
+    await initSyncSettings();
+    showToast('Sync turned off');
+  } catch (e) {
+    console.error('[BibleSync] Unable to turn off sync:', e);
+    showToast('Could not turn off sync');
   }
 }
 
@@ -3730,7 +7912,11 @@ function initModalOverscrollPrevention() {
     '#versionManagerOverlay',
     '#settingsModalOverlay',
     '#whatsNewOverlay',
-    '#parallelVersionModalOverlay'
+    '#parallelVersionModalOverlay',
+    '#notesModalOverlay',
+    '#noteEditorOverlay',
+    '#bookmarkEditorOverlay',
+    '#restoreModalOverlay'
   ];
 
   // Content selectors within modals (the scrollable areas)
@@ -3742,7 +7928,11 @@ function initModalOverscrollPrevention() {
     '.version-manager-modal',
     '.settings-modal',
     '.whats-new-modal',
-    '.parallel-version-modal'
+    '.parallel-version-modal',
+    '.notes-modal',
+    '.note-editor-modal',
+    '.bookmark-editor-modal',
+    '.restore-modal'
   ];
 
   // Apply to all modal content areas
@@ -0,0 +1,846 @@
+// scripts/plans/plan-engine.js
+// Reading plan schedules for Bible Reader (DOM-free)
+// Exposes the BiblePlans API on window
+//
+// A schedule spec describes what to read and over how long:
+//   { tracks: [track, ...], days: 90, readingDays: [1, 2, 3, 4, 5], interleave: true }
+// A track is a list of chapters, given as any of:
+//   { books: ['Psalms'] }                    - whole books
+//   { testament: 'NT', exclude: ['Psalms'] } - every book of a testament (books.json order)
+//   { ranges: [{ bookId, from, to }] }       - chapter ranges (parseTrack() reads them from text)
+//   { readings: [reading, ...] }             - readings as they are, e.g. from a reading
+//                                              order dataset (orderReadings())
+//   { order: 'chronological' }               - a bundled reading order (data/plans/<name>.json);
+//                                              the app swaps it for { readings } before building
+// The length is one of:
+//   days           - number of reading days
+//   calendarDays   - days on the calendar from the start date (reading days are counted)
+//   chaptersPerDay - as many reading days as that pace needs
+// Each track is spread evenly over the days; with several tracks every day gets a
+// portion of each (e.g. OT + Psalms + NT daily), or with interleave: false the
+// tracks are read one after another. readingDays are weekdays (0 = Sunday);
+// leave it out to read every day.
+//
+// buildSchedule() turns a spec into days: [[reading, ...], ...], where a reading is
+// { bookId, chapter } (book names as in books.json). Stored plans keep the days in
+// config.days with config.startDate ("YYYY-MM-DD") and config.readingDays, and the
+// finished day indexes in progress.completedDays.
+//
+// Progress also keeps which readings of an unfinished day were read
+// (progress.readings: { dayIndex: [readingIndex, ...] }, filled by recordReading()
+// as chapters are opened) and the days given up with catch-up "skip"
+// (progress.skippedDays). A day is behind when it is unfinished and scheduled
+// before today; catchUp() reschedules those days.
+
+(function (root) {
+  'use strict';
+
+  // ========================================
+  // Building schedules
+  // ========================================
+
+  /**
+   * Chapters of one track, in reading order
+   * @param {Object} track - See the spec format above
+   * @param {Array} books - books.json `books`
+   * @returns {Array} [{ bookId, chapter, verse?, endVerse? }]
+   */
+  function trackReadings(track, books) {
+    const byName = new Map(books.map(book => [book.name, book]));
+    let ranges = [];
+
+    if (Array.isArray(track.readings)) {
+      return track.readings.slice();
+    }
+    if (Array.isArray(track.ranges)) {
+      ranges = track.ranges;
+    } else if (Array.isArray(track.books)) {
+      ranges = track.books.map(bookId => ({ bookId: bookId }));
+    } else if (track.testament) {
+      const exclude = track.exclude || [];
+      ranges = books
+        .filter(book => book.testament === track.testament && !exclude.includes(book.name))
+        .sort((a, b) => a.order - b.order)
+        .map(book => ({ bookId: book.name }));
+    }
+
+    const readings = [];
+    ranges.forEach(range => {
+      const book = byName.get(range.bookId);
+      if (!book) return;
+      const from = Math.max(1, range.from || 1);
+      const to = Math.min(book.chapters, range.to || book.chapters);
+      for (let chapter = from; chapter <= to; chapter++) {
+        readings.push({ bookId: book.name, chapter: chapter });
+      }
+    });
+    return readings;
+  }
+
+  /**
+   * Spread a list over a number of days as evenly as possible
+   * (earlier days never get more than one item more than later ones)
+   * @param {Array} items
+   * @param {number} dayCount
+   * @returns {Array<Array>}
+   */
+  function splitEvenly(items, dayCount) {
+    const days = [];
+    for (let day = 0; day < dayCount; day++) {
+      const start = Math.floor(day * items.length / dayCount);
+      const end = Math.floor((day + 1) * items.length / dayCount);
+      days.push(items.slice(start, end));
+    }
+    return days;
+  }
+
+  /**
+   * Number of reading days for a spec (at least 1, at most one per chapter)
+   * @param {Object} spec - Schedule spec
+   * @param {number} chapterCount - Chapters in all tracks
+   * @param {string} [startDate] - "YYYY-MM-DD", needed for calendarDays
+   * @returns {number}
+   */
+  function countScheduleDays(spec, chapterCount, startDate) {
+    let days;
+    if (spec.chaptersPerDay) {
+      days = Math.ceil(chapterCount / spec.chaptersPerDay);
+    } else if (spec.calendarDays) {
+      const date = fromDateKey(startDate || toDateKey(new Date()));
+      days = 0;
+      for (let i = 0; i < spec.calendarDays; i++) {
+        if (isReadingDay(date, spec.readingDays)) days++;
+        date.setDate(date.getDate() + 1);
+      }
+    } else {
+      days = Math.round(spec.days);
+    }
+    return Math.max(1, Math.min(days || 1, chapterCount || 1));
+  }
+
+  /**
+   * Turn a schedule spec into day-by-day readings
+   * @param {Object} spec - Schedule spec (see the top of this file)
+   * @param {Array} books - books.json `books`
+   * @param {string} [startDate] - "YYYY-MM-DD", needed when the spec uses calendarDays
+   * @returns {Array<Array>} One array of readings per reading day
+   */
+  function buildSchedule(spec, books, startDate) {
+    let trackLists = spec.tracks.map(track => trackReadings(track, books));
+    if (spec.interleave === false) {
+      trackLists = [[].concat(...trackLists)];
+    }
+
+    const chapterCount = trackLists.reduce((sum, list) => sum + list.length, 0);
+    const dayCount = countScheduleDays(spec, chapterCount, startDate);
+    const tracks = trackLists.map(list => splitEvenly(list, dayCount));
+
+    const days = [];
+    for (let day = 0; day < dayCount; day++) {
+      days.push([].concat(...tracks.map(track => track[day])));
+    }
+    return days;
+  }
+
+  /**
+   * Read a track from text: books, book ranges and chapter ranges separated by
+   * commas or semicolons, e.g. "Romans; Psalms 1-75, 90" or "Matthew - John"
+   * (uses BibleReference from search/reference-parser.js)
+   * @param {string} text
+   * @param {Array} books - books.json `books`
+   * @returns {Object} { ranges: [{ bookId, from, to }] } or { error }
+   */
+  function parseTrack(text, books) {
+    const reference = root.BibleReference;
+    const ranges = [];
+    let lastBook = null;
+
+    const items = String(text || '').split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+    if (items.length === 0) {
+      return { error: 'Enter at least one book or chapter range' };
+    }
+
+    for (const item of items) {
+      // More chapters of the previous book: "Psalms 1-10, 20-30"
+      const reading = /^\d/.test(item) && lastBook ? lastBook.name + ' ' + item : item;
+
+      // Book range: "Matthew - John"
+      const bookRange = /^(.*\D)\s*[-–—]\s*(.+)$/.exec(reading);
+      const first = bookRange && reference.findBook(bookRange[1], books);
+      const last = bookRange && reference.findBook(bookRange[2], books);
+      if (first && last) {
+        books
+          .filter(book => book.order >= first.order && book.order <= last.order)
+          .sort((a, b) => a.order - b.order)
+          .forEach(book => ranges.push({ bookId: book.name, from: 1, to: book.chapters }));
+        lastBook = last;
+        continue;
+      }
+
+      // Whole book: "Romans"
+      const book = reference.findBook(reading, books);
+      if (book) {
+        ranges.push({ bookId: book.name, from: 1, to: book.chapters });
+        lastBook = book;
+        continue;
+      }
+
+      // Chapters: "Psalms 1-75"
+      const parsed = reference.parseReference(reading, books);
+      if (!parsed) {
+        return { error: `"${item}" isn't a book or chapter range` };
+      }
+      if (parsed.error) {
+        return { error: parsed.error };
+      }
+      if (parsed.segments.some(segment => segment.verse !== null)) {
+        return { error: `Plans use whole chapters: "${item}"` };
+      }
+      parsed.segments.forEach(segment => {
+        ranges.push({ bookId: parsed.book.name, from: segment.chapter, to: segment.endChapter });
+      });
+      lastBook = parsed.book;
+    }
+
+    return { ranges: ranges };
+  }
+
+  // ========================================
+  // Dates
+  // ========================================
+
+  /**
+   * Local "YYYY-MM-DD" of a date
+   * @param {Date} date
+   * @returns {string}
+   */
+  function toDateKey(date) {
+    return date.getFullYear() + '-' +
+      String(date.getMonth() + 1).padStart(2, '0') + '-' +
+      String(date.getDate()).padStart(2, '0');
+  }
+
+  /**
+   * Local midnight of a "YYYY-MM-DD" date
+   * @param {string} key
+   * @returns {Date}
+   */
+  function fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Whether a date is one of the plan's reading days
+   * @param {Date} date
+   * @param {Array<number>|null} readingDays - Weekdays (0 = Sunday), null = every day
+   * @returns {boolean}
+   */
+  function isReadingDay(date, readingDays) {
+    return !readingDays || readingDays.length === 0 || readingDays.includes(date.getDay());
+  }
+
+  /**
+   * Calendar date of each plan day
+   * @param {Object} config - Plan config { startDate, readingDays, days }
+   * @returns {Array<string>} "YYYY-MM-DD" per plan day
+   */
+  function dayDates(config) {
+    const dates = [];
+    const date = fromDateKey(config.startDate);
+    while (dates.length < config.days.length) {
+      if (isReadingDay(date, config.readingDays)) {
+        dates.push(toDateKey(date));
+      }
+      date.setDate(date.getDate() + 1);
+    }
+    return dates;
+  }
+
+  /**
+   * Index of the plan day scheduled for a date: the last reading day on or before it
+   * (-1 before the plan starts; capped at the last day)
+   * @param {Object} config - Plan config
+   * @param {Date} [today]
+   * @returns {number}
+   */
+  function dayIndexForDate(config, today) {
+    const todayKey = toDateKey(today || new Date());
+    const dates = dayDates(config);
+    let index = -1;
+    while (index + 1 < dates.length && dates[index + 1] <= todayKey) {
+      index++;
+    }
+    return index;
+  }
+
+  // ========================================
+  // Progress
+  // ========================================
+
+  /**
+   * Whether a stored plan has a day-by-day schedule
+   * @param {Object} plan
+   * @returns {boolean}
+   */
+  function isScheduledPlan(plan) {
+    return Boolean(plan && plan.config && Array.isArray(plan.config.days) && plan.config.startDate);
+  }
+
+  /**
+   * Where the reader is in a scheduled plan
+   * @param {Object} plan - Stored plan (see isScheduledPlan)
+   * @param {Date} [today]
+   * @returns {Object} {
+   *   totalDays, completedCount, finished, notStarted, startDate,
+   *   today: index of today's plan day (-1 before the start),
+   *   todayDate, todayReadings, todayDone,
+   *   nextDay: index of the first unfinished day (null when finished)
+   * }
+   */
+  function getPlanStatus(plan, today) {
+    const config = plan.config;
+    const progress = plan.progress || {};
+    const completed = new Set(progress.completedDays || []);
+    const settled = settledDays(progress);
+    const dates = dayDates(config);
+    const todayIndex = dayIndexForDate(config, today);
+
+    let nextDay = null;
+    const missedDays = [];
+    let ahead = 0;
+    for (let day = 0; day < config.days.length; day++) {
+      if (!settled.has(day)) {
+        if (nextDay === null) nextDay = day;
+        if (day < todayIndex) missedDays.push(day);
+      } else if (day > todayIndex) {
+        ahead++;
+      }
+    }
+
+    return {
+      totalDays: config.days.length,
+      completedCount: config.days.filter((readings, day) => completed.has(day)).length,
+      skippedCount: config.days.filter((readings, day) => settled.has(day) && !completed.has(day)).length,
+      finished: nextDay === null,
+      notStarted: todayIndex < 0,
+      startDate: config.startDate,
+      endDate: dates[dates.length - 1],
+      today: todayIndex,
+      todayDate: todayIndex >= 0 ? dates[todayIndex] : null,
+      todayReadings: todayIndex >= 0 ? config.days[todayIndex] : [],
+      todayRead: todayIndex >= 0 ? readIndexes(progress, todayIndex) : [],
+      todayDone: todayIndex >= 0 && completed.has(todayIndex),
+      nextDay: nextDay,
+      missedDays: missedDays,
+      behind: missedDays.length,
+      ahead: missedDays.length === 0 ? ahead : 0
+    };
+  }
+
+  /**
+   * Days that no longer need reading: completed or skipped
+   * @param {Object} progress
+   * @returns {Set<number>}
+   */
+  function settledDays(progress) {
+    return new Set([].concat(progress.completedDays || [], progress.skippedDays || []));
+  }
+
+  /**
+   * Indexes of the readings of a day that have been read
+   * @param {Object} progress
+   * @param {number} dayIndex
+   * @returns {Array<number>}
+   */
+  function readIndexes(progress, dayIndex) {
+    return (progress.readings && progress.readings[dayIndex]) || [];
+  }
+
+  /**
+   * Progress after reading a chapter: the first unfinished day with that chapter
+   * still unread gets it ticked off, and the day completes once all its readings
+   * are read. One visit ticks off one reading; a later part of a chapter split over
+   * several days (e.g. "Genesis 11:27ff" after "Genesis 11:1-26") is only ticked
+   * off once its day has come, so reopening the chapter doesn't read ahead.
+   * @param {Object} plan - Stored scheduled plan
+   * @param {string} bookId
+   * @param {number} chapter
+   * @param {Date} [today]
+   * @returns {Object|null} { progress, dayIndex, dayCompleted }, or null if the plan
+   *   has no such reading left (or none due yet)
+   */
+  function recordReading(plan, bookId, chapter, today) {
+    const progress = plan.progress || {};
+    const settled = settledDays(progress);
+    const days = plan.config.days;
+    const todayIndex = dayIndexForDate(plan.config, today);
+    const isChapter = reading => reading.bookId === bookId && reading.chapter === chapter;
+
+    for (let day = 0; day < days.length; day++) {
+      if (settled.has(day)) continue;
+      const read = readIndexes(progress, day);
+      const index = days[day].findIndex((reading, i) => isChapter(reading) && !read.includes(i));
+      if (index < 0) continue;
+
+      // Part of a split chapter whose earlier part is already read: wait for its day
+      const reading = days[day][index];
+      if (reading.verse && day > todayIndex && days.slice(0, day).some(earlier => earlier.some(isChapter))) {
+        return null;
+      }
+
+      const dayRead = read.concat(index).sort((a, b) => a - b);
+      if (dayRead.length >= days[day].length) {
+        return { progress: setDayComplete(progress, day, true), dayIndex: day, dayCompleted: true };
+      }
+      const readings = Object.assign({}, progress.readings, { [day]: dayRead });
+      return {
+        progress: Object.assign({}, progress, {
+          readings: readings,
+          lastUpdatedAt: new Date().toISOString()
+        }),
+        dayIndex: day,
+        dayCompleted: false
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Progress with one day marked done or not done
+   * @param {Object} progress - Stored plan progress (may be undefined)
+   * @param {number} dayIndex
+   * @param {boolean} done
+   * @returns {Object} New progress object
+   */
+  function setDayComplete(progress, dayIndex, done) {
+    const completed = new Set((progress && progress.completedDays) || []);
+    if (done) {
+      completed.add(dayIndex);
+    } else {
+      completed.delete(dayIndex);
+    }
+    // A finished (or reopened) day starts over on its readings
+    const readings = Object.assign({}, progress && progress.readings);
+    delete readings[dayIndex];
+    const skipped = ((progress && progress.skippedDays) || []).filter(day => day !== dayIndex);
+
+    return Object.assign({}, progress, {
+      completedDays: [...completed].sort((a, b) => a - b),
+      readings: readings,
+      skippedDays: skipped,
+      lastUpdatedAt: new Date().toISOString()
+    });
+  }
+
+  // ========================================
+  // Catching up
+  // ========================================
+
+  /**
+   * Start date that puts a plan day on a date (or the next reading day after it)
+   * @param {Object} config - Plan config
+   * @param {number} dayIndex
+   * @param {string} dateKey - "YYYY-MM-DD"
+   * @returns {string} "YYYY-MM-DD"
+   */
+  function startDateFor(config, dayIndex, dateKey) {
+    const date = fromDateKey(dateKey);
+    while (!isReadingDay(date, config.readingDays)) {
+      date.setDate(date.getDate() + 1);
+    }
+    let remaining = dayIndex;
+    while (remaining > 0) {
+      date.setDate(date.getDate() - 1);
+      if (isReadingDay(date, config.readingDays)) remaining--;
+    }
+    return toDateKey(date);
+  }
+
+  /**
+   * Reschedule a plan that has fallen behind. Modes:
+   *   redistribute - spread the unread readings of missed days over today and the
+   *                  remaining unfinished days (the end date stays; missed days keep
+   *                  only what was read and count as skipped; like push when no
+   *                  day is left to fill)
+   *   push         - move the schedule so the first unfinished day is today (the
+   *                  end date moves later)
+   *   skip         - give up the missed days and carry on with today
+   * @param {Object} plan - Stored scheduled plan
+   * @param {string} mode - 'redistribute' | 'push' | 'skip'
+   * @param {Date} [today]
+   * @returns {Object|null} { config, progress } to store, or null if not behind
+   */
+  function catchUp(plan, mode, today) {
+    const status = getPlanStatus(plan, today);
+    if (status.behind === 0) return null;
+
+    const config = Object.assign({}, plan.config);
+    const progress = Object.assign({}, plan.progress);
+    progress.readings = Object.assign({}, progress.readings);
+    progress.lastUpdatedAt = new Date().toISOString();
+
+    const settled = settledDays(progress);
+    const hasDaysLeft = config.days.some((readings, day) => day >= status.today && !settled.has(day));
+
+    if (mode === 'push' || (mode === 'redistribute' && !hasDaysLeft)) {
+      config.startDate = startDateFor(config, status.nextDay, toDateKey(today || new Date()));
+      return { config: config, progress: progress };
+    }
+
+    if (mode === 'skip') {
+      progress.skippedDays = [...new Set((progress.skippedDays || []).concat(status.missedDays))]
+        .sort((a, b) => a - b);
+      status.missedDays.forEach(day => { delete progress.readings[day]; });
+      return { config: config, progress: progress };
+    }
+
+    if (mode !== 'redistribute') {
+      throw new Error(`Unknown catch-up mode: ${mode}`);
+    }
+
+    const isUnread = day => (reading, i) => !readIndexes(progress, day).includes(i);
+    const days = config.days.slice();
+    const targets = [];
+    const pool = [];
+
+    for (let day = 0; day < days.length; day++) {
+      if (settled.has(day)) continue;
+      if (day < status.today) {
+        // Missed: keep what was read there, move the rest on
+        pool.push(...days[day].filter(isUnread(day)));
+      } else {
+        targets.push(day);
+      }
+    }
+    targets.forEach(day => { pool.push(...days[day].filter(isUnread(day))); });
+
+    status.missedDays.forEach(day => {
+      days[day] = days[day].filter((reading, i) => !isUnread(day)(reading, i));
+      delete progress.readings[day];
+    });
+    // Missed days weren't read in full, so they are settled as skipped (not done)
+    progress.skippedDays = [...new Set((progress.skippedDays || []).concat(status.missedDays))]
+      .sort((a, b) => a - b);
+
+    splitEvenly(pool, targets.length).forEach((portion, i) => {
+      const day = targets[i];
+      const read = days[day].filter((reading, index) => !isUnread(day)(reading, index));
+      days[day] = read.concat(portion);
+      if (read.length > 0) {
+        progress.readings[day] = read.map((reading, index) => index);
+      } else {
+        delete progress.readings[day];
+      }
+    });
+
+    config.days = days;
+    return { config: config, progress: progress };
+  }
+
+  // ========================================
+  // Display
+  // ========================================
+
+  /**
+   * Readable list of readings, with runs of chapters combined:
+   * "Psalms 1–5; Proverbs 1" or "Genesis 12:1–9"
+   * @param {Array} readings - [{ bookId, chapter, verse?, endVerse? }]
+   * @returns {string}
+   */
+  function formatReadings(readings) {
+    return readingParts(readings, '–').join('; ');
+  }
+
+  /**
+   * References for a list of readings, one per run ("Psalms 1–5", "Genesis 1:26–2:3").
+   * A verse reading without endVerse runs to the end of its chapter ("Genesis 1:26ff"),
+   * or into the next chapter when the following reading picks up there.
+   * @param {Array} readings - [{ bookId, chapter, verse?, endVerse? }]
+   * @param {string} dash - Range separator ('–' to show, '-' for plan files)
+   * @returns {Array<string>}
+   */
+  function readingParts(readings, dash) {
+    const parts = [];
+    let run = null;
+
+    const flush = () => {
+      if (!run) return;
+      parts.push(run.bookId + ' ' + (run.first === run.last ? run.first : run.first + dash + run.last));
+      run = null;
+    };
+
+    for (let i = 0; i < readings.length; i++) {
+      const reading = readings[i];
+      if (reading.verse) {
+        flush();
+        const start = reading.bookId + ' ' + reading.chapter + ':' + reading.verse;
+        if (reading.endVerse) {
+          parts.push(reading.endVerse !== reading.verse ? start + dash + reading.endVerse : start);
+          continue;
+        }
+
+        // Open-ended: carry on through whole chapters to a "chapter:1-n" reading
+        let j = i + 1;
+        let chapter = reading.chapter;
+        while (j < readings.length && readings[j].bookId === reading.bookId &&
+               readings[j].chapter === chapter + 1 && !readings[j].verse) {
+          chapter++;
+          j++;
+        }
+        const end = readings[j];
+        if (end && end.bookId === reading.bookId && end.chapter === chapter + 1 &&
+            end.verse === 1 && end.endVerse) {
+          parts.push(start + dash + end.chapter + ':' + end.endVerse);
+          i = j;
+        } else {
+          parts.push(start + 'ff');
+        }
+        continue;
+      }
+      if (run && run.bookId === reading.bookId && run.last + 1 === reading.chapter) {
+        run.last = reading.chapter;
+        continue;
+      }
+      flush();
+      run = { bookId: reading.bookId, first: reading.chapter, last: reading.chapter };
+    }
+    flush();
+
+    return parts;
+  }
+
+  // ========================================
+  // Plan files
+  // ========================================
+  //
+  // A plan file shares a schedule as references, one list per day:
+  //   {
+  //     "type": "bible-reader-plan", "version": 1,
+  //     "name": "Church Reading Schedule 2026",
+  //     "description": "...",                  (optional)
+  //     "startDate": "2026-01-01",             (optional; otherwise the day it's imported)
+  //     "readingDays": [1, 2, 3, 4, 5],        (optional weekdays, 0 = Sunday)
+  //     "days": [["Genesis 1-3", "Psalm 1"], "Genesis 4:1-16; Psalm 2", ...]
+  //   }
+  // A day is an array of references or one string separated by ";". References
+  // are whatever the search box understands ("Gen 1-3", "John 3:16-21",
+  // "Genesis 1:26-2:3"); "ff" after a verse reads to the end of the chapter.
+  // "Jude 1" is the whole of a one-chapter book, not its first verse.
+
+  const PLAN_FILE_TYPE = 'bible-reader-plan';
+  const PLAN_FILE_VERSION = 1;
+  const MAX_PLAN_FILE_DAYS = 3660;
+
+  /**
+   * Readings for one reference
+   * @param {string} text - e.g. "Genesis 1:26-2:3" or "Genesis 1:26ff"
+   * @param {Array} books - Books array from books.json
+   * @returns {Object} { readings } or { error }
+   */
+  function referenceReadings(text, books) {
+    const reference = root.BibleReference;
+
+    // Whole book: "Jude", "Philemon"
+    const book = reference.findBook(text, books);
+    if (book) {
+      const readings = [];
+      for (let chapter = 1; chapter <= book.chapters; chapter++) {
+        readings.push({ bookId: book.name, chapter: chapter });
+      }
+      return { readings: readings };
+    }
+
+    // "Jude 1" is the whole chapter, as exported; parseReference() would read
+    // a bare number in a one-chapter book as a verse
+    const chapterOne = text.match(/^(.+?)\s+1$/);
+    const singleChapterBook = chapterOne && reference.findBook(chapterOne[1], books);
+    if (singleChapterBook && singleChapterBook.chapters === 1) {
+      return { readings: [{ bookId: singleChapterBook.name, chapter: 1 }] };
+    }
+
+    const openEnded = /\s*ff$/i.test(text);
+    const parsed = reference.parseReference(text.replace(/\s*ff$/i, ''), books);
+    if (!parsed) {
+      return { error: `"${text}" isn't a Bible reference` };
+    }
+    if (parsed.error) {
+      return { error: `${text}: ${parsed.error}` };
+    }
+
+    const readings = [];
+    const bookId = parsed.book.name;
+    parsed.segments.forEach(segment => {
+      if (segment.verse === null) {
+        for (let chapter = segment.chapter; chapter <= segment.endChapter; chapter++) {
+          readings.push({ bookId: bookId, chapter: chapter });
+        }
+      } else if (segment.endChapter === segment.chapter) {
+        readings.push({ bookId: bookId, chapter: segment.chapter, verse: segment.verse, endVerse: segment.endVerse });
+      } else {
+        readings.push({ bookId: bookId, chapter: segment.chapter, verse: segment.verse });
+        for (let chapter = segment.chapter + 1; chapter < segment.endChapter; chapter++) {
+          readings.push({ bookId: bookId, chapter: chapter });
+        }
+        readings.push({ bookId: bookId, chapter: segment.endChapter, verse: 1, endVerse: segment.endVerse });
+      }
+    });
+
+    // "Genesis 1:26ff": from the verse to the end of the chapter
+    if (openEnded) {
+      const last = readings[readings.length - 1];
+      if (readings.length !== 1 || !last.verse || last.endVerse !== last.verse) {
+        return { error: `${text}: "ff" goes after a single verse` };
+      }
+      delete last.endVerse;
+    }
+    return { readings: readings };
+  }
+
+  /**
+   * Read a plan file
+   * @param {Object|string} data - Parsed JSON or its text
+   * @param {Array} books - Books array from books.json
+   * @returns {Object} { plan: { name, description, startDate, readingDays, days } } or { error }
+   */
+  function parsePlanFile(data, books) {
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        return { error: "This file isn't valid JSON." };
+      }
+    }
+    if (!data || typeof data !== 'object' || data.type !== PLAN_FILE_TYPE) {
+      return { error: "This isn't a reading plan file." };
+    }
+    if (typeof data.version !== 'number' || data.version > PLAN_FILE_VERSION) {
+      return { error: 'This plan was made by a newer version of Bible Reader.' };
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      return { error: 'The plan has no name.' };
+    }
+    if (!Array.isArray(data.days) || data.days.length === 0) {
+      return { error: 'The plan has no days.' };
+    }
+    if (data.days.length > MAX_PLAN_FILE_DAYS) {
+      return { error: `The plan has more than ${MAX_PLAN_FILE_DAYS} days.` };
+    }
+    if (data.startDate !== undefined && data.startDate !== null &&
+        (typeof data.startDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(data.startDate))) {
+      return { error: 'startDate must look like "2026-01-01".' };
+    }
+    // fromDateKey() rolls impossible dates over ("2026-02-30" is March 2)
+    if (data.startDate && toDateKey(fromDateKey(data.startDate)) !== data.startDate) {
+      return { error: `startDate "${data.startDate}" isn't a real date.` };
+    }
+    if (data.readingDays !== undefined && data.readingDays !== null &&
+        (!Array.isArray(data.readingDays) || data.readingDays.length === 0 ||
+         data.readingDays.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      return { error: 'readingDays must list weekdays from 0 (Sunday) to 6.' };
+    }
+
+    const days = [];
+    for (let i = 0; i < data.days.length; i++) {
+      const day = data.days[i];
+      const references = typeof day === 'string' ? day.split(';') : day;
+      if (!Array.isArray(references) || references.some(text => typeof text !== 'string')) {
+        return { error: `Day ${i + 1} should be a list of references.` };
+      }
+
+      const readings = [];
+      for (const text of references.map(item => item.trim()).filter(Boolean)) {
+        const result = referenceReadings(text, books);
+        if (result.error) {
+          return { error: `Day ${i + 1}: ${result.error}` };
+        }
+        readings.push(...result.readings);
+      }
+      if (readings.length === 0) {
+        return { error: `Day ${i + 1} has no readings.` };
+      }
+      days.push(readings);
+    }
+
+    return {
+      plan: {
+        name: data.name.trim(),
+        description: typeof data.description === 'string' ? data.description.trim() : '',
+        startDate: data.startDate || null,
+        readingDays: data.readingDays && data.readingDays.length < 7 ? data.readingDays.slice().sort((a, b) => a - b) : null,
+        days: days
+      }
+    };
+  }
+
+  // Reading order datasets (data/plans/*.json) list the whole Bible as passages
+  // in plan file references, in the order they are read:
+  //   { "type": "bible-reader-order", "version": 1, "id", "name", "description",
+  //     "passages": ["Genesis 1-10", "Genesis 11:1-26", "Job 1-42", ...] }
+  const ORDER_FILE_TYPE = 'bible-reader-order';
+
+  /**
+   * Readings of a reading order dataset, in order
+   * @param {Object} data - Parsed dataset
+   * @param {Array} books - Books array from books.json
+   * @returns {Object} { readings } or { error }
+   */
+  function orderReadings(data, books) {
+    if (!data || data.type !== ORDER_FILE_TYPE || !Array.isArray(data.passages)) {
+      return { error: "This isn't a reading order dataset." };
+    }
+
+    const readings = [];
+    for (const text of data.passages) {
+      const result = typeof text === 'string'
+        ? referenceReadings(text, books)
+        : { error: 'Passages must be references' };
+      if (result.error) {
+        return { error: result.error };
+      }
+      readings.push(...result.readings);
+    }
+    return { readings: readings };
+  }
+
+  /**
+   * Plan file for a scheduled plan (see parsePlanFile)
+   * @param {Object} plan - { name, description, config: { startDate, readingDays, days } }
+   * @returns {Object}
+   */
+  function toPlanFile(plan) {
+    const file = {
+      type: PLAN_FILE_TYPE,
+      version: PLAN_FILE_VERSION,
+      name: plan.name || plan.id
+    };
+    if (plan.description) file.description = plan.description;
+    if (plan.config.startDate) file.startDate = plan.config.startDate;
+    if (plan.config.readingDays) file.readingDays = plan.config.readingDays;
+    file.days = plan.config.days.map(readings => readingParts(readings, '-'));
+    return file;
+  }
+
+  // Expose a global API under BiblePlans
+  root.BiblePlans = {
+    trackReadings: trackReadings,
+    splitEvenly: splitEvenly,
+    buildSchedule: buildSchedule,
+    countScheduleDays: countScheduleDays,
+    parseTrack: parseTrack,
+    toDateKey: toDateKey,
+    fromDateKey: fromDateKey,
+    dayDates: dayDates,
+    dayIndexForDate: dayIndexForDate,
+    isScheduledPlan: isScheduledPlan,
+    getPlanStatus: getPlanStatus,
+    recordReading: recordReading,
+    setDayComplete: setDayComplete,
+    catchUp: catchUp,
+    formatReadings: formatReadings,
+    PLAN_FILE_TYPE: PLAN_FILE_TYPE,
+    parsePlanFile: parsePlanFile,
+    toPlanFile: toPlanFile,
+    orderReadings: orderReadings
+  };
+})(typeof self !== 'undefined' ? self : this);
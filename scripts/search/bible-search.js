@@ -0,0 +1,869 @@
+// scripts/search/bible-search.js
+// Whole-Bible full-text search engine for Bible Reader
+// Exposes the BibleSearch API on window or the worker global (DOM-free so it is
+// shared by the app, the search worker and scripts/tools/build-search-index.mjs)
+
+(function (root) {
+  'use strict';
+
+  // Default number of results shown per page in the results list
+  const DEFAULT_PAGE_SIZE = 20;
+
+  // Characters of context kept on each side of a match in snippets
+  const SNIPPET_RADIUS = 60;
+
+  // Parsed book files, keyed by full path (e.g. "./data/kjv/John.json").
+  // Kept in least-recently-used order; cross-version search can touch many versions
+  const bookCache = new Map();
+  const MAX_CACHED_BOOKS = 150;
+
+  // Prebuilt inverted index file (generated by scripts/tools/build-search-index.mjs)
+  const INDEX_FILENAME = 'search-index.json';
+
+  // Bump when the index layout or tokenizer changes; older index files are ignored
+  const INDEX_FORMAT = 2;
+
+  // Per-language normalization, keyed by the `language` field in bibleVersions.
+  // Queries and verse text are folded the same way before matching.
+  //   stripMarks - decompose (NFD) and drop combining marks: Hebrew points,
+  //                Arabic harakat, Latin accents (é -> e, ü -> u)
+  //   charMap    - extra single-character folds applied after stripping marks
+  //   ngram      - no spaces between words (Chinese, Japanese): index character
+  //                n-grams instead of words
+  const LANGUAGE_PROFILES = {
+    he: { stripMarks: true },
+    ar: {
+      stripMarks: true,
+      // Alef wasla -> alef; tatweel (kashida) is decorative and dropped
+      charMap: { '\u0671': '\u0627', '\u0640': '' }
+    },
+    fr: { stripMarks: true },
+    de: { stripMarks: true },
+    pt: { stripMarks: true },
+    es: { stripMarks: true },
+    zh: { ngram: 2 },
+    ja: { ngram: 2 }
+  };
+
+  // Languages without a profile are only lowercased
+  const DEFAULT_PROFILE = {};
+
+  // Folded form of each character seen so far, per profile
+  const foldCache = new Map();
+
+  // Loaded indexes (or null when a version has none), keyed by data path
+  const indexCache = new Map();
+
+  /**
+   * Escape special regex characters
+   * @param {string} str - String to escape
+   * @returns {string} Escaped string safe for regex
+   */
+  function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Check whether a character counts as part of a word (letters, marks, digits)
+   * @param {string} ch - Single character (may be undefined at string edges)
+   * @returns {boolean}
+   */
+  function isWordChar(ch) {
+    return !!ch && /[\p{L}\p{M}\p{N}]/u.test(ch);
+  }
+
+  /**
+   * Get the normalization profile for a language code
+   * @param {string} [language] - Language code from bibleVersions (e.g. "he")
+   * @returns {Object} Profile (see LANGUAGE_PROFILES)
+   */
+  function getLanguageProfile(language) {
+    return LANGUAGE_PROFILES[language] || DEFAULT_PROFILE;
+  }
+
+  /**
+   * Fold a single character for a profile (memoised)
+   * @param {string} ch - One code point
+   * @param {Object} profile - Language profile
+   * @returns {string} Folded text (may be empty or longer than one unit)
+   */
+  function foldChar(ch, profile) {
+    let cache = foldCache.get(profile);
+    if (!cache) {
+      cache = new Map();
+      foldCache.set(profile, cache);
+    }
+
+    let folded = cache.get(ch);
+    if (folded === undefined) {
+      folded = ch;
+      if (profile.stripMarks) {
+        folded = folded.normalize('NFD').replace(/\p{M}/gu, '');
+      }
+      if (profile.charMap) {
+        folded = Array.from(folded).map(c => profile.charMap[c] !== undefined ? profile.charMap[c] : c).join('');
+      }
+      folded = folded.toLowerCase();
+      cache.set(ch, folded);
+    }
+    return folded;
+  }
+
+  /**
+   * Fold text for matching, keeping track of where each folded character came
+   * from so matches can be highlighted in the original (pointed) text.
+   *
+   * @param {string} text - Original text
+   * @param {string} [language] - Language code from bibleVersions
+   * @returns {Object} { text, starts, ends } - starts[i]/ends[i] are the original
+   *   range of folded character i; both are null when offsets are unchanged
+   */
+  function foldText(text, language) {
+    const profile = getLanguageProfile(language);
+    text = text || '';
+
+    // Fast path: lowercasing only, and it kept every offset in place
+    if (!profile.stripMarks && !profile.charMap) {
+      const lower = text.toLowerCase();
+      if (lower.length === text.length) {
+        return { text: lower, starts: null, ends: null };
+      }
+    }
+
+    let folded = '';
+    const starts = [];
+    const ends = [];
+    let pos = 0;
+
+    for (const ch of text) {
+      const piece = foldChar(ch, profile);
+      const end = pos + ch.length;
+
+      if (piece) {
+        for (let i = 0; i < piece.length; i++) {
+          starts.push(pos);
+          ends.push(end);
+        }
+        folded += piece;
+      } else if (ends.length) {
+        // Dropped mark: attach it to the preceding character
+        ends[ends.length - 1] = end;
+      }
+      pos = end;
+    }
+
+    return { text: folded, starts: starts, ends: ends };
+  }
+
+  /**
+   * Normalize text for a language (folded form only, no offsets)
+   * @param {string} text - Text or query
+   * @param {string} [language] - Language code from bibleVersions
+   * @returns {string}
+   */
+  function normalizeText(text, language) {
+    return foldText(text, language).text;
+  }
+
+  /**
+   * Split text into normalized tokens for indexing and index lookups.
+   * Word languages yield words; n-gram languages yield overlapping character
+   * n-grams of each run of letters (runs shorter than n are kept whole).
+   * Shared by the index builder and the query side so both agree on terms.
+   *
+   * @param {string} text - Verse text or query
+   * @param {string} [language] - Language code from bibleVersions
+   * @returns {Array<string>} Tokens in order of appearance
+   */
+  function tokenize(text, language) {
+    const profile = getLanguageProfile(language);
+    const words = normalizeText(text, language).split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+    if (!profile.ngram) {
+      return words;
+    }
+
+    const grams = [];
+    words.forEach(word => {
+      const chars = Array.from(word);
+      if (chars.length <= profile.ngram) {
+        grams.push(word);
+        return;
+      }
+      for (let i = 0; i + profile.ngram <= chars.length; i++) {
+        grams.push(chars.slice(i, i + profile.ngram).join(''));
+      }
+    });
+    return grams;
+  }
+
+  /**
+   * Pack a book/chapter pair into a single posting value.
+   * @param {number} bookIndex - 0-based position in the index's book list
+   * @param {number} chapter - Chapter number (1-255)
+   * @returns {number}
+   */
+  function encodeChapterRef(bookIndex, chapter) {
+    return (bookIndex << 8) | chapter;
+  }
+
+  /**
+   * Encode a sorted list of chapter refs as comma-separated base-36 deltas.
+   * @param {Array<number>} refs - Ascending, de-duplicated refs
+   * @returns {string}
+   */
+  function encodePostings(refs) {
+    let previous = 0;
+    return refs.map(ref => {
+      const delta = ref - previous;
+      previous = ref;
+      return delta.toString(36);
+    }).join(',');
+  }
+
+  /**
+   * Decode a postings string produced by encodePostings.
+   * @param {string} encoded - Comma-separated base-36 deltas
+   * @returns {Array<number>} Ascending chapter refs
+   */
+  function decodePostings(encoded) {
+    let previous = 0;
+    return encoded.split(',').map(delta => {
+      previous += parseInt(delta, 36);
+      return previous;
+    });
+  }
+
+  /**
+   * Build the inverted index for one version: term -> chapters containing it.
+   * Postings are chapter-level to keep the file small; the search still checks
+   * each verse of a candidate chapter, so results match a full scan exactly.
+   *
+   * @param {Array} books - Books array from books.json (index positions follow it)
+   * @param {Function} getBookData - (book) => book data object, or null if missing
+   * @param {string} [language] - Language code from bibleVersions
+   * @returns {Object} Index file contents
+   */
+  function buildIndex(books, getBookData, language) {
+    const postings = new Map();
+
+    books.forEach((book, bookIndex) => {
+      const bookData = getBookData(book);
+      if (!bookData) return;
+
+      Object.keys(bookData).forEach(chapterNum => {
+        const ref = encodeChapterRef(bookIndex, Number(chapterNum));
+        const verses = bookData[chapterNum];
+
+        Object.keys(verses).forEach(verseNum => {
+          tokenize(verses[verseNum], language).forEach(token => {
+            let refs = postings.get(token);
+            if (!refs) {
+              refs = new Set();
+              postings.set(token, refs);
+            }
+            refs.add(ref);
+          });
+        });
+      });
+    });
+
+    const terms = {};
+    Array.from(postings.keys()).sort().forEach(token => {
+      terms[token] = encodePostings(Array.from(postings.get(token)).sort((a, b) => a - b));
+    });
+
+    return {
+      format: INDEX_FORMAT,
+      language: language || null,
+      books: books.map(book => book.name),
+      terms: terms
+    };
+  }
+
+  /**
+   * Load a version's prebuilt index once. Versions without an index (or with an
+   * index from an older format) resolve to null so callers fall back to scanning.
+   * @param {string} dataPath - Version data directory (e.g. "./data/kjv/")
+   * @returns {Promise<Object|null>} Prepared index or null
+   */
+  function loadIndex(dataPath) {
+    if (indexCache.has(dataPath)) {
+      return indexCache.get(dataPath);
+    }
+
+    const pending = fetch(dataPath + INDEX_FILENAME)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+      })
+      .then(index => {
+        if (!index || index.format !== INDEX_FORMAT || !index.terms) {
+          console.warn('[BibleSearch] Ignoring incompatible index for', dataPath);
+          return null;
+        }
+        // Term list is scanned for substring matches; decoded postings are memoised
+        index.termList = Object.keys(index.terms);
+        index.decoded = new Map();
+        return index;
+      })
+      .catch(e => {
+        console.warn('[BibleSearch] No search index for', dataPath, '- scanning books instead', e);
+        return null;
+      });
+
+    indexCache.set(dataPath, pending);
+    return pending;
+  }
+
+  /**
+   * Look up the chapter refs that could contain one search term.
+   * Matching is by substring (like the verse scan), so every indexed term that
+   * contains a query token contributes; all of the term's tokens must be present.
+   * Full-length n-grams are looked up directly (they can only match exactly).
+   *
+   * @param {Object} index - Prepared index from loadIndex
+   * @param {string} text - Term or phrase (wildcards act as token separators)
+   * @returns {Set<number>|null} Chapter refs, or null if the term has no word
+   *   tokens and the index can't help
+   */
+  function findTermRefs(index, text) {
+    // Tokenize the query exactly as the index was built
+    const profile = getLanguageProfile(index.language);
+    const tokens = Array.from(new Set(tokenize(text, index.language)));
+    if (!tokens.length) {
+      return null;
+    }
+
+    const addPostings = (term, tokenRefs) => {
+      let decoded = index.decoded.get(term);
+      if (!decoded) {
+        decoded = decodePostings(index.terms[term]);
+        index.decoded.set(term, decoded);
+      }
+      decoded.forEach(ref => tokenRefs.add(ref));
+    };
+
+    let refs = null;
+    for (const token of tokens) {
+      const tokenRefs = new Set();
+      if (profile.ngram && Array.from(token).length === profile.ngram) {
+        if (Object.prototype.hasOwnProperty.call(index.terms, token)) {
+          addPostings(token, tokenRefs);
+        }
+      } else {
+        index.termList.forEach(term => {
+          if (term.includes(token)) addPostings(term, tokenRefs);
+        });
+      }
+
+      refs = refs ? intersectRefs(refs, tokenRefs) : tokenRefs;
+      if (!refs.size) break;
+    }
+    return refs;
+  }
+
+  /**
+   * Intersect two sets of chapter refs
+   * @param {Set<number>} a
+   * @param {Set<number>} b
+   * @returns {Set<number>}
+   */
+  function intersectRefs(a, b) {
+    return new Set(Array.from(a).filter(ref => b.has(ref)));
+  }
+
+  /**
+   * Look up candidate chapter refs for a parsed query node.
+   * NOT can't narrow the candidates, so it returns null (no restriction).
+   * @param {Object} index - Prepared index
+   * @param {Object} node - Query AST node (see search-query.js)
+   * @returns {Set<number>|null}
+   */
+  function findNodeRefs(index, node) {
+    switch (node.type) {
+      case 'term':
+        return findTermRefs(index, node.text);
+      case 'and': {
+        let refs = null;
+        node.children.forEach(child => {
+          const childRefs = findNodeRefs(index, child);
+          if (childRefs) refs = refs ? intersectRefs(refs, childRefs) : childRefs;
+        });
+        return refs;
+      }
+      case 'or': {
+        const refs = new Set();
+        for (const child of node.children) {
+          const childRefs = findNodeRefs(index, child);
+          if (!childRefs) return null;
+          childRefs.forEach(ref => refs.add(ref));
+        }
+        return refs;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Use the index to find the chapters that could contain the query.
+   * @param {Object} index - Prepared index from loadIndex
+   * @param {string|Object} query - Search term, or a parsed query AST node
+   * @returns {Map<string, Set<number>>|null} bookName -> chapter numbers,
+   *   or null if the index can't narrow this query
+   */
+  function findCandidateChapters(index, query) {
+    const node = typeof query === 'string' ? { type: 'term', text: query } : query;
+    const refs = findNodeRefs(index, node);
+    if (!refs) {
+      return null;
+    }
+
+    const candidates = new Map();
+    refs.forEach(ref => {
+      const bookName = index.books[ref >> 8];
+      if (!bookName) return;
+      if (!candidates.has(bookName)) {
+        candidates.set(bookName, new Set());
+      }
+      candidates.get(bookName).add(ref & 0xff);
+    });
+    return candidates;
+  }
+
+  /**
+   * Fetch and parse a book JSON file, reusing previously loaded books.
+   * @param {string} dataPath - Version data directory (e.g. "./data/kjv/")
+   * @param {Object} book - Book entry from books.json
+   * @returns {Promise<Object>} Book data: { "1": { "1": "verse text", ... }, ... }
+   */
+  async function loadBook(dataPath, book) {
+    const path = dataPath + book.filename;
+    if (bookCache.has(path)) {
+      // Move to the most-recently-used end
+      const cached = bookCache.get(path);
+      bookCache.delete(path);
+      bookCache.set(path, cached);
+      return cached;
+    }
+
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error('Failed to load ' + book.name);
+    }
+
+    const data = await response.json();
+    bookCache.set(path, data);
+    if (bookCache.size > MAX_CACHED_BOOKS) {
+      bookCache.delete(bookCache.keys().next().value);
+    }
+    return data;
+  }
+
+  /**
+   * Load a single verse from a version (used to show a result in every version).
+   * @param {string} dataPath - Version data directory (e.g. "./data/rvr/")
+   * @param {Object} book - Book entry from books.json
+   * @param {number} chapter - Chapter number
+   * @param {number} verse - Verse number
+   * @returns {Promise<string|null>} Verse text, or null if the version lacks it
+   */
+  async function loadVerse(dataPath, book, chapter, verse) {
+    const bookData = await loadBook(dataPath, book);
+    const chapterData = bookData[chapter];
+    return chapterData && chapterData[verse] ? chapterData[verse] : null;
+  }
+
+  /**
+   * Prepare one search term for matching in one language
+   * @param {string} query - Search term as typed
+   * @param {string} [language] - Language code from bibleVersions
+   * @param {Object} [options]
+   * @param {boolean} [options.wildcard] - Treat "*" as "any letters"; the term is
+   *   then anchored to word edges (except in n-gram languages, which have none)
+   * @returns {Object|null} Matcher for findMatches, or null if the query is
+   *   empty after normalization
+   */
+  function createMatcher(query, language, options) {
+    const wildcard = !!(options && options.wildcard);
+    const text = (query || '').trim();
+
+    if (!wildcard) {
+      const folded = normalizeText(text, language);
+      if (!folded) {
+        return null;
+      }
+      return { language: language, regex: new RegExp(escapeRegex(folded), 'gu'), anchored: false };
+    }
+
+    const parts = text.split('*').map(part => escapeRegex(normalizeText(part, language)));
+    if (!parts.join('')) {
+      return null;
+    }
+
+    const body = parts.join('[\\p{L}\\p{M}\\p{N}]*');
+    if (getLanguageProfile(language).ngram) {
+      return { language: language, regex: new RegExp(body, 'gu'), anchored: false };
+    }
+
+    // Leading group stands in for a lookbehind (not supported by older Safari)
+    return {
+      language: language,
+      regex: new RegExp('(^|[^\\p{L}\\p{M}\\p{N}])(' + body + ')(?![\\p{L}\\p{M}\\p{N}])', 'gu'),
+      anchored: true
+    };
+  }
+
+  /**
+   * Find matches of a matcher in already-folded text
+   * @param {Object} folded - From foldText
+   * @param {Object} matcher - From createMatcher
+   * @returns {Array} [{ index, length, wholeWord }] in original-text offsets
+   */
+  function findFoldedMatches(folded, matcher) {
+    const regex = matcher.regex;
+    const matches = [];
+    let match;
+
+    regex.lastIndex = 0;
+    while ((match = regex.exec(folded.text)) !== null) {
+      const start = match.index + (matcher.anchored ? match[1].length : 0);
+      const end = match.index + match[0].length;
+      if (end === start) {
+        regex.lastIndex++;
+        continue;
+      }
+
+      const wholeWord = !isWordChar(folded.text[start - 1]) && !isWordChar(folded.text[end]);
+
+      // Map back to the original text (includes any marks on the last letter)
+      const index = folded.starts ? folded.starts[start] : start;
+      const originalEnd = folded.ends ? folded.ends[end - 1] : end;
+      matches.push({ index: index, length: originalEnd - index, wholeWord: wholeWord });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Find every match of a term in a text, ignoring case, points and accents
+   * as the language profile allows.
+   *
+   * @param {string} text - Original verse text
+   * @param {Object} matcher - From createMatcher
+   * @returns {Array} [{ index, length, wholeWord }] in original-text offsets
+   */
+  function findMatches(text, matcher) {
+    return findFoldedMatches(foldText(text, matcher.language), matcher);
+  }
+
+  /**
+   * Compile a query for matching: a plain string is a single term, a parsed
+   * query (BibleSearchQuery.parseQuery) keeps its operators and book filter.
+   *
+   * @param {string|Object} query - Search term or { ast, bookNames }
+   * @param {string} [language] - Language code from bibleVersions
+   * @returns {Object|null} { language, root, bookNames } or null if nothing to match
+   */
+  function compileQuery(query, language) {
+    const parsed = typeof query === 'string'
+      ? { ast: { type: 'term', text: query.trim() }, bookNames: null }
+      : query;
+    if (!parsed || !parsed.ast) {
+      return null;
+    }
+
+    let valid = true;
+    const compileNode = (node) => {
+      switch (node.type) {
+        case 'term': {
+          const matcher = createMatcher(node.text, language, { wildcard: node.wildcard });
+          if (!matcher) valid = false;
+          return { type: 'term', text: node.text, matcher: matcher };
+        }
+        case 'and':
+        case 'or':
+          return { type: node.type, children: node.children.map(compileNode) };
+        case 'not':
+          return { type: 'not', child: compileNode(node.child) };
+        default:
+          throw new Error('Unknown query node: ' + node.type);
+      }
+    };
+
+    const root = compileNode(parsed.ast);
+    if (!valid) {
+      return null;
+    }
+    return { language: language, root: root, bookNames: parsed.bookNames || null };
+  }
+
+  /**
+   * Evaluate a compiled query node against folded verse text
+   * @param {Object} node - Compiled node
+   * @param {Object} folded - From foldText
+   * @returns {Object} { ok, hits } - hits are matches of the terms that count
+   *   (NOT terms never contribute highlights)
+   */
+  function evaluateNode(node, folded) {
+    switch (node.type) {
+      case 'term': {
+        const hits = findFoldedMatches(folded, node.matcher);
+        return { ok: hits.length > 0, hits: hits };
+      }
+      case 'and': {
+        const hits = [];
+        for (const child of node.children) {
+          const result = evaluateNode(child, folded);
+          if (!result.ok) return { ok: false, hits: [] };
+          hits.push.apply(hits, result.hits);
+        }
+        return { ok: true, hits: hits };
+      }
+      case 'or': {
+        const hits = [];
+        let ok = false;
+        node.children.forEach(child => {
+          const result = evaluateNode(child, folded);
+          if (result.ok) {
+            ok = true;
+            hits.push.apply(hits, result.hits);
+          }
+        });
+        return { ok: ok, hits: hits };
+      }
+      case 'not':
+        return { ok: !evaluateNode(node.child, folded).ok, hits: [] };
+      default:
+        return { ok: false, hits: [] };
+    }
+  }
+
+  /**
+   * Match a verse against a compiled query and score it.
+   * Whole-word matches are worth more than matches inside a longer word,
+   * so "love" ranks "God is love" above "beloved".
+   *
+   * @param {string} text - Verse text
+   * @param {Object} query - From compileQuery
+   * @returns {Object|null} { score, matches: [{ index, length }] } or null if no
+   *   match; matches are sorted and never overlap (ready for highlighting)
+   */
+  function scoreVerse(text, query) {
+    const result = evaluateNode(query.root, foldText(text, query.language));
+    if (!result.ok || !result.hits.length) {
+      return null;
+    }
+
+    let score = 0;
+    result.hits.forEach(hit => {
+      score += hit.wholeWord ? 3 : 1;
+    });
+
+    // Sort and drop overlaps (e.g. "faith OR faithful" on the same word)
+    const matches = [];
+    result.hits
+      .sort((a, b) => (a.index - b.index) || (b.length - a.length))
+      .forEach(hit => {
+        const previous = matches[matches.length - 1];
+        if (previous && hit.index < previous.index + previous.length) return;
+        matches.push({ index: hit.index, length: hit.length });
+      });
+
+    return { score: score, matches: matches };
+  }
+
+  /**
+   * Search all books of a version for a term.
+   * Runs in the search worker (scripts/search/search-worker.js) or, as a
+   * fallback, on the main thread.
+   * Uses the version's prebuilt index (when present) to skip books and chapters
+   * that cannot match; otherwise every book is scanned.
+   * Results are ranked by score (highest first), then by canonical order.
+   *
+   * @param {Object} params - Search parameters
+   * @param {string|Object} params.query - Search term, or a parsed query
+   *   from BibleSearchQuery.parseQuery (operators, wildcards, book filter)
+   * @param {string} params.dataPath - Version data directory (e.g. "./data/")
+   * @param {Array} params.books - Books array from books.json
+   * @param {string} [params.language] - Version language (selects normalization)
+   * @param {Function} [params.onProgress] - Called with (booksDone, booksTotal)
+   * @param {Function} [params.onResults] - Called with each book's (unranked) matches as soon as it is scanned
+   * @param {Function} [params.isCancelled] - Return true to stop scanning early
+   * @param {boolean} [params.useIndex=true] - Set false to force a full scan
+   * @returns {Promise<Array>} Ranked results:
+   *   [{ bookName, order, chapter, verse, text, score, matches }]
+   */
+  async function searchVersion({ query, dataPath, books, language, onProgress, onResults, isCancelled, useIndex }) {
+    const compiled = compileQuery(query || '', language);
+    if (!compiled || !Array.isArray(books)) {
+      return [];
+    }
+
+    let candidates = null;
+    if (useIndex !== false) {
+      const index = await loadIndex(dataPath);
+      if (isCancelled && isCancelled()) {
+        return [];
+      }
+      candidates = index ? findCandidateChapters(index, compiled.root) : null;
+    }
+
+    const booksToScan = books.filter(book =>
+      (!compiled.bookNames || compiled.bookNames.includes(book.name)) &&
+      (!candidates || candidates.has(book.name))
+    );
+    const results = [];
+
+    for (let i = 0; i < booksToScan.length; i++) {
+      if (isCancelled && isCancelled()) {
+        return [];
+      }
+
+      const book = booksToScan[i];
+      let bookData;
+      try {
+        bookData = await loadBook(dataPath, book);
+      } catch (e) {
+        // A missing book should not abort the whole search
+        console.warn('[BibleSearch] Skipping book:', book.name, e);
+        if (onProgress) onProgress(i + 1, booksToScan.length);
+        continue;
+      }
+
+      const bookResults = [];
+      const chapterNums = Object.keys(bookData)
+        .filter(chapterNum => !candidates || candidates.get(book.name).has(Number(chapterNum)))
+        .sort((a, b) => Number(a) - Number(b));
+      chapterNums.forEach(chapterNum => {
+        const verses = bookData[chapterNum];
+        const verseNums = Object.keys(verses).sort((a, b) => Number(a) - Number(b));
+
+        verseNums.forEach(verseNum => {
+          const text = verses[verseNum];
+          const scored = scoreVerse(text, compiled);
+          if (scored) {
+            bookResults.push({
+              bookName: book.name,
+              order: book.order,
+              chapter: Number(chapterNum),
+              verse: Number(verseNum),
+              text: text,
+              score: scored.score,
+              matches: scored.matches
+            });
+          }
+        });
+      });
+
+      results.push.apply(results, bookResults);
+      if (onResults && bookResults.length) onResults(bookResults);
+      if (onProgress) onProgress(i + 1, booksToScan.length);
+    }
+
+    return rankResults(results);
+  }
+
+  /**
+   * Sort results by score, then canonical order (book, chapter, verse).
+   * @param {Array} results - Unsorted results
+   * @returns {Array} The same array, sorted in place
+   */
+  function rankResults(results) {
+    return results.sort((a, b) =>
+      (b.score - a.score) ||
+      (a.order - b.order) ||
+      (a.chapter - b.chapter) ||
+      (a.verse - b.verse)
+    );
+  }
+
+  /**
+   * Build a short snippet around the first match of a result.
+   * @param {string} text - Full verse text
+   * @param {Object} match - { index, length } of the match to centre on
+   * @param {number} [radius=SNIPPET_RADIUS] - Characters of context on each side
+   * @returns {Object} { before, match, after } (before/after include "…" when trimmed)
+   */
+  function buildSnippet(text, match, radius) {
+    if (radius === undefined) radius = SNIPPET_RADIUS;
+    if (!match) {
+      return { before: '', match: '', after: text.length > radius * 2 ? text.slice(0, radius * 2) + '…' : text };
+    }
+
+    const start = Math.max(0, match.index - radius);
+    const end = Math.min(text.length, match.index + match.length + radius);
+
+    return {
+      before: (start > 0 ? '…' : '') + text.slice(start, match.index),
+      match: text.substr(match.index, match.length),
+      after: text.slice(match.index + match.length, end) + (end < text.length ? '…' : '')
+    };
+  }
+
+  /**
+   * Get one page of results.
+   * @param {Array} results - All ranked results
+   * @param {number} page - 0-based page index (clamped to valid range)
+   * @param {number} [pageSize=DEFAULT_PAGE_SIZE] - Results per page
+   * @returns {Object} { items, page, pageCount, total }
+   */
+  function paginate(results, page, pageSize) {
+    if (!pageSize) pageSize = DEFAULT_PAGE_SIZE;
+    const total = results.length;
+    const pageCount = Math.max(1, Math.ceil(total / pageSize));
+    const safePage = Math.min(Math.max(0, page || 0), pageCount - 1);
+    const start = safePage * pageSize;
+
+    return {
+      items: results.slice(start, start + pageSize),
+      page: safePage,
+      pageCount: pageCount,
+      total: total
+    };
+  }
+
+  /**
+   * Drop cached book files and indexes (e.g. after switching versions to free memory).
+   */
+  function clearBookCache() {
+    bookCache.clear();
+    indexCache.clear();
+  }
+
+  // Expose a global API under BibleSearch
+  root.BibleSearch = {
+    DEFAULT_PAGE_SIZE: DEFAULT_PAGE_SIZE,
+
+    // Searching
+    searchVersion: searchVersion,
+    createMatcher: createMatcher,
+    findMatches: findMatches,
+    compileQuery: compileQuery,
+    scoreVerse: scoreVerse,
+    rankResults: rankResults,
+
+    // Presentation helpers
+    buildSnippet: buildSnippet,
+    paginate: paginate,
+
+    // Data loading
+    loadBook: loadBook,
+    loadVerse: loadVerse,
+    loadIndex: loadIndex,
+    clearBookCache: clearBookCache,
+
+    // Index building / lookup (shared with scripts/tools/build-search-index.mjs)
+    INDEX_FILENAME: INDEX_FILENAME,
+    INDEX_FORMAT: INDEX_FORMAT,
+    normalizeText: normalizeText,
+    tokenize: tokenize,
+    buildIndex: buildIndex,
+    findCandidateChapters: findCandidateChapters,
+
+    // Utilities
+    escapeRegex: escapeRegex
+  };
+})(typeof self !== 'undefined' ? self : this);
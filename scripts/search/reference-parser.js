@@ -0,0 +1,356 @@
+// scripts/search/reference-parser.js
+// Scripture reference parser for Bible Reader ("Jn 3:16-18", "1 Cor 13", "Ps 23, 24")
+// Exposes the BibleReference API on window (DOM-free)
+//
+// Understands:
+//   - Book names, books.json shortName, common alternate abbreviations (BOOK_ALIASES)
+//     and "1st"/"First"/"I" style numbered-book prefixes
+//   - Chapters ("1 Cor 13"), verses ("John 3:16" or "John 3.16"), ranges
+//     ("Jn 3:16-18", "Gen 1:1-2:3", "Ps 23-24") and comma/semicolon lists
+//     ("John 3:16, 18, 4:1")
+//   - Single-chapter books, where a bare number is a verse ("Jude 5")
+// Chapter numbers are checked against books.json; verse numbers need the book's
+// text (validateVerses()).
+
+(function (root) {
+  'use strict';
+
+  // Common alternate abbreviations, keyed by books.json name.
+  // Keys are compared after bookKey() (lowercase, no spaces or dots).
+  const BOOK_ALIASES = {
+    'Genesis': ['gn', 'ge'],
+    'Exodus': ['ex', 'exod'],
+    'Leviticus': ['lv', 'le'],
+    'Numbers': ['nm', 'nu', 'numb'],
+    'Deuteronomy': ['dt', 'deut', 'de'],
+    'Joshua': ['josh', 'jsh'],
+    'Judges': ['judg', 'jg', 'jdgs'],
+    'Ruth': ['ru', 'rth'],
+    'Ezra': ['ezr'],
+    'Nehemiah': ['ne'],
+    'Esther': ['es', 'esth'],
+    'Job': ['jb'],
+    'Psalms': ['ps', 'psalm', 'pss', 'psm'],
+    'Proverbs': ['prov', 'pr', 'prv'],
+    'Ecclesiastes': ['eccl', 'ec', 'qoh', 'qoheleth'],
+    'Song of Solomon': ['song', 'so', 'songofsongs', 'canticles', 'cant', 'ss'],
+    'Isaiah': ['is'],
+    'Jeremiah': ['je', 'jr'],
+    'Lamentations': ['la'],
+    'Ezekiel': ['ezek', 'ezk'],
+    'Daniel': ['da', 'dn'],
+    'Hosea': ['ho'],
+    'Joel': ['jl'],
+    'Amos': ['am'],
+    'Obadiah': ['obad', 'ob'],
+    'Jonah': ['jnh'],
+    'Micah': ['mi'],
+    'Nahum': ['na'],
+    'Habakkuk': ['hb'],
+    'Zephaniah': ['zeph', 'zp'],
+    'Haggai': ['hg'],
+    'Zechariah': ['zech', 'zc'],
+    'Malachi': ['ml'],
+    'Matthew': ['matt', 'mt'],
+    'Mark': ['mk', 'mrk', 'mr'],
+    'Luke': ['lk'],
+    'John': ['jn', 'jhn'],
+    'Acts': ['ac'],
+    'Romans': ['ro', 'rm'],
+    'Galatians': ['ga'],
+    'Ephesians': ['ephes'],
+    'Philippians': ['phil', 'php', 'pp'],
+    'Titus': ['ti'],
+    'Philemon': ['phlm', 'philem'],
+    'James': ['jas', 'jm'],
+    'Jude': ['jd'],
+    'Revelation': ['re', 'rv', 'revelations', 'apocalypse', 'apoc']
+  };
+
+  // Alternate abbreviations for numbered books ("1 Cor", "2 Tim", "1 Jn");
+  // each is combined with the book's number
+  const NUMBERED_ALIASES = {
+    'Samuel': ['sam', 'sm', 's'],
+    'Kings': ['kgs', 'kin', 'k'],
+    'Chronicles': ['chr', 'chron'],
+    'Corinthians': ['cor'],
+    'Thessalonians': ['thess', 'thes'],
+    'Timothy': ['tim', 'tm'],
+    'Peter': ['pet', 'pt', 'p'],
+    'John': ['jn', 'jhn', 'joh']
+  };
+
+  // Largest verse number in any chapter (Psalm 119), used to open-end ranges
+  const MAX_VERSE = 176;
+
+  /**
+   * Normalize a book name for lookups: "First John", "I John", "1 Jn." -> "1john"/"1jn"
+   * @param {string} name - Book name or abbreviation
+   * @returns {string}
+   */
+  function bookKey(name) {
+    return (name || '')
+      .toLowerCase()
+      .trim()
+      .replace(/^(first|1st|i)\s+/, '1')
+      .replace(/^(second|2nd|ii)\s+/, '2')
+      .replace(/^(third|3rd|iii)\s+/, '3')
+      .replace(/[^\p{L}\p{N}]+/gu, '');
+  }
+
+  /**
+   * Build the lookup table for a books list (cached per array)
+   * @param {Array} books - Books array from books.json
+   * @returns {Map<string, Object>} key -> book entry
+   */
+  const lookupCache = new WeakMap();
+  function getBookLookup(books) {
+    if (lookupCache.has(books)) {
+      return lookupCache.get(books);
+    }
+
+    const lookup = new Map();
+    const add = (key, book) => {
+      if (key && !lookup.has(key)) lookup.set(key, book);
+    };
+
+    // Full names and shortNames win over aliases. A shortName that starts another
+    // book's name ("Jud" - Judges, "Phi" - Philemon) is left out as ambiguous.
+    books.forEach(book => add(bookKey(book.name), book));
+    books.forEach(book => {
+      const key = bookKey(book.shortName);
+      const ambiguous = books.some(other => other !== book && bookKey(other.name).startsWith(key));
+      if (!ambiguous) add(key, book);
+    });
+    books.forEach(book => {
+      (BOOK_ALIASES[book.name] || []).forEach(alias => add(alias, book));
+
+      const numbered = /^([123]) (.+)$/.exec(book.name);
+      if (numbered) {
+        (NUMBERED_ALIASES[numbered[2]] || []).forEach(alias => add(numbered[1] + alias, book));
+      }
+    });
+
+    lookupCache.set(books, lookup);
+    return lookup;
+  }
+
+  /**
+   * Find a book by name, shortName, alias or unique name prefix
+   * @param {string} name - As typed
+   * @param {Array} books - Books array from books.json
+   * @returns {Object|null} Book entry
+   */
+  function findBook(name, books) {
+    const key = bookKey(name);
+    if (!key) return null;
+
+    const exact = getBookLookup(books).get(key);
+    if (exact) return exact;
+
+    // Unique prefix of a full name ("Deuter", "Revel")
+    if (key.length >= 3) {
+      const matches = books.filter(book => bookKey(book.name).startsWith(key));
+      if (matches.length === 1) return matches[0];
+    }
+    return null;
+  }
+
+  /**
+   * Parse the chapter/verse part of a reference into segments
+   * @param {string} text - e.g. "3:16-18, 20; 4:1"
+   * @param {Object} book - Book entry (chapters count decides single-chapter handling)
+   * @returns {Array|null} [{ chapter, verse, endChapter, endVerse }] (verse/endVerse
+   *   are null for whole chapters), or null if the text isn't a reference
+   */
+  function parseSegments(text, book) {
+    const singleChapter = book.chapters === 1;
+    const segments = [];
+    let verseChapter = singleChapter ? 1 : null; // Chapter a bare number refers to a verse in
+
+    for (const raw of text.split(/[,;]/)) {
+      const part = raw.replace(/\s+/g, '');
+      const m = /^(\d+)(?:[:.](\d+))?(?:-(\d+)(?:[:.](\d+))?)?$/.exec(part);
+      if (!m) return null;
+
+      const a = Number(m[1]);
+      const b = m[2] !== undefined ? Number(m[2]) : null;
+      const c = m[3] !== undefined ? Number(m[3]) : null;
+      const d = m[4] !== undefined ? Number(m[4]) : null;
+      let segment;
+
+      if (b !== null) {
+        // chapter:verse[-verse | -chapter:verse]
+        segment = {
+          chapter: a,
+          verse: b,
+          endChapter: d !== null ? c : a,
+          endVerse: d !== null ? d : (c !== null ? c : b)
+        };
+        verseChapter = segment.endChapter;
+      } else if (verseChapter !== null) {
+        // Bare verse (or verse range) in the chapter named earlier: "John 3:16, 18-20"
+        segment = {
+          chapter: verseChapter,
+          verse: a,
+          endChapter: d !== null ? c : verseChapter,
+          endVerse: d !== null ? d : (c !== null ? c : a)
+        };
+        verseChapter = segment.endChapter;
+      } else {
+        // Whole chapter(s): "1 Cor 13", "Ps 23-24"
+        if (d !== null) return null;
+        segment = { chapter: a, verse: null, endChapter: c !== null ? c : a, endVerse: null };
+      }
+
+      segments.push(segment);
+    }
+
+    return segments.length ? segments : null;
+  }
+
+  /**
+   * Check segments against the book; returns an error message or null
+   * @param {Array} segments - From parseSegments
+   * @param {Object} book - Book entry
+   * @returns {string|null}
+   */
+  function validateSegments(segments, book) {
+    for (const segment of segments) {
+      if (segment.chapter < 1 || segment.endChapter > book.chapters) {
+        return book.chapters === 1
+          ? `${book.name} has only 1 chapter`
+          : `${book.name} has ${book.chapters} chapters`;
+      }
+      if (segment.endChapter < segment.chapter ||
+          (segment.endChapter === segment.chapter && segment.verse !== null && segment.endVerse < segment.verse)) {
+        return 'The end of a range must come after its start';
+      }
+      if (segment.verse !== null && (segment.verse < 1 || segment.endVerse < 1)) {
+        return 'Verse numbers start at 1';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check a reference's verse numbers against the book's text ("John 3:99").
+   * books.json has no verse counts (they differ between versions), so this runs
+   * once the book is loaded.
+   * @param {Object} reference - From parseReference (without an error)
+   * @param {Object} bookData - Book JSON: { "1": { "1": "verse text", ... }, ... }
+   * @returns {string|null} Error message, or null if every verse is in the text
+   */
+  function validateVerses(reference, bookData) {
+    const book = reference.book;
+    for (const segment of reference.segments) {
+      if (segment.verse === null) continue;
+
+      const ends = [[segment.chapter, segment.verse], [segment.endChapter, segment.endVerse]];
+      for (const [chapter, verse] of ends) {
+        const verses = Object.keys((bookData && bookData[chapter]) || {}).map(Number);
+        if (verses.length === 0) continue; // Chapter missing from this version's data
+        const verseCount = Math.max(...verses);
+        if (verse > verseCount) {
+          return `${book.chapters === 1 ? book.name : book.name + ' ' + chapter} has ${verseCount} verses`;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse a scripture reference.
+   * @param {string} input - Text such as "Jn 3:16-18" or "1 Cor 13"
+   * @param {Array} books - Books array from books.json
+   * @returns {Object|null} null when the text isn't a reference (search it instead);
+   *   otherwise { book, segments, label } or { book, error } when the book was
+   *   recognised but the numbers don't fit it (verse numbers are checked
+   *   separately, with validateVerses())
+   */
+  function parseReference(input, books) {
+    if (!input || !Array.isArray(books) || books.length === 0) {
+      return null;
+    }
+
+    const text = input.trim().replace(/[–—]/g, '-').replace(/\s+/g, ' ');
+
+    // Book part (may start with a number: "1 Cor", "1Cor"), then the numbers
+    const m = /^((?:[123]\s*)?[^\d\s][^\d]*?)\.?\s*(\d[\d\s:.,;-]*)$/.exec(text);
+    if (!m) return null;
+
+    const book = findBook(m[1], books);
+    if (!book) return null;
+
+    const segments = parseSegments(m[2].trim(), book);
+    if (!segments) return null;
+
+    const error = validateSegments(segments, book);
+    if (error) {
+      return { book: book, error: error };
+    }
+
+    return { book: book, segments: segments, label: formatReference(book, segments) };
+  }
+
+  /**
+   * Format parsed segments as a readable reference ("John 3:16–18, 20")
+   * @param {Object} book - Book entry
+   * @param {Array} segments - Parsed segments
+   * @returns {string}
+   */
+  function formatReference(book, segments) {
+    let previousChapter = null;
+    const parts = segments.map(segment => {
+      let part;
+      if (segment.verse === null) {
+        part = String(segment.chapter) + (segment.endChapter !== segment.chapter ? '–' + segment.endChapter : '');
+      } else {
+        const start = (segment.chapter === previousChapter ? '' : segment.chapter + ':') + segment.verse;
+        let end = '';
+        if (segment.endChapter !== segment.chapter) {
+          end = '–' + segment.endChapter + ':' + segment.endVerse;
+        } else if (segment.endVerse !== segment.verse) {
+          end = '–' + segment.endVerse;
+        }
+        part = start + end;
+      }
+      previousChapter = segment.verse === null ? null : segment.endChapter;
+      return part;
+    });
+
+    // Single-chapter books read "Jude 5" rather than "Jude 1:5"
+    const joined = parts.join(', ');
+    return book.name + ' ' + (book.chapters === 1 ? joined.replace(/^1:/, '') : joined);
+  }
+
+  /**
+   * Verse numbers a reference selects in the chapter it opens at (its first
+   * segment's chapter). Ranges that run into a later chapter select to the end.
+   * @param {Object} reference - From parseReference
+   * @returns {Array<number>} Verse numbers (empty for whole-chapter references)
+   */
+  function getVersesInFirstChapter(reference) {
+    const chapter = reference.segments[0].chapter;
+    const verses = [];
+
+    reference.segments.forEach(segment => {
+      if (segment.verse === null || segment.chapter !== chapter) return;
+      const last = segment.endChapter === chapter ? segment.endVerse : MAX_VERSE;
+      for (let v = segment.verse; v <= last; v++) {
+        if (!verses.includes(v)) verses.push(v);
+      }
+    });
+
+    return verses;
+  }
+
+  // Expose a global API under BibleReference
+  root.BibleReference = {
+    parseReference: parseReference,
+    formatReference: formatReference,
+    validateVerses: validateVerses,
+    getVersesInFirstChapter: getVersesInFirstChapter,
+    findBook: findBook
+  };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,337 @@
+// scripts/search/search-query.js
+// Query parser for Bible search (advanced syntax in the search box)
+// Exposes the BibleSearchQuery API on window (DOM-free; the parsed query is
+// plain data so it can be posted to the search worker)
+//
+// Syntax:
+//   love                    substring match (as before)
+//   "living water"          exact phrase
+//   faith works             implicit AND
+//   faith AND works         explicit AND (operators are uppercase)
+//   faith OR hope           either term
+//   faith NOT works         exclude verses containing "works"
+//   (faith OR hope) love    grouping
+//   lov*  *ness             wildcard: any letters, anchored to word edges
+//   book:John               one book (name, short name or unique prefix)
+//   book:Romans-Jude        canonical range; book:"1 John" for names with spaces
+//   "living water" John     a bare book name (as in books.json) beside other terms
+//                           is a book: filter; on its own it's searched as a word
+//   ot:  nt:                Old / New Testament (books.json `testament`)
+
+(function (root) {
+  'use strict';
+
+  // Operators are only recognised in uppercase so "and"/"not" stay searchable
+  const OPERATORS = ['AND', 'OR', 'NOT'];
+
+  /**
+   * Normalize a book name for lookups ("1 John", "1_John", "1john" all match)
+   * @param {string} name - Book name, short name or filename
+   * @returns {string}
+   */
+  function bookKey(name) {
+    return (name || '').replace(/\.json$/i, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  }
+
+  /**
+   * Split the raw query into tokens: words, phrases, parentheses and filters
+   * @param {string} input - Query text
+   * @returns {Array} [{ type: 'word'|'phrase'|'lparen'|'rparen'|'filter', value, field }]
+   */
+  function lex(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+      const ch = input[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch === '(' ? 'lparen' : 'rparen' });
+        i++;
+        continue;
+      }
+
+      if (ch === '"') {
+        const close = input.indexOf('"', i + 1);
+        if (close === -1) {
+          throw new Error('Missing closing quote (")');
+        }
+        const phrase = input.slice(i + 1, close).trim();
+        if (!phrase) {
+          throw new Error('Empty phrase "" - put words between the quotes');
+        }
+        tokens.push({ type: 'phrase', value: phrase });
+        i = close + 1;
+        continue;
+      }
+
+      // Bare word (up to whitespace, a parenthesis or a quote)
+      let end = i;
+      while (end < input.length && !/[\s()"]/.test(input[end])) {
+        end++;
+      }
+      const word = input.slice(i, end);
+
+      const filter = /^(book|ot|nt):(.*)$/i.exec(word);
+      if (filter) {
+        let value = filter[2];
+        // book:"1 John" - quoted value directly after the colon
+        if (!value && input[end] === '"') {
+          const close = input.indexOf('"', end + 1);
+          if (close === -1) {
+            throw new Error('Missing closing quote (")');
+          }
+          value = input.slice(end + 1, close).trim();
+          end = close + 1;
+        }
+        tokens.push({ type: 'filter', field: filter[1].toLowerCase(), value: value });
+      } else {
+        tokens.push({ type: 'word', value: word });
+      }
+      i = end;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Resolve one book reference against books.json
+   * @param {string} name - As typed (e.g. "Rom", "1_John")
+   * @param {Array} books - Books array from books.json
+   * @returns {Object} Book entry
+   */
+  function resolveBook(name, books) {
+    const key = bookKey(name);
+    if (!key) {
+      throw new Error('book: needs a book name, e.g. book:John');
+    }
+
+    const exact = books.find(book =>
+      bookKey(book.name) === key || bookKey(book.shortName) === key || bookKey(book.filename) === key
+    );
+    if (exact) {
+      return exact;
+    }
+
+    const prefixed = books.filter(book => bookKey(book.name).startsWith(key));
+    if (prefixed.length === 1) {
+      return prefixed[0];
+    }
+    if (prefixed.length > 1) {
+      throw new Error(`Book "${name}" is ambiguous (${prefixed.slice(0, 3).map(b => b.name).join(', ')}...)`);
+    }
+    throw new Error(`Unknown book "${name}"`);
+  }
+
+  /**
+   * Resolve a book: filter value (single book or "First-Last" range)
+   * @param {string} value - Filter value
+   * @param {Array} books - Books array from books.json
+   * @returns {Array<string>} Book names in the filter
+   */
+  function resolveBookFilter(value, books) {
+    const parts = value.split('-');
+    if (parts.length > 2) {
+      throw new Error(`Book range "${value}" should look like Romans-Jude`);
+    }
+
+    const first = resolveBook(parts[0], books);
+    const last = parts.length === 2 ? resolveBook(parts[1], books) : first;
+    if (last.order < first.order) {
+      throw new Error(`Book range "${value}" is backwards (try ${last.name}-${first.name})`);
+    }
+
+    return books
+      .filter(book => book.order >= first.order && book.order <= last.order)
+      .map(book => book.name);
+  }
+
+  /**
+   * Parse a search query.
+   * Throws an Error with a user-facing message when the query is invalid.
+   *
+   * @param {string} input - Query as typed in #chapterSearchInput
+   * @param {Object} [options]
+   * @param {Array} [options.books] - Books array from books.json (needed for filters)
+   * @returns {Object} { ast, bookNames } - ast nodes are
+   *   { type: 'term', text, phrase, wildcard } | { type: 'and'|'or', children } |
+   *   { type: 'not', child }; bookNames is null when no filter restricts books
+   */
+  function parseQuery(input, options) {
+    const books = (options && options.books) || [];
+    const tokens = lex((input || '').trim());
+    let position = 0;
+
+    let bookFilter = null;
+    let testaments = null;
+
+    const peek = () => tokens[position];
+    const isOperator = (token, op) => token && token.type === 'word' && token.value === op;
+
+    function parseOr() {
+      const children = [parseAnd()];
+      while (isOperator(peek(), 'OR')) {
+        position++;
+        children.push(parseAnd());
+        if (children.some(child => !child)) {
+          throw new Error('OR needs a term on both sides');
+        }
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children: children };
+    }
+
+    function parseAnd() {
+      const children = [];
+      let hasOperand = false; // Filters count as operands for AND
+      while (peek() && peek().type !== 'rparen' && !isOperator(peek(), 'OR')) {
+        if (isOperator(peek(), 'AND')) {
+          position++;
+          if (!hasOperand || !peek() || peek().type === 'rparen' || isOperator(peek(), 'OR') || isOperator(peek(), 'AND')) {
+            throw new Error('AND needs a term on both sides');
+          }
+          continue;
+        }
+        const node = parseUnary();
+        hasOperand = true;
+        if (node) children.push(node);
+      }
+      if (!children.length) {
+        // Only filters here (e.g. "book:John"), or nothing before OR / ")"
+        return null;
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children: children };
+    }
+
+    function parseUnary() {
+      const token = tokens[position++];
+
+      if (isOperator(token, 'NOT')) {
+        const next = peek();
+        if (!next || next.type === 'rparen' || (next.type === 'word' && OPERATORS.includes(next.value))) {
+          throw new Error('NOT needs a term after it');
+        }
+        if (next.type === 'filter') {
+          throw new Error('Filters like book: can\'t be combined with NOT');
+        }
+        return { type: 'not', child: parseUnary() };
+      }
+
+      if (token.type === 'lparen') {
+        const inner = parseOr();
+        if (!peek() || peek().type !== 'rparen') {
+          throw new Error('Missing closing parenthesis ")"');
+        }
+        position++;
+        if (!inner) {
+          throw new Error('Empty parentheses - put a term inside');
+        }
+        return inner;
+      }
+
+      if (token.type === 'filter') {
+        applyFilter(token);
+        return null;
+      }
+
+      if (token.type === 'phrase') {
+        return { type: 'term', text: token.value, phrase: true, wildcard: false };
+      }
+
+      // Plain word, possibly with * wildcards
+      const wildcard = token.value.includes('*');
+      if (wildcard && !token.value.replace(/\*/g, '')) {
+        throw new Error('A wildcard needs some letters, e.g. lov*');
+      }
+      return { type: 'term', text: token.value, phrase: false, wildcard: wildcard };
+    }
+
+    function applyFilter(token) {
+      if (token.field === 'ot' || token.field === 'nt') {
+        if (token.value) {
+          throw new Error(`${token.field}: doesn't take a value - use ${token.field}: on its own`);
+        }
+        testaments = testaments || new Set();
+        testaments.add(token.field.toUpperCase());
+        return;
+      }
+
+      const names = resolveBookFilter(token.value, books);
+      bookFilter = bookFilter || new Set();
+      names.forEach(name => bookFilter.add(name));
+    }
+
+    let ast = parseOr();
+    if (position < tokens.length) {
+      // parseOr only stops early on an unmatched ")"
+      throw new Error('Unexpected ")" - check your parentheses');
+    }
+
+    // Bare book names ANDed with other terms scope the search ("living water" AND John);
+    // an explicit book: filter leaves them as words
+    if (!bookFilter && ast && ast.type === 'and') {
+      const scoped = ast.children.filter(child => isBookName(child, books));
+      const rest = ast.children.filter(child => !scoped.includes(child));
+      if (scoped.length && rest.some(hasPositiveTerm)) {
+        bookFilter = new Set(scoped.map(child => child.text));
+        ast = rest.length === 1 ? rest[0] : { type: 'and', children: rest };
+      }
+    }
+    if (!ast || !hasPositiveTerm(ast)) {
+      throw new Error('Add a word or "phrase" to search for (filters and NOT only narrow results)');
+    }
+
+    let bookNames = null;
+    if (bookFilter || testaments) {
+      bookNames = books
+        .filter(book => !bookFilter || bookFilter.has(book.name))
+        .filter(book => !testaments || testaments.has(book.testament))
+        .map(book => book.name);
+      if (!bookNames.length) {
+        throw new Error('The filters exclude every book');
+      }
+    }
+
+    return { ast: ast, bookNames: bookNames };
+  }
+
+  /**
+   * Check whether a term is a bare book name, spelled as in books.json ("John", "Romans")
+   * @param {Object} node - AST node
+   * @param {Array} books - Books array from books.json
+   * @returns {boolean}
+   */
+  function isBookName(node, books) {
+    return node.type === 'term' && !node.phrase && !node.wildcard &&
+      books.some(book => book.name === node.text);
+  }
+
+  /**
+   * Check that a query can actually match something (not only NOT terms)
+   * @param {Object} node - AST node
+   * @returns {boolean}
+   */
+  function hasPositiveTerm(node) {
+    switch (node.type) {
+      case 'term':
+        return true;
+      case 'not':
+        return false;
+      case 'and':
+        return node.children.some(hasPositiveTerm);
+      case 'or':
+        return node.children.every(hasPositiveTerm);
+      default:
+        return false;
+    }
+  }
+
+  // Expose a global API under BibleSearchQuery
+  root.BibleSearchQuery = {
+    parseQuery: parseQuery
+  };
+})(typeof self !== 'undefined' ? self : this);
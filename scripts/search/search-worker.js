@@ -0,0 +1,79 @@
+// scripts/search/search-worker.js
+// Web Worker that runs whole-Bible searches off the main thread
+// Loads book files and the search index itself and streams results back
+//
+// Messages in:
+//   { type: 'search', id, query, dataPath, books, language } - start a search (cancels any running one);
+//     query is a string or a parsed query from BibleSearchQuery.parseQuery
+//   { type: 'cancel', id }                         - stop a search
+//   { type: 'clearCache' }                         - drop cached books/indexes (version switch)
+// Messages out (all tagged with the search id):
+//   { type: 'progress', id, done, total }
+//   { type: 'results', id, results }   - unranked matches from one book
+//   { type: 'done', id, total }
+//   { type: 'error', id, message }
+
+importScripts('bible-search.js');
+
+// Id of the only search allowed to keep running; anything else is cancelled
+let activeSearchId = null;
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  switch (message.type) {
+    case 'search':
+      runSearch(message);
+      break;
+    case 'cancel':
+      if (message.id === activeSearchId) {
+        activeSearchId = null;
+      }
+      break;
+    case 'clearCache':
+      BibleSearch.clearBookCache();
+      break;
+    default:
+      console.warn('[SearchWorker] Unknown message:', message.type);
+  }
+});
+
+/**
+ * Run one search, posting progress and per-book results as they arrive
+ * @param {Object} message - { id, query, dataPath, books, language }
+ *   dataPath must be absolute: relative URLs resolve against this script
+ */
+async function runSearch({ id, query, dataPath, books, language }) {
+  activeSearchId = id;
+  const isCancelled = () => activeSearchId !== id;
+
+  try {
+    const results = await BibleSearch.searchVersion({
+      query: query,
+      dataPath: dataPath,
+      books: books,
+      language: language,
+      onProgress: (done, total) => {
+        if (!isCancelled()) {
+          self.postMessage({ type: 'progress', id: id, done: done, total: total });
+        }
+      },
+      onResults: (batch) => {
+        if (!isCancelled()) {
+          self.postMessage({ type: 'results', id: id, results: batch });
+        }
+      },
+      isCancelled: isCancelled
+    });
+
+    if (!isCancelled()) {
+      activeSearchId = null;
+      self.postMessage({ type: 'done', id: id, total: results.length });
+    }
+  } catch (error) {
+    if (!isCancelled()) {
+      activeSearchId = null;
+      self.postMessage({ type: 'error', id: id, message: error.message });
+    }
+  }
+}
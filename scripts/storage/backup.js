@@ -0,0 +1,750 @@
+// scripts/storage/backup.js
+// Backup file helpers for Bible Reader (DOM-free)
+// Exposes the BibleBackup API on window
+//
+// Backups hold every bibleReader.* key as a JSON string in `data`, with IndexedDB
+// records under their original localStorage keys (see BibleDB.exportLegacyData):
+//   { appId, schemaVersion, exportedAt, data: { key: jsonString } }
+//
+// readBackup() checks a file against DATA_SCHEMAS (throwing an Error whose message
+// lists what is wrong) after upgrading older files with BACKUP_MIGRATIONS.
+//
+// Encrypted backups wrap the whole file (Web Crypto: PBKDF2 -> AES-GCM):
+//   { appId, encrypted: true, exportedAt, encryption: { kdf, hash, iterations, salt, cipher, iv }, payload }
+// decryptBackup() returns the plain file object for readBackup().
+//
+// mergeBackupData() combines a backup with this device's data instead of replacing it:
+//   - reading events and daily summaries: union by id
+//   - plans: by id, the copy with the newest progress wins
+//   - bookmarks: one per reference (book, chapter, verses), newest wins, tags combined
+//   - notes, highlights: by id, newest updatedAt wins
+//   - preferences: this device's values are kept; keys it doesn't have are added
+
+(function (root) {
+  'use strict';
+
+  const APP_ID = 'yahtsar-bible-reader';
+  const SCHEMA_VERSION = 2;
+
+  const READING_STATE_KEY = 'bibleReader.readingState.v1';
+  const BOOKMARKS_KEY = 'bibleReader.bookmarks';
+  const NOTES_KEY = 'bibleReader.notes';
+  const HIGHLIGHTS_KEY = 'bibleReader.highlights';
+
+  // Problems listed in a readBackup() error message before "…and N more"
+  const MAX_LISTED_ERRORS = 5;
+
+  // Encryption parameters for new files (decryption uses the ones stored in the file)
+  const PBKDF2_ITERATIONS = 600000;
+  const SALT_BYTES = 16;
+  const IV_BYTES = 12;
+
+  // ========================================
+  // Schema
+  // ========================================
+  //
+  // Specs: { type, nullable, optional, properties, items, values, min }.
+  // type is 'string' | 'integer' | 'boolean' | 'object' | 'array' | 'any';
+  // properties lists required fields (unless optional), other fields are allowed;
+  // items/values describe array elements / object values.
+
+  const TIMESTAMP = { type: 'string', optional: true };
+  const BOOK_ID = { type: 'string' };
+  const CHAPTER = { type: 'integer', min: 1 };
+  const VERSE = { type: 'integer', min: 1, nullable: true, optional: true };
+
+  const READING_EVENT = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      versionId: { type: 'string', nullable: true, optional: true },
+      bookId: BOOK_ID,
+      chapter: CHAPTER,
+      completedAt: { type: 'string' }
+    }
+  };
+
+  const READING_ROLLUP = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      date: { type: 'string' },
+      bookId: BOOK_ID,
+      chapters: { type: 'array', items: CHAPTER },
+      versions: { type: 'array', items: { type: 'string' } },
+      count: { type: 'integer', min: 0 }
+    }
+  };
+
+  const PLAN = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string', optional: true },
+      type: { type: 'string', optional: true },
+      createdAt: TIMESTAMP,
+      config: { type: 'any', optional: true },
+      progress: { type: 'any', optional: true }
+    }
+  };
+
+  // Schema of each record key in backup.data (after JSON.parse), for the current SCHEMA_VERSION.
+  // Any other bibleReader.* key is a preference: a plain string.
+  const DATA_SCHEMAS = {
+    [READING_STATE_KEY]: {
+      type: 'object',
+      properties: {
+        currentPlanId: { type: 'string', nullable: true },
+        plans: { type: 'object', values: PLAN },
+        readingEvents: {
+          type: 'object',
+          properties: { events: { type: 'array', items: READING_EVENT } }
+        },
+        readingRollups: { type: 'array', items: READING_ROLLUP },
+        meta: { type: 'object', values: { type: 'any' } }
+      }
+    },
+    [BOOKMARKS_KEY]: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          bookId: BOOK_ID,
+          bookName: { type: 'string', optional: true },
+          chapter: CHAPTER,
+          verse: VERSE,
+          endVerse: VERSE,
+          folder: { type: 'string', nullable: true, optional: true },
+          tags: { type: 'array', items: { type: 'string' }, optional: true },
+          label: { type: 'string', optional: true },
+          createdAt: TIMESTAMP,
+          updatedAt: TIMESTAMP
+        }
+      }
+    },
+    [NOTES_KEY]: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          bookId: BOOK_ID,
+          chapter: CHAPTER,
+          verse: { type: 'integer', min: 1 },
+          endVerse: VERSE,
+          text: { type: 'string' },
+          createdAt: TIMESTAMP,
+          updatedAt: TIMESTAMP
+        }
+      }
+    },
+    [HIGHLIGHTS_KEY]: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          versionId: { type: 'string' },
+          bookId: BOOK_ID,
+          chapter: CHAPTER,
+          verse: { type: 'integer', min: 1 },
+          color: { type: 'string' },
+          createdAt: TIMESTAMP,
+          updatedAt: TIMESTAMP
+        }
+      }
+    }
+  };
+
+  /**
+   * Check a value against a spec, collecting problems
+   * @param {*} value
+   * @param {Object} spec - See "Schema" above
+   * @param {string} path - Where the value is, for messages ("bibleReader.notes[2].text")
+   * @param {Array<string>} errors - Problems are pushed here
+   */
+  function validateValue(value, spec, path, errors) {
+    if (value === null && spec.nullable) return;
+
+    switch (spec.type) {
+      case 'any':
+        return;
+      case 'string':
+        if (typeof value !== 'string') errors.push(`${path} should be text`);
+        return;
+      case 'boolean':
+        if (typeof value !== 'boolean') errors.push(`${path} should be true or false`);
+        return;
+      case 'integer':
+        if (!Number.isInteger(value)) {
+          errors.push(`${path} should be a whole number`);
+        } else if (spec.min !== undefined && value < spec.min) {
+          errors.push(`${path} should be at least ${spec.min}`);
+        }
+        return;
+      case 'array':
+        if (!Array.isArray(value)) {
+          errors.push(`${path} should be a list`);
+          return;
+        }
+        value.forEach((item, index) => validateValue(item, spec.items, `${path}[${index}]`, errors));
+        return;
+      case 'object':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${path} should be an object`);
+          return;
+        }
+        Object.keys(spec.properties || {}).forEach(name => {
+          const property = spec.properties[name];
+          if (value[name] === undefined) {
+            if (!property.optional) errors.push(`${path}.${name} is missing`);
+            return;
+          }
+          validateValue(value[name], property, `${path}.${name}`, errors);
+        });
+        if (spec.values) {
+          Object.keys(value).forEach(name => validateValue(value[name], spec.values, `${path}.${name}`, errors));
+        }
+        return;
+      default:
+        errors.push(`${path} has an unknown schema type`);
+    }
+  }
+
+  /**
+   * Check backup.data against DATA_SCHEMAS
+   * @param {Object} data - backup.data (current SCHEMA_VERSION)
+   * @returns {Array<string>} Problems (empty when valid)
+   */
+  function validateBackupData(data) {
+    const errors = [];
+
+    Object.keys(data).forEach(key => {
+      if (!key.startsWith('bibleReader.')) {
+        errors.push(`${key} is not a Bible Reader setting`);
+        return;
+      }
+      if (typeof data[key] !== 'string') {
+        errors.push(`${key} should be stored as text`);
+        return;
+      }
+
+      const spec = DATA_SCHEMAS[key];
+      if (!spec) return;
+
+      let value;
+      try {
+        value = JSON.parse(data[key]);
+      } catch (e) {
+        errors.push(`${key} is not valid JSON`);
+        return;
+      }
+      validateValue(value, spec, key, errors);
+    });
+
+    return errors;
+  }
+
+  // ========================================
+  // Migrations
+  // ========================================
+
+  /**
+   * Backup migrations: BACKUP_MIGRATIONS[n] upgrades backup.data from schema n to n + 1.
+   * Never edit a shipped step; append one and bump SCHEMA_VERSION.
+   */
+  const BACKUP_MIGRATIONS = {
+    // 1 -> 2: reading state gains readingRollups/meta; bookmarks gain verse ranges,
+    // folders, tags and labels (records are filled in with their defaults)
+    1: function (data) {
+      if (data[READING_STATE_KEY] !== undefined) {
+        const state = parseReadingState(data[READING_STATE_KEY]);
+        data[READING_STATE_KEY] = JSON.stringify(state);
+      }
+
+      if (data[BOOKMARKS_KEY] !== undefined) {
+        const bookmarks = parseRecords(data[BOOKMARKS_KEY]).map(bookmark => Object.assign({
+          bookName: bookmark.bookId,
+          verse: null,
+          endVerse: null,
+          folder: null,
+          tags: [],
+          label: '',
+          updatedAt: bookmark.createdAt
+        }, bookmark));
+        data[BOOKMARKS_KEY] = JSON.stringify(bookmarks);
+      }
+
+      return data;
+    }
+  };
+
+  /**
+   * Upgrade backup.data from an older schema version to SCHEMA_VERSION
+   * @param {Object} data - backup.data
+   * @param {number} fromVersion - backup.schemaVersion
+   * @returns {Object} Upgraded copy of data
+   */
+  function migrateBackupData(data, fromVersion) {
+    let migrated = Object.assign({}, data);
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+      migrated = BACKUP_MIGRATIONS[version](migrated);
+    }
+    return migrated;
+  }
+
+  // ========================================
+  // Reading & writing backup files
+  // ========================================
+
+  /**
+   * Build a backup file object for the current schema
+   * @param {Object} data - { key: jsonString }
+   * @returns {Object} { appId, schemaVersion, exportedAt, data }
+   */
+  function createBackup(data) {
+    return {
+      appId: APP_ID,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      data: data
+    };
+  }
+
+  /**
+   * Build the Error thrown by readBackup()
+   * @param {string} summary - First line of the message
+   * @param {Array<string>} [problems] - Specific problems, listed below it
+   * @returns {Error} With .problems set
+   */
+  function backupError(summary, problems) {
+    problems = problems || [];
+    let message = summary;
+    if (problems.length) {
+      message += '\n\n' + problems.slice(0, MAX_LISTED_ERRORS).map(problem => '• ' + problem).join('\n');
+      if (problems.length > MAX_LISTED_ERRORS) {
+        message += `\n…and ${problems.length - MAX_LISTED_ERRORS} more`;
+      }
+    }
+    const error = new Error(message);
+    error.problems = problems;
+    return error;
+  }
+
+  /**
+   * Parse, upgrade and validate a backup file.
+   * Throws an Error with a user-facing message when the file can't be restored.
+   * @param {string|Object} content - File text, or an already parsed object
+   * @returns {Object} Backup with data upgraded to SCHEMA_VERSION
+   */
+  function readBackup(content) {
+    let backup = content;
+    if (typeof content === 'string') {
+      try {
+        backup = JSON.parse(content);
+      } catch (e) {
+        throw backupError('This file is not a Bible Reader backup (it is not valid JSON).');
+      }
+    }
+
+    if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+      throw backupError('This file is not a Bible Reader backup.');
+    }
+    if (isEncryptedBackup(backup)) {
+      throw backupError('This backup is encrypted. Enter its passphrase to restore it.');
+    }
+    if (backup.appId !== APP_ID) {
+      throw backupError(backup.appId
+        ? `This backup belongs to a different app ("${backup.appId}").`
+        : 'This file is not a Bible Reader backup (it has no appId).');
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+      throw backupError('This backup has no valid schemaVersion, so it can\'t be read safely.');
+    }
+    if (backup.schemaVersion > SCHEMA_VERSION) {
+      throw backupError(`This backup was made by a newer version of Bible Reader (backup format ${backup.schemaVersion}, this app reads up to ${SCHEMA_VERSION}). Update the app, then restore again.`);
+    }
+    if (!backup.data || typeof backup.data !== 'object' || Array.isArray(backup.data)) {
+      throw backupError('This backup has no data section.');
+    }
+
+    // Values must be strings before migrations parse them
+    const stringErrors = Object.keys(backup.data)
+      .filter(key => typeof backup.data[key] !== 'string')
+      .map(key => `${key} should be stored as text`);
+    if (stringErrors.length) {
+      throw backupError('This backup is damaged and was not restored:', stringErrors);
+    }
+
+    const data = migrateBackupData(backup.data, backup.schemaVersion);
+    const problems = validateBackupData(data);
+    if (problems.length) {
+      throw backupError('This backup is damaged and was not restored:', problems);
+    }
+
+    return Object.assign({}, backup, { schemaVersion: SCHEMA_VERSION, data: data });
+  }
+
+  // ========================================
+  // Encryption
+  // ========================================
+
+  /**
+   * Base64 of bytes (chunked so large payloads don't overflow the call stack)
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Bytes of a base64 string
+   * @param {string} text
+   * @returns {Uint8Array}
+   */
+  function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Derive the AES-GCM key for a passphrase
+   * @param {string} passphrase
+   * @param {Uint8Array} salt
+   * @param {number} iterations
+   * @returns {Promise<CryptoKey>}
+   */
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Check whether a file (text or parsed) is an encrypted backup
+   * @param {string|Object} content
+   * @returns {boolean}
+   */
+  function isEncryptedBackup(content) {
+    let file = content;
+    if (typeof content === 'string') {
+      try {
+        file = JSON.parse(content);
+      } catch (e) {
+        return false;
+      }
+    }
+    return !!(file && file.appId === APP_ID && file.encrypted === true && file.encryption && typeof file.payload === 'string');
+  }
+
+  /**
+   * Encrypt a backup file object with a passphrase
+   * @param {Object} backup - From createBackup()
+   * @param {string} passphrase
+   * @returns {Promise<Object>} Encrypted file object (JSON-serializable)
+   */
+  async function encryptBackup(backup, passphrase) {
+    if (!passphrase) {
+      throw new Error('Enter a passphrase to encrypt the backup.');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(backup))
+    );
+
+    return {
+      appId: APP_ID,
+      encrypted: true,
+      exportedAt: backup.exportedAt,
+      encryption: {
+        kdf: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: PBKDF2_ITERATIONS,
+        salt: toBase64(salt),
+        cipher: 'AES-GCM',
+        iv: toBase64(iv)
+      },
+      payload: toBase64(new Uint8Array(ciphertext))
+    };
+  }
+
+  /**
+   * Decrypt an encrypted backup.
+   * Throws an Error with a user-facing message for a wrong passphrase or damaged file.
+   * @param {string|Object} content - Encrypted file text or parsed object
+   * @param {string} passphrase
+   * @returns {Promise<Object>} The plain backup file object (pass to readBackup())
+   */
+  async function decryptBackup(content, passphrase) {
+    const file = typeof content === 'string' ? JSON.parse(content) : content;
+    const params = file.encryption;
+    if (!isEncryptedBackup(file) || params.kdf !== 'PBKDF2' || params.cipher !== 'AES-GCM' ||
+        params.hash !== 'SHA-256' || !Number.isInteger(params.iterations)) {
+      throw new Error('This encrypted backup uses a format this app doesn\'t support.');
+    }
+
+    let plaintext;
+    try {
+      const key = await deriveKey(passphrase, fromBase64(params.salt), params.iterations);
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(params.iv) },
+        key,
+        fromBase64(file.payload)
+      );
+    } catch (e) {
+      // AES-GCM can't tell a wrong key from a modified file
+      throw new Error('Wrong passphrase, or the backup file is damaged.');
+    }
+
+    try {
+      return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (e) {
+      throw new Error('The decrypted backup is not valid JSON.');
+    }
+  }
+
+  // ========================================
+  // Merging
+  // ========================================
+
+  /**
+   * Parse one stored value, falling back when it is missing or unreadable
+   * @param {string|undefined} raw - JSON string from backup.data
+   * @param {*} fallback
+   * @returns {*}
+   */
+  function parseValue(raw, fallback) {
+    if (typeof raw !== 'string') return fallback;
+    try {
+      const value = JSON.parse(raw);
+      return value === null || value === undefined ? fallback : value;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Read the reading state object with every collection present
+   * @param {string|undefined} raw
+   * @returns {Object} { currentPlanId, plans, readingEvents: { events }, readingRollups, meta }
+   */
+  function parseReadingState(raw) {
+    const state = parseValue(raw, {});
+    return {
+      currentPlanId: state.currentPlanId || null,
+      plans: state.plans && typeof state.plans === 'object' ? state.plans : {},
+      readingEvents: {
+        events: state.readingEvents && Array.isArray(state.readingEvents.events) ? state.readingEvents.events : []
+      },
+      readingRollups: Array.isArray(state.readingRollups) ? state.readingRollups : [],
+      meta: state.meta && typeof state.meta === 'object' ? state.meta : {}
+    };
+  }
+
+  /**
+   * Parse a stored array of records (bookmarks, notes, highlights)
+   * @param {string|undefined} raw
+   * @returns {Array}
+   */
+  function parseRecords(raw) {
+    const records = parseValue(raw, []);
+    return Array.isArray(records) ? records.filter(record => record && typeof record === 'object') : [];
+  }
+
+  /**
+   * Last-changed time of a record, for newest-wins comparisons
+   * @param {Object} record
+   * @returns {string} ISO timestamp ('' if unknown)
+   */
+  function changedAt(record) {
+    return record.updatedAt || record.createdAt || '';
+  }
+
+  /**
+   * Merge two record lists.
+   * @param {Array} current - This device's records
+   * @param {Array} incoming - Records from the backup
+   * @param {Object} options
+   * @param {Function} options.keyOf - record -> identity key
+   * @param {Function} options.resolve - (current, incoming) -> merged record,
+   *   or null to keep the current record unchanged
+   * @returns {Object} { records, added, updated }
+   */
+  function mergeRecords(current, incoming, options) {
+    const byKey = new Map();
+    current.forEach(record => byKey.set(options.keyOf(record), record));
+
+    let added = 0;
+    let updated = 0;
+    incoming.forEach(record => {
+      const key = options.keyOf(record);
+      if (key === undefined || key === null) return;
+
+      const existing = byKey.get(key);
+      if (!existing) {
+        byKey.set(key, record);
+        added++;
+        return;
+      }
+
+      const merged = options.resolve(existing, record);
+      if (merged && JSON.stringify(merged) !== JSON.stringify(existing)) {
+        byKey.set(key, merged);
+        updated++;
+      }
+    });
+
+    return { records: [...byKey.values()], added: added, updated: updated };
+  }
+
+  /**
+   * Newest-wins resolver on updatedAt/createdAt
+   */
+  function newestWins(existing, incoming) {
+    return changedAt(incoming) > changedAt(existing) ? incoming : null;
+  }
+
+  /**
+   * Merge reading events, summaries, plans and meta
+   * @returns {Object} { state, events, plans }
+   */
+  function mergeReadingState(currentRaw, incomingRaw) {
+    const current = parseReadingState(currentRaw);
+    const incoming = parseReadingState(incomingRaw);
+
+    const events = mergeRecords(current.readingEvents.events, incoming.readingEvents.events, {
+      keyOf: event => event.id,
+      resolve: () => null
+    });
+
+    const rollups = mergeRecords(current.readingRollups, incoming.readingRollups, {
+      keyOf: rollup => rollup.id,
+      resolve: (existing, other) => Object.assign({}, existing, {
+        chapters: [...new Set((existing.chapters || []).concat(other.chapters || []))].sort((a, b) => a - b),
+        versions: [...new Set((existing.versions || []).concat(other.versions || []))],
+        count: Math.max(existing.count || 0, other.count || 0)
+      })
+    });
+
+    const progressAt = plan => (plan.progress && plan.progress.lastUpdatedAt) || plan.updatedAt || plan.createdAt || '';
+    const plans = mergeRecords(Object.values(current.plans), Object.values(incoming.plans), {
+      keyOf: plan => plan.id,
+      resolve: (existing, other) => progressAt(other) > progressAt(existing) ? other : null
+    });
+
+    const mergedPlans = {};
+    plans.records.forEach(plan => { mergedPlans[plan.id] = plan; });
+
+    return {
+      state: {
+        currentPlanId: current.currentPlanId || incoming.currentPlanId,
+        plans: mergedPlans,
+        readingEvents: {
+          events: events.records.sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''))
+        },
+        readingRollups: rollups.records,
+        meta: Object.assign({}, incoming.meta, current.meta)
+      },
+      events: events,
+      plans: plans
+    };
+  }
+
+  /**
+   * Identity of a bookmark: its reference, so the same verses bookmarked on two
+   * devices (with different ids) become one bookmark
+   */
+  function bookmarkKey(bookmark) {
+    return [bookmark.bookId, bookmark.chapter, bookmark.verse || '', bookmark.endVerse || ''].join('|');
+  }
+
+  /**
+   * Merge a backup's data into this device's data.
+   * @param {Object} currentData - { key: jsonString } for this device (same shape as backup.data)
+   * @param {Object} incomingData - backup.data
+   * @returns {Object} { data, changes } - data is the merged { key: jsonString };
+   *   changes is [{ label, added, updated }] for the preview
+   */
+  function mergeBackupData(currentData, incomingData) {
+    const data = Object.assign({}, currentData);
+    const changes = [];
+
+    const reading = mergeReadingState(currentData[READING_STATE_KEY], incomingData[READING_STATE_KEY]);
+    data[READING_STATE_KEY] = JSON.stringify(reading.state);
+    changes.push({ label: 'Reading history', added: reading.events.added, updated: reading.events.updated });
+    changes.push({ label: 'Reading plans', added: reading.plans.added, updated: reading.plans.updated });
+
+    const bookmarks = mergeRecords(parseRecords(currentData[BOOKMARKS_KEY]), parseRecords(incomingData[BOOKMARKS_KEY]), {
+      keyOf: bookmarkKey,
+      resolve: (existing, other) => {
+        const newer = changedAt(other) > changedAt(existing) ? other : existing;
+        const tags = [...new Set((existing.tags || []).concat(other.tags || []))];
+        return Object.assign({}, newer, { id: existing.id, tags: tags });
+      }
+    });
+    data[BOOKMARKS_KEY] = JSON.stringify(bookmarks.records);
+    changes.push({ label: 'Bookmarks', added: bookmarks.added, updated: bookmarks.updated });
+
+    const notes = mergeRecords(parseRecords(currentData[NOTES_KEY]), parseRecords(incomingData[NOTES_KEY]), {
+      keyOf: note => note.id,
+      resolve: newestWins
+    });
+    data[NOTES_KEY] = JSON.stringify(notes.records);
+    changes.push({ label: 'Notes', added: notes.added, updated: notes.updated });
+
+    const highlights = mergeRecords(parseRecords(currentData[HIGHLIGHTS_KEY]), parseRecords(incomingData[HIGHLIGHTS_KEY]), {
+      keyOf: highlight => highlight.id,
+      resolve: newestWins
+    });
+    data[HIGHLIGHTS_KEY] = JSON.stringify(highlights.records);
+    changes.push({ label: 'Highlights', added: highlights.added, updated: highlights.updated });
+
+    // Preferences: keep this device's, add the ones it doesn't have
+    const recordKeys = [READING_STATE_KEY, BOOKMARKS_KEY, NOTES_KEY, HIGHLIGHTS_KEY];
+    let preferencesAdded = 0;
+    Object.keys(incomingData).forEach(key => {
+      if (recordKeys.includes(key) || key in currentData) return;
+      data[key] = incomingData[key];
+      preferencesAdded++;
+    });
+    changes.push({ label: 'Preferences', added: preferencesAdded, updated: 0 });
+
+    return { data: data, changes: changes };
+  }
+
+  // Expose a global API under BibleBackup
+  root.BibleBackup = {
+    APP_ID: APP_ID,
+    SCHEMA_VERSION: SCHEMA_VERSION,
+    createBackup: createBackup,
+    readBackup: readBackup,
+    isEncryptedBackup: isEncryptedBackup,
+    encryptBackup: encryptBackup,
+    decryptBackup: decryptBackup,
+    validateBackupData: validateBackupData,
+    migrateBackupData: migrateBackupData,
+    mergeBackupData: mergeBackupData
+  };
+})(typeof self !== 'undefined' ? self : this);
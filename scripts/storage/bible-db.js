@@ -0,0 +1,622 @@
+// scripts/storage/bible-db.js
+// IndexedDB storage for Bible Reader user data (reading events, plans, bookmarks, notes, highlights)
+// Exposes BibleDB (promise-based record stores) on window, and on self in the
+// service worker (used by background sync; no localStorage there)
+//
+// Schema changes go in SCHEMA_MIGRATIONS (one function per DB_VERSION step).
+// Data that older versions kept in localStorage (LEGACY_KEYS) is imported whenever
+// one of those keys is present - on first run, and after a backup restore writes
+// them back - then the key is removed. Preferences stay in localStorage.
+//
+// If IndexedDB can't be opened (very old browsers, some embedded webviews) the same
+// API runs on the legacy localStorage keys instead.
+//
+// Meta keys starting with LOCAL_META_PREFIX (sync settings and state) belong to
+// this device: they are left out of exports and survive clearAll().
+
+(function (root) {
+  'use strict';
+
+  const DB_NAME = 'bibleReader';
+  const DB_VERSION = 2;
+
+  // Record stores and their key paths
+  const STORES = {
+    readingEvents: 'id',
+    readingRollups: 'id',
+    plans: 'id',
+    bookmarks: 'id',
+    notes: 'id',
+    highlights: 'id',
+    meta: 'key'
+  };
+
+  /**
+   * Schema migrations: SCHEMA_MIGRATIONS[n] upgrades a database at version n to n + 1.
+   * Never edit a shipped step; append a new one and bump DB_VERSION.
+   */
+  const SCHEMA_MIGRATIONS = [
+    // 0 -> 1: initial stores
+    function (db) {
+      const events = db.createObjectStore('readingEvents', { keyPath: 'id' });
+      events.createIndex('completedAt', 'completedAt');
+      db.createObjectStore('plans', { keyPath: 'id' });
+      db.createObjectStore('bookmarks', { keyPath: 'id' });
+      db.createObjectStore('notes', { keyPath: 'id' });
+      db.createObjectStore('highlights', { keyPath: 'id' });
+      db.createObjectStore('meta', { keyPath: 'key' });
+    },
+    // 1 -> 2: daily per-book summaries of compacted reading events
+    function (db) {
+      const rollups = db.createObjectStore('readingRollups', { keyPath: 'id' });
+      rollups.createIndex('date', 'date');
+    }
+  ];
+
+  // localStorage keys written by earlier versions (and by backups)
+  const READING_STATE_KEY = 'bibleReader.readingState.v1';
+  const LEGACY_KEYS = {
+    bookmarks: 'bibleReader.bookmarks',
+    notes: 'bibleReader.notes',
+    highlights: 'bibleReader.highlights'
+  };
+  // Stores kept together in the reading state object
+  const READING_STATE_STORES = ['readingEvents', 'readingRollups', 'plans', 'meta'];
+
+  const LOCAL_META_PREFIX = 'local:';
+
+  // Service workers have IndexedDB but no localStorage
+  const hasLocalStorage = typeof localStorage !== 'undefined';
+
+  let dbPromise = null;
+  let usingFallback = false;
+
+  // ========================================
+  // Legacy localStorage format
+  // ========================================
+
+  /**
+   * Read a legacy key from localStorage
+   * @param {string} key
+   * @returns {string|null}
+   */
+  function readLocalStorage(key) {
+    return hasLocalStorage ? localStorage.getItem(key) : null;
+  }
+
+  /**
+   * Read the reading state object ({ currentPlanId, plans, readingEvents, readingRollups, meta })
+   * @param {Function} [getItem] - Reads a legacy key (defaults to localStorage)
+   * @returns {Object|null} Parsed state, or null if absent/invalid
+   */
+  function readLegacyReadingState(getItem = readLocalStorage) {
+    try {
+      const raw = getItem(READING_STATE_KEY);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch (e) {
+      console.warn('[BibleDB] Ignoring unreadable reading state:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Records of one store as kept in localStorage
+   * @param {string} storeName - Key of STORES
+   * @param {Function} [getItem] - Reads a legacy key (defaults to localStorage)
+   * @returns {Array|null} Records, or null if the key is absent
+   */
+  function readLegacyStore(storeName, getItem = readLocalStorage) {
+    if (READING_STATE_STORES.includes(storeName)) {
+      const state = readLegacyReadingState(getItem);
+      if (!state) return null;
+
+      if (storeName === 'readingEvents') {
+        return state.readingEvents && Array.isArray(state.readingEvents.events) ? state.readingEvents.events : [];
+      }
+      if (storeName === 'readingRollups') {
+        return Array.isArray(state.readingRollups) ? state.readingRollups : [];
+      }
+      if (storeName === 'plans') {
+        return state.plans && typeof state.plans === 'object' ? Object.values(state.plans) : [];
+      }
+      const meta = Object.keys(state.meta || {}).map(key => ({ key: key, value: state.meta[key] }));
+      meta.push({ key: 'currentPlanId', value: state.currentPlanId || null });
+      return meta;
+    }
+
+    try {
+      const raw = getItem(LEGACY_KEYS[storeName]);
+      if (raw === null) return null;
+      const records = JSON.parse(raw);
+      return Array.isArray(records) ? records : [];
+    } catch (e) {
+      console.warn('[BibleDB] Ignoring unreadable', LEGACY_KEYS[storeName], e);
+      return [];
+    }
+  }
+
+  /**
+   * Legacy JSON for a set of stores, keyed like localStorage
+   * (used for backups, and as the fallback backend's storage)
+   * @param {Object} records - { storeName: Array }
+   * @returns {Object} { localStorageKey: jsonString }
+   */
+  function toLegacyData(records) {
+    const data = {};
+
+    Object.keys(LEGACY_KEYS).forEach(storeName => {
+      if (records[storeName]) {
+        data[LEGACY_KEYS[storeName]] = JSON.stringify(records[storeName]);
+      }
+    });
+
+    if (READING_STATE_STORES.some(storeName => records[storeName])) {
+      const state = readLegacyReadingState() || {};
+      const events = records.readingEvents || (state.readingEvents && state.readingEvents.events) || [];
+      const rollups = records.readingRollups || state.readingRollups || [];
+      const plans = records.plans ? {} : (state.plans || {});
+      (records.plans || []).forEach(plan => { plans[plan.id] = plan; });
+
+      let currentPlanId = state.currentPlanId || null;
+      let meta = state.meta || {};
+      if (records.meta) {
+        meta = {};
+        currentPlanId = null;
+        records.meta.forEach(record => {
+          if (record.key === 'currentPlanId') {
+            currentPlanId = record.value;
+          } else {
+            meta[record.key] = record.value;
+          }
+        });
+      }
+
+      data[READING_STATE_KEY] = JSON.stringify({
+        currentPlanId: currentPlanId,
+        plans: plans,
+        readingEvents: { events: events.slice().sort(newestFirst) },
+        readingRollups: rollups,
+        meta: meta
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Sort comparator for reading events (newest completedAt first)
+   */
+  function newestFirst(a, b) {
+    return (b.completedAt || '').localeCompare(a.completedAt || '');
+  }
+
+  /**
+   * Fallback backend: write one store back to its localStorage key
+   * @param {string} storeName - Key of STORES
+   * @param {Array} records - All records of the store
+   */
+  function writeLegacyStore(storeName, records) {
+    const data = toLegacyData({ [storeName]: records });
+    Object.keys(data).forEach(key => localStorage.setItem(key, data[key]));
+  }
+
+  // ========================================
+  // IndexedDB plumbing
+  // ========================================
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request
+   * @returns {Promise<*>} The request result
+   */
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolve when a transaction commits
+   * @param {IDBTransaction} tx
+   * @returns {Promise<void>}
+   */
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Open (and upgrade) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        for (let version = event.oldVersion; version < DB_VERSION; version++) {
+          console.log(`[BibleDB] Migrating schema v${version} -> v${version + 1}`);
+          SCHEMA_MIGRATIONS[version](db, request.transaction);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgraded the schema; let it proceed and reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('[BibleDB] Upgrade blocked by another open tab');
+    });
+  }
+
+  /**
+   * Move any legacy localStorage data into the database.
+   * Each present key replaces the contents of its stores, then is removed.
+   * Device-local meta records are kept.
+   * @param {IDBDatabase} db
+   */
+  async function importLegacyData(db) {
+    if (!hasLocalStorage) return;
+
+    const imports = {};
+    Object.keys(STORES).forEach(storeName => {
+      const records = readLegacyStore(storeName);
+      if (records) imports[storeName] = records;
+    });
+
+    const storeNames = Object.keys(imports);
+    if (storeNames.length === 0) return;
+
+    await replaceStores(db, imports);
+
+    // Only drop the old keys once the data is safely committed
+    localStorage.removeItem(READING_STATE_KEY);
+    Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+    console.log('[BibleDB] Imported from localStorage:', storeNames.map(s => `${s} (${imports[s].length})`).join(', '));
+  }
+
+  /**
+   * Replace the records of several stores in one transaction
+   * (nothing changes if any write fails)
+   * @param {IDBDatabase} db
+   * @param {Object} imports - { storeName: Array }
+   * @returns {Promise<void>}
+   */
+  function replaceStores(db, imports) {
+    const storeNames = Object.keys(imports);
+    const tx = db.transaction(storeNames, 'readwrite');
+    const done = transactionDone(tx);
+    try {
+      storeNames.forEach(storeName => {
+        const store = tx.objectStore(storeName);
+
+        // This device's own meta records survive, as in clearAll(): read them before
+        // the clear and put them back after the imported records
+        if (storeName === 'meta') {
+          const existing = store.getAll();
+          existing.onsuccess = () => {
+            existing.result.filter(isLocalMeta).forEach(record => store.put(record));
+          };
+        }
+
+        store.clear();
+        imports[storeName]
+          .filter(record => record && record[STORES[storeName]] !== undefined && record[STORES[storeName]] !== null)
+          .filter(record => storeName !== 'meta' || !isLocalMeta(record))
+          .forEach(record => store.put(record));
+      });
+    } catch (error) {
+      // A put() that throws (e.g. an invalid key) would otherwise let the
+      // clears commit
+      done.catch(() => {});
+      tx.abort();
+      throw error;
+    }
+    return done;
+  }
+
+  /**
+   * Get the database, opening it and importing legacy data on first use.
+   * Resolves to null when IndexedDB is unavailable (fallback backend in use).
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  function open() {
+    if (!dbPromise) {
+      dbPromise = (async () => {
+        if (typeof indexedDB === 'undefined') {
+          throw new Error('IndexedDB not supported');
+        }
+        const db = await openDatabase();
+        await importLegacyData(db);
+        return db;
+      })().catch(error => {
+        console.warn('[BibleDB] IndexedDB unavailable, using localStorage:', error);
+        usingFallback = true;
+        return null;
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Check the store name before use
+   * @param {string} storeName
+   */
+  function assertStore(storeName) {
+    if (!STORES[storeName]) {
+      throw new Error(`Unknown store: ${storeName}`);
+    }
+  }
+
+  // ========================================
+  // Public API
+  // ========================================
+
+  /**
+   * Read records from a store
+   * @param {string} storeName - Key of STORES
+   * @param {Object} [options]
+   * @param {string} [options.index] - Index to read in order of (e.g. 'completedAt')
+   * @param {string} [options.direction='next'] - 'next' (ascending) or 'prev' (descending)
+   * @param {number} [options.limit] - Maximum number of records
+   * @returns {Promise<Array>}
+   */
+  async function getAll(storeName, options = {}) {
+    assertStore(storeName);
+    const db = await open();
+
+    if (!db) {
+      let records = (readLegacyStore(storeName) || []).slice();
+      if (options.index) {
+        records.sort((a, b) => String(a[options.index] || '').localeCompare(String(b[options.index] || '')));
+      }
+      if (options.direction === 'prev') records.reverse();
+      return options.limit ? records.slice(0, options.limit) : records;
+    }
+
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const source = options.index ? store.index(options.index) : store;
+
+    if (!options.limit && options.direction !== 'prev') {
+      return promisifyRequest(source.getAll());
+    }
+
+    // Cursor for descending order and early stop
+    return new Promise((resolve, reject) => {
+      const records = [];
+      const request = source.openCursor(null, options.direction || 'next');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && (!options.limit || records.length < options.limit)) {
+          records.push(cursor.value);
+          cursor.continue();
+        } else {
+          resolve(records);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Read one record by key
+   * @param {string} storeName - Key of STORES
+   * @param {string} key
+   * @returns {Promise<Object|undefined>}
+   */
+  async function get(storeName, key) {
+    assertStore(storeName);
+    const db = await open();
+    if (!db) {
+      return (readLegacyStore(storeName) || []).find(record => record[STORES[storeName]] === key);
+    }
+    return promisifyRequest(db.transaction(storeName, 'readonly').objectStore(storeName).get(key));
+  }
+
+  /**
+   * Insert or replace records
+   * @param {string} storeName - Key of STORES
+   * @param {Object|Array} records - One record or an array
+   * @returns {Promise<void>}
+   */
+  async function put(storeName, records) {
+    assertStore(storeName);
+    const list = Array.isArray(records) ? records : [records];
+    const db = await open();
+
+    if (!db) {
+      const keyPath = STORES[storeName];
+      const existing = readLegacyStore(storeName) || [];
+      const byKey = new Map(existing.map(record => [record[keyPath], record]));
+      list.forEach(record => byKey.set(record[keyPath], record));
+      writeLegacyStore(storeName, [...byKey.values()]);
+      return;
+    }
+
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    list.forEach(record => store.put(record));
+    return transactionDone(tx);
+  }
+
+  /**
+   * Replace every record in a store
+   * @param {string} storeName - Key of STORES
+   * @param {Array} records
+   * @returns {Promise<void>}
+   */
+  async function replaceAll(storeName, records) {
+    assertStore(storeName);
+    const db = await open();
+
+    if (!db) {
+      writeLegacyStore(storeName, records);
+      return;
+    }
+
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    store.clear();
+    records.forEach(record => store.put(record));
+    return transactionDone(tx);
+  }
+
+  /**
+   * Delete records by key
+   * @param {string} storeName - Key of STORES
+   * @param {string|Array<string>} keys
+   * @returns {Promise<void>}
+   */
+  async function remove(storeName, keys) {
+    assertStore(storeName);
+    const list = Array.isArray(keys) ? keys : [keys];
+    const db = await open();
+
+    if (!db) {
+      const keyPath = STORES[storeName];
+      writeLegacyStore(storeName, (readLegacyStore(storeName) || []).filter(record => !list.includes(record[keyPath])));
+      return;
+    }
+
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    list.forEach(key => store.delete(key));
+    return transactionDone(tx);
+  }
+
+  /**
+   * Delete every record in a store
+   * @param {string} storeName - Key of STORES
+   * @returns {Promise<void>}
+   */
+  function clear(storeName) {
+    return replaceAll(storeName, []);
+  }
+
+  /**
+   * Whether a meta record belongs to this device only
+   * @param {Object} record - Meta record
+   * @returns {boolean}
+   */
+  function isLocalMeta(record) {
+    return typeof record.key === 'string' && record.key.startsWith(LOCAL_META_PREFIX);
+  }
+
+  /**
+   * Delete every record in every store (used before restoring a backup).
+   * Device-local meta records are kept.
+   * @returns {Promise<void>}
+   */
+  async function clearAll() {
+    const localMeta = (await getAll('meta')).filter(isLocalMeta);
+    const db = await open();
+    if (!db) {
+      localStorage.removeItem(READING_STATE_KEY);
+      Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+      if (localMeta.length) writeLegacyStore('meta', localMeta);
+      return;
+    }
+
+    const storeNames = Object.keys(STORES);
+    const tx = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(storeName => tx.objectStore(storeName).clear());
+    localMeta.forEach(record => tx.objectStore('meta').put(record));
+    return transactionDone(tx);
+  }
+
+  /**
+   * Read a value from the meta store
+   * @param {string} key
+   * @param {*} [defaultValue=null]
+   * @returns {Promise<*>}
+   */
+  async function getMeta(key, defaultValue = null) {
+    const record = await get('meta', key);
+    return record && record.value !== undefined ? record.value : defaultValue;
+  }
+
+  /**
+   * Write a value to the meta store
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<void>}
+   */
+  function setMeta(key, value) {
+    return put('meta', { key: key, value: value });
+  }
+
+  /**
+   * Every store in the legacy localStorage format, for backups.
+   * restoreLegacyData() writes them back.
+   * @returns {Promise<Object>} { localStorageKey: jsonString }
+   */
+  async function exportLegacyData() {
+    const records = {};
+    for (const storeName of Object.keys(STORES)) {
+      records[storeName] = await getAll(storeName);
+    }
+    records.meta = records.meta.filter(record => !isLocalMeta(record));
+    return toLegacyData(records);
+  }
+
+  /**
+   * Replace every store with the records of a backup, in one transaction so a
+   * failure leaves the current data alone. Stores missing from the backup end up
+   * empty; this device's local meta records are kept.
+   * @param {Object} data - { localStorageKey: jsonString }, as from exportLegacyData()
+   * @returns {Promise<void>}
+   */
+  async function restoreLegacyData(data) {
+    const getItem = key => (Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null);
+    const imports = {};
+    Object.keys(STORES).forEach(storeName => {
+      imports[storeName] = readLegacyStore(storeName, getItem) || [];
+    });
+
+    const db = await open();
+    if (!db) {
+      const localMeta = (readLegacyStore('meta') || []).filter(isLocalMeta);
+      imports.meta = imports.meta.filter(record => !isLocalMeta(record)).concat(localMeta);
+      const legacy = toLegacyData(imports);
+      Object.keys(legacy).forEach(key => localStorage.setItem(key, legacy[key]));
+      return;
+    }
+
+    await replaceStores(db, imports);
+  }
+
+  // Expose a global API (window.BibleDB in the page, self.BibleDB in the service worker)
+  root.BibleDB = {
+    DB_NAME: DB_NAME,
+    DB_VERSION: DB_VERSION,
+    STORES: Object.keys(STORES),
+    LEGACY_KEYS: Object.values(LEGACY_KEYS).concat(READING_STATE_KEY),
+    LOCAL_META_PREFIX: LOCAL_META_PREFIX,
+
+    open: open,
+    isFallback: () => usingFallback,
+
+    getAll: getAll,
+    get: get,
+    put: put,
+    replaceAll: replaceAll,
+    remove: remove,
+    clear: clear,
+    clearAll: clearAll,
+    restoreLegacyData: restoreLegacyData,
+    getMeta: getMeta,
+    setMeta: setMeta,
+
+    exportLegacyData: exportLegacyData
+  };
+})(typeof self !== 'undefined' ? self : this);
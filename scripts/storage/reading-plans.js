@@ -1,32 +1,55 @@
 // scripts/storage/reading-plans.js
-// Reading plan & history storage for Bible Reader (local-only, v1)
+// Reading plan & history storage for Bible Reader (local-only)
 // Exposes window.BibleReading API for managing reading plans and events
+//
+// Data lives in IndexedDB via window.BibleDB (storage/bible-db.js), so every
+// method returns a Promise. BUILTIN_PLANS stay in code and are merged by getPlans().
 
 (function () {
   'use strict';
 
-  const READING_STATE_KEY = 'bibleReader.readingState.v1';
+  // A repeat visit to the same chapter within this window updates the earlier
+  // event instead of adding another (flipping back and forth, reloads)
+  const DEDUPE_WINDOW_MS = 30 * 60 * 1000;
 
   /**
-   * Built-in reading plan templates (placeholders for now).
-   * These are static plans that will be selectable in a future update.
+   * Default retention policy for reading history (stored as meta 'retentionPolicy').
+   * - detailDays: keep individual events this many days, then roll them up (null = forever)
+   * - maxEvents: also roll up the oldest events beyond this count
+   * - rollupDays: keep daily per-book summaries this many days (null = forever)
+   */
+  const DEFAULT_RETENTION_POLICY = {
+    detailDays: 90,
+    maxEvents: 5000,
+    rollupDays: null
+  };
+
+  // compactIfDue() runs at most this often
+  const COMPACT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Built-in reading plan templates.
+   * `schedule` is a BiblePlans schedule spec (scripts/plans/plan-engine.js); starting
+   * a plan stores it under the same id with the day-by-day readings in config.days,
+   * and getPlans() lays the stored plan over its template. `{ order }` tracks name a
+   * reading order dataset in data/plans/ (the chronological plans).
    */
   const BUILTIN_PLANS = [
     {
       id: 'nt-90-days',
       name: 'New Testament in 90 Days',
       description: 'Read the entire New Testament at a gentle pace—perfect for daily devotion.',
-      meta: '27 books • ~260 chapters • Est. 3 months',
+      meta: '27 books • 260 chapters • 90 days',
       isBuiltin: true,
-      comingSoon: true
+      schedule: { tracks: [{ testament: 'NT' }], days: 90 }
     },
     {
       id: 'psalms-30-days',
       name: 'Psalms in 30 Days',
-      description: 'Journey through the Psalms, one a day, with space for reflection.',
+      description: 'Journey through the Psalms, five a day, with space for reflection.',
       meta: '150 Psalms • 30-day plan',
       isBuiltin: true,
-      comingSoon: true
+      schedule: { tracks: [{ books: ['Psalms'] }], days: 30 }
     },
     {
       id: 'gospels-40-days',
@@ -34,15 +57,34 @@
       description: 'Follow Jesus through Matthew, Mark, Luke, and John during Lent or anytime.',
       meta: '89 chapters • Lent-friendly',
       isBuiltin: true,
-      comingSoon: true
+      schedule: { tracks: [{ books: ['Matthew', 'Mark', 'Luke', 'John'] }], days: 40 }
     },
     {
       id: 'bible-in-year',
       name: 'Whole Bible in a Year',
       description: 'Classic one-year plan mixing OT/NT/Psalms daily.',
-      meta: '1,189 chapters • Chronological mix',
+      meta: '1,189 chapters • OT, Psalms & NT each day',
       isBuiltin: true,
-      comingSoon: true
+      schedule: {
+        tracks: [{ testament: 'OT', exclude: ['Psalms'] }, { books: ['Psalms'] }, { testament: 'NT' }],
+        days: 365
+      }
+    },
+    {
+      id: 'chronological-1-year',
+      name: 'Chronological Bible in a Year',
+      description: 'Read the whole Bible in the order events happened—Job with the patriarchs, Psalms with David, the prophets in their kings\' reigns, the letters within Acts.',
+      meta: '1,189 chapters • Events in order • 365 days',
+      isBuiltin: true,
+      schedule: { tracks: [{ order: 'chronological' }], days: 365 }
+    },
+    {
+      id: 'chronological-2-years',
+      name: 'Chronological Bible in 2 Years',
+      description: 'The same chronological order at half the pace, about two chapters a day.',
+      meta: '1,189 chapters • Events in order • 730 days',
+      isBuiltin: true,
+      schedule: { tracks: [{ order: 'chronological' }], days: 730 }
     }
   ];
 
@@ -61,50 +103,40 @@
   }
 
   /**
-   * Load reading state from localStorage with validation and migration support.
-   * @returns {Object} Current reading state (or default if none/invalid)
+   * Load the whole reading state from IndexedDB (see storage/bible-db.js).
+   * Prefer the narrower calls below; this reads every event.
+   * @returns {Promise<Object>} { currentPlanId, plans, readingEvents: { events } } (events newest first)
    */
-  function loadReadingState() {
+  async function loadReadingState() {
+    const state = getDefaultReadingState();
     try {
-      const raw = localStorage.getItem(READING_STATE_KEY);
-      if (!raw) return getDefaultReadingState();
-
-      const parsed = JSON.parse(raw);
-
-      // Basic shape validation / migration hook
-      if (!parsed || typeof parsed !== 'object') {
-        return getDefaultReadingState();
-      }
-
-      // Ensure readingEvents structure
-      if (!parsed.readingEvents || !Array.isArray(parsed.readingEvents.events)) {
-        parsed.readingEvents = { events: [] };
-      }
-
-      // Ensure plans structure
-      if (!parsed.plans || typeof parsed.plans !== 'object') {
-        parsed.plans = {};
-      }
-
-      // Ensure currentPlanId exists
-      if (!('currentPlanId' in parsed)) {
-        parsed.currentPlanId = null;
-      }
-
-      return parsed;
+      const [plans, events, currentPlanId] = await Promise.all([
+        BibleDB.getAll('plans'),
+        BibleDB.getAll('readingEvents', { index: 'completedAt', direction: 'prev' }),
+        BibleDB.getMeta('currentPlanId')
+      ]);
+
+      plans.forEach(plan => { state.plans[plan.id] = plan; });
+      state.readingEvents.events = events;
+      state.currentPlanId = currentPlanId;
     } catch (e) {
-      console.warn('[BibleReading] Error loading reading state, resetting:', e);
-      return getDefaultReadingState();
+      console.warn('[BibleReading] Error loading reading state:', e);
     }
+    return state;
   }
 
   /**
-   * Save reading state to localStorage.
+   * Replace the whole reading state.
    * @param {Object} state - The reading state to save
+   * @returns {Promise<void>}
    */
-  function saveReadingState(state) {
+  async function saveReadingState(state) {
     try {
-      localStorage.setItem(READING_STATE_KEY, JSON.stringify(state));
+      await Promise.all([
+        BibleDB.replaceAll('plans', Object.values(state.plans || {})),
+        BibleDB.replaceAll('readingEvents', (state.readingEvents && state.readingEvents.events) || []),
+        BibleDB.setMeta('currentPlanId', state.currentPlanId || null)
+      ]);
     } catch (e) {
       console.error('[BibleReading] Error saving reading state:', e);
     }
@@ -112,7 +144,8 @@
 
   /**
    * Log a completed chapter reading event.
-   * Events are stored newest-first for efficient recent history access.
+   * Repeat visits to the same chapter within DEDUPE_WINDOW_MS (in any version)
+   * refresh the earlier event instead of adding a new one.
    * This does NOT change the existing "resume last chapter" logic in app.js.
    *
    * @param {Object} params - Event parameters
@@ -120,23 +153,40 @@
    * @param {string} params.bookId - Book name from books.json (e.g., "Genesis")
    * @param {number} params.chapter - 1-based chapter number
    * @param {string} [params.completedAt] - ISO timestamp (defaults to now)
-   * @returns {Object} The created event object
+   * @returns {Promise<Object>} The created (or refreshed) event object; a refreshed
+   *   one comes back with isRepeat: true (not stored)
    */
-  function logReadingEvent({ versionId, bookId, chapter, completedAt }) {
-    const state = loadReadingState();
-    const now = completedAt || new Date().toISOString();
-
-    const event = {
+  async function logReadingEvent({ versionId, bookId, chapter, completedAt }) {
+    let event = {
       id: 're_' + Date.now() + '_' + Math.random().toString(36).slice(2),
       versionId: versionId,
       bookId: bookId,
       chapter: Number(chapter),
-      completedAt: now
+      completedAt: completedAt || new Date().toISOString()
     };
 
-    // Prepend newest-first for efficient recent history access
-    state.readingEvents.events.unshift(event);
-    saveReadingState(state);
+    try {
+      const time = Date.parse(event.completedAt);
+      const recent = await getRecentReadingEvents(20);
+      const repeat = recent.find(e =>
+        e.bookId === event.bookId &&
+        e.chapter === event.chapter &&
+        Math.abs(time - Date.parse(e.completedAt)) <= DEDUPE_WINDOW_MS
+      );
+      if (repeat) {
+        event = Object.assign({}, repeat, {
+          versionId: versionId,
+          completedAt: repeat.completedAt > event.completedAt ? repeat.completedAt : event.completedAt
+        });
+      }
+
+      await BibleDB.put('readingEvents', event);
+      if (repeat) {
+        return Object.assign({}, event, { isRepeat: true });
+      }
+    } catch (e) {
+      console.error('[BibleReading] Error saving reading event:', e);
+    }
 
     return event;
   }
@@ -144,50 +194,54 @@
   /**
    * Get the N most recent reading events.
    * @param {number} [limit=20] - Maximum number of events to return
-   * @returns {Array} Array of reading event objects (newest first)
+   * @returns {Promise<Array>} Array of reading event objects (newest first)
    */
-  function getRecentReadingEvents(limit) {
+  async function getRecentReadingEvents(limit) {
     if (limit === undefined) limit = 20;
-    const state = loadReadingState();
-    return state.readingEvents.events.slice(0, limit);
+    try {
+      return await BibleDB.getAll('readingEvents', { index: 'completedAt', direction: 'prev', limit: limit });
+    } catch (e) {
+      console.warn('[BibleReading] Error loading reading events:', e);
+      return [];
+    }
   }
 
   /**
    * Get the current active plan ID.
-   * @returns {string|null} Current plan ID or null if none set
+   * @returns {Promise<string|null>} Current plan ID or null if none set
    */
   function getCurrentPlanId() {
-    const state = loadReadingState();
-    return state.currentPlanId;
+    return BibleDB.getMeta('currentPlanId');
   }
 
   /**
    * Set the current active plan ID.
    * @param {string|null} planId - Plan ID to set as current (or null to clear)
+   * @returns {Promise<void>}
    */
   function setCurrentPlanId(planId) {
-    const state = loadReadingState();
-    state.currentPlanId = planId;
-    saveReadingState(state);
+    return BibleDB.setMeta('currentPlanId', planId);
   }
 
   /**
    * Get all plans (stored + built-in templates).
-   * Stored plans take priority over built-ins with the same ID.
-   * @returns {Object} Object mapping plan IDs to plan objects
+   * A stored plan with a built-in's ID (a started built-in plan) is laid over the
+   * template, so it keeps the description, meta and isBuiltin.
+   * @returns {Promise<Object>} Object mapping plan IDs to plan objects
    */
-  function getPlans() {
-    const state = loadReadingState();
-    const storedPlans = state.plans;
-
-    // Convert builtins array to object
-    const builtinPlansObj = {};
+  async function getPlans() {
+    const plans = {};
     BUILTIN_PLANS.forEach(plan => {
-      builtinPlansObj[plan.id] = plan;
+      plans[plan.id] = plan;
     });
 
     // Merge: stored plans override builtins
-    return { ...builtinPlansObj, ...storedPlans };
+    const storedPlans = await BibleDB.getAll('plans');
+    storedPlans.forEach(plan => {
+      plans[plan.id] = Object.assign({}, plans[plan.id], plan);
+    });
+
+    return plans;
   }
 
   /**
@@ -196,30 +250,30 @@
    * @param {string} plan.id - Unique plan identifier
    * @param {string} [plan.name] - Display name for the plan
    * @param {string} [plan.type] - Plan type: "free" or "structured"
+   * @param {string} [plan.description] - Short description (custom plans)
    * @param {Object} [plan.config] - Plan-specific configuration
    * @param {Object} [plan.progress] - Plan progress data
-   * @returns {Object|undefined} The merged plan object, or undefined if invalid
+   * @returns {Promise<Object|undefined>} The merged plan object, or undefined if invalid
    */
-  function upsertPlan(plan) {
+  async function upsertPlan(plan) {
     if (!plan || !plan.id) {
       console.error('[BibleReading] upsertPlan requires a plan with an id');
       return;
     }
 
-    const state = loadReadingState();
-    const existing = state.plans[plan.id] || {};
+    const existing = (await BibleDB.get('plans', plan.id)) || {};
 
     const merged = {
       id: plan.id,
       name: plan.name || existing.name || plan.id,
       type: plan.type || existing.type || 'free',
+      description: plan.description !== undefined ? plan.description : existing.description,
       createdAt: existing.createdAt || new Date().toISOString(),
       config: plan.config !== undefined ? plan.config : existing.config,
       progress: plan.progress !== undefined ? plan.progress : existing.progress
     };
 
-    state.plans[plan.id] = merged;
-    saveReadingState(state);
+    await BibleDB.put('plans', merged);
 
     return merged;
   }
@@ -227,32 +281,183 @@
   /**
    * Delete a plan by ID.
    * @param {string} planId - Plan ID to delete
-   * @returns {boolean} True if plan was deleted, false if not found
+   * @returns {Promise<boolean>} True if plan was deleted, false if not found
    */
-  function deletePlan(planId) {
-    const state = loadReadingState();
-    if (!(planId in state.plans)) {
+  async function deletePlan(planId) {
+    const existing = await BibleDB.get('plans', planId);
+    if (!existing) {
       return false;
     }
 
-    delete state.plans[planId];
+    await BibleDB.remove('plans', planId);
 
     // Clear currentPlanId if we just deleted the active plan
-    if (state.currentPlanId === planId) {
-      state.currentPlanId = null;
+    if ((await getCurrentPlanId()) === planId) {
+      await setCurrentPlanId(null);
     }
 
-    saveReadingState(state);
     return true;
   }
 
   /**
-   * Clear all reading events (for testing/reset purposes).
+   * Clear all reading events and their daily summaries (for testing/reset purposes).
+   * @returns {Promise<void>}
+   */
+  async function clearReadingEvents() {
+    await BibleDB.clear('readingEvents');
+    await BibleDB.clear('readingRollups');
+  }
+
+  // ========================================
+  // Retention & rollups
+  // ========================================
+
+  /**
+   * Local calendar date of a timestamp ("2025-03-09"), so a day means the reader's day
+   * @param {string|number|Date} time
+   * @returns {string}
+   */
+  function localDateKey(time) {
+    const date = new Date(time);
+    return date.getFullYear() + '-' +
+      String(date.getMonth() + 1).padStart(2, '0') + '-' +
+      String(date.getDate()).padStart(2, '0');
+  }
+
+  /**
+   * Normalize a stored or user-supplied day count (null = forever)
+   */
+  function toDays(value, fallback) {
+    if (value === null) return null;
+    const days = Number(value);
+    return Number.isFinite(days) && days > 0 ? Math.round(days) : fallback;
+  }
+
+  /**
+   * Normalize a stored or user-supplied event count (null = no limit)
+   */
+  function toCount(value, fallback) {
+    if (value === null) return null;
+    const count = Number(value);
+    return Number.isInteger(count) && count > 0 ? count : fallback;
+  }
+
+  /**
+   * Get the retention policy (stored values over DEFAULT_RETENTION_POLICY).
+   * @returns {Promise<Object>} { detailDays, maxEvents, rollupDays }
+   */
+  async function getRetentionPolicy() {
+    const stored = (await BibleDB.getMeta('retentionPolicy')) || {};
+    return {
+      detailDays: toDays(stored.detailDays, DEFAULT_RETENTION_POLICY.detailDays),
+      maxEvents: toCount(stored.maxEvents, DEFAULT_RETENTION_POLICY.maxEvents),
+      rollupDays: toDays(stored.rollupDays, DEFAULT_RETENTION_POLICY.rollupDays)
+    };
+  }
+
+  /**
+   * Update the retention policy and apply it right away.
+   * @param {Object} changes - Any of { detailDays, maxEvents, rollupDays } (null = forever)
+   * @returns {Promise<Object>} The saved policy
+   */
+  async function setRetentionPolicy(changes) {
+    const policy = Object.assign(await getRetentionPolicy(), changes);
+    const saved = {
+      detailDays: toDays(policy.detailDays, DEFAULT_RETENTION_POLICY.detailDays),
+      maxEvents: toCount(policy.maxEvents, DEFAULT_RETENTION_POLICY.maxEvents),
+      rollupDays: toDays(policy.rollupDays, DEFAULT_RETENTION_POLICY.rollupDays)
+    };
+    await BibleDB.setMeta('retentionPolicy', saved);
+    await compactReadingEvents();
+    return saved;
+  }
+
+  /**
+   * Apply the retention policy: roll old events up into daily per-book summaries
+   * ({ id: 'YYYY-MM-DD:bookId', date, bookId, chapters, versions, count }) and
+   * drop summaries past rollupDays.
+   * @param {Date} [now] - Reference time (defaults to now)
+   * @returns {Promise<Object>} { rolledUp, expired } counts
    */
-  function clearReadingEvents() {
-    const state = loadReadingState();
-    state.readingEvents.events = [];
-    saveReadingState(state);
+  async function compactReadingEvents(now) {
+    now = now || new Date();
+    const policy = await getRetentionPolicy();
+    const result = { rolledUp: 0, expired: 0 };
+
+    // Events to roll up: older than detailDays, or beyond maxEvents (newest are kept)
+    const events = await BibleDB.getAll('readingEvents', { index: 'completedAt', direction: 'prev' });
+    const detailCutoff = policy.detailDays === null
+      ? null
+      : new Date(now.getTime() - policy.detailDays * 86400000).toISOString();
+    const oldEvents = events.filter((event, index) =>
+      (policy.maxEvents !== null && index >= policy.maxEvents) ||
+      (detailCutoff !== null && event.completedAt < detailCutoff)
+    );
+
+    if (oldEvents.length) {
+      const rollups = new Map();
+      for (const event of oldEvents) {
+        const date = localDateKey(event.completedAt);
+        const id = date + ':' + event.bookId;
+        if (!rollups.has(id)) {
+          rollups.set(id, (await BibleDB.get('readingRollups', id)) ||
+            { id: id, date: date, bookId: event.bookId, chapters: [], versions: [], count: 0 });
+        }
+        const rollup = rollups.get(id);
+        if (!rollup.chapters.includes(event.chapter)) rollup.chapters.push(event.chapter);
+        if (event.versionId && !rollup.versions.includes(event.versionId)) rollup.versions.push(event.versionId);
+        rollup.count++;
+      }
+      rollups.forEach(rollup => rollup.chapters.sort((a, b) => a - b));
+
+      // Summaries first: if interrupted, events are rolled up again rather than lost
+      await BibleDB.put('readingRollups', [...rollups.values()]);
+      await BibleDB.remove('readingEvents', oldEvents.map(event => event.id));
+      result.rolledUp = oldEvents.length;
+    }
+
+    if (policy.rollupDays !== null) {
+      const rollupCutoff = localDateKey(now.getTime() - policy.rollupDays * 86400000);
+      const expired = (await BibleDB.getAll('readingRollups')).filter(rollup => rollup.date < rollupCutoff);
+      if (expired.length) {
+        await BibleDB.remove('readingRollups', expired.map(rollup => rollup.id));
+        result.expired = expired.length;
+      }
+    }
+
+    await BibleDB.setMeta('lastCompactedAt', now.toISOString());
+    if (result.rolledUp || result.expired) {
+      console.log(`[BibleReading] Rolled up ${result.rolledUp} events, expired ${result.expired} summaries`);
+    }
+    return result;
+  }
+
+  /**
+   * Run compactReadingEvents() if it hasn't run in the last day (called at startup).
+   * @returns {Promise<Object|null>} Compaction result, or null if not due
+   */
+  async function compactIfDue() {
+    try {
+      const last = await BibleDB.getMeta('lastCompactedAt');
+      if (last && Date.now() - Date.parse(last) < COMPACT_INTERVAL_MS) {
+        return null;
+      }
+      return await compactReadingEvents();
+    } catch (e) {
+      console.warn('[BibleReading] Error compacting reading events:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Get daily per-book summaries of rolled-up events.
+   * @param {Object} [options]
+   * @param {string} [options.since] - Earliest local date to include ("YYYY-MM-DD")
+   * @returns {Promise<Array>} Summaries, newest date first
+   */
+  async function getReadingRollups(options = {}) {
+    const rollups = await BibleDB.getAll('readingRollups', { index: 'date', direction: 'prev' });
+    return options.since ? rollups.filter(rollup => rollup.date >= options.since) : rollups;
   }
 
   // Expose a global API under window.BibleReading
@@ -266,6 +471,13 @@
     getRecentReadingEvents: getRecentReadingEvents,
     clearReadingEvents: clearReadingEvents,
 
+    // Retention & rollups
+    getRetentionPolicy: getRetentionPolicy,
+    setRetentionPolicy: setRetentionPolicy,
+    compactReadingEvents: compactReadingEvents,
+    compactIfDue: compactIfDue,
+    getReadingRollups: getReadingRollups,
+
     // Plan management
     getCurrentPlanId: getCurrentPlanId,
     setCurrentPlanId: setCurrentPlanId,
@@ -0,0 +1,502 @@
+// scripts/storage/sync.js
+// Optional sync of Bible Reader user data to a WebDAV file or simple REST endpoint (DOM-free)
+// Exposes the BibleSync API on window, and on self in the service worker (background sync)
+//
+// The remote copy is one backup file (BibleBackup format) at the configured URL:
+//   GET  -> 200 with the file, or 404 when nothing has been synced yet
+//   PUT  -> stores the file; If-Match / If-None-Match guard against overwriting
+//           another device's upload (412 -> sync again)
+// WebDAV uses Basic auth (username/password); REST uses a Bearer token.
+//
+// syncNow() merges every IndexedDB store record by record (by id, meta by key) against
+// the last synced state, so deletions carry over:
+//   - changed on one side only: that side's copy wins
+//   - changed on both sides: the newest copy wins (daily summaries are combined)
+//   - missing on one side: deleted there if it was synced before and is unchanged
+//     on the other side, otherwise copied across
+// Preferences stay in localStorage and are not synced.
+//
+// Settings, status and the last synced state live in BibleDB meta under 'local:' keys,
+// so they stay on this device (not in backups or the remote file).
+
+(function (root) {
+  'use strict';
+
+  const SETTINGS_KEY = 'local:syncSettings';
+  const STATUS_KEY = 'local:syncStatus';
+  const BASE_KEY = 'local:syncBase';
+
+  // Tag for Background Sync registrations (sw.js retries syncNow() when back online)
+  const SYNC_TAG = 'bible-reader-sync';
+
+  // Attempts when another device uploads between our GET and PUT
+  const MAX_ATTEMPTS = 3;
+
+  const READING_STATE_KEY = 'bibleReader.readingState.v1';
+  const RECORD_KEYS = {
+    bookmarks: 'bibleReader.bookmarks',
+    notes: 'bibleReader.notes',
+    highlights: 'bibleReader.highlights'
+  };
+
+  const DEFAULT_SETTINGS = {
+    provider: 'webdav',
+    url: '',
+    username: '',
+    password: '',
+    token: '',
+    auto: true
+  };
+
+  // Only one sync at a time per page / worker
+  let running = null;
+
+  // ========================================
+  // Store rules
+  // ========================================
+
+  /**
+   * Last-changed time of a record, for newest-wins conflicts
+   * @param {Object} record
+   * @returns {string} ISO timestamp ('' if unknown)
+   */
+  function changedAt(record) {
+    return record.updatedAt || record.createdAt || '';
+  }
+
+  /**
+   * Newest copy wins; on a tie (or no timestamps) this device's copy is kept
+   */
+  function newestWins(local, remote) {
+    return changedAt(remote) > changedAt(local) ? remote : local;
+  }
+
+  /**
+   * Per-store identity and conflict rules
+   */
+  const STORE_RULES = {
+    readingEvents: {
+      keyOf: event => event.id,
+      resolve: (local, remote) => (remote.completedAt || '') > (local.completedAt || '') ? remote : local
+    },
+    readingRollups: {
+      keyOf: rollup => rollup.id,
+      resolve: (local, remote) => Object.assign({}, local, {
+        chapters: [...new Set((local.chapters || []).concat(remote.chapters || []))].sort((a, b) => a - b),
+        versions: [...new Set((local.versions || []).concat(remote.versions || []))],
+        count: Math.max(local.count || 0, remote.count || 0)
+      })
+    },
+    plans: {
+      keyOf: plan => plan.id,
+      resolve: (local, remote) => {
+        const progressAt = plan => (plan.progress && plan.progress.lastUpdatedAt) || changedAt(plan);
+        return progressAt(remote) > progressAt(local) ? remote : local;
+      }
+    },
+    bookmarks: { keyOf: bookmark => bookmark.id, resolve: newestWins },
+    notes: { keyOf: note => note.id, resolve: newestWins },
+    highlights: { keyOf: highlight => highlight.id, resolve: newestWins },
+    // Meta values have no timestamps: this device wins a conflict
+    meta: { keyOf: record => record.key, resolve: local => local }
+  };
+
+  /**
+   * Short fingerprint of a record (FNV-1a over its JSON), used to tell whether it
+   * changed since the last sync without storing full copies
+   * @param {Object} record
+   * @returns {string}
+   */
+  function fingerprint(record) {
+    const json = JSON.stringify(record);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+      hash ^= json.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36) + json.length.toString(36);
+  }
+
+  /**
+   * Fingerprints of a store's records
+   * @param {string} storeName
+   * @param {Array} records
+   * @returns {Object} { key: fingerprint }
+   */
+  function fingerprints(storeName, records) {
+    const result = {};
+    records.forEach(record => { result[STORE_RULES[storeName].keyOf(record)] = fingerprint(record); });
+    return result;
+  }
+
+  /**
+   * Three-way merge of one store.
+   * @param {string} storeName - Key of STORE_RULES
+   * @param {Array} local - This device's records
+   * @param {Array} remote - Records in the remote file
+   * @param {Object} base - { key: fingerprint } from the last sync ({} if never synced)
+   * @returns {Object} { records, localChanged, remoteChanged }
+   */
+  function mergeStore(storeName, local, remote, base) {
+    const rules = STORE_RULES[storeName];
+    const localByKey = new Map(local.map(record => [rules.keyOf(record), record]));
+    const remoteByKey = new Map(remote.map(record => [rules.keyOf(record), record]));
+    const keys = new Set([...localByKey.keys(), ...remoteByKey.keys()]);
+
+    const records = [];
+    let localChanged = false;
+    let remoteChanged = false;
+
+    keys.forEach(key => {
+      if (key === undefined || key === null) return;
+
+      const mine = localByKey.get(key);
+      const theirs = remoteByKey.get(key);
+      const synced = Object.prototype.hasOwnProperty.call(base, key) ? base[key] : null;
+
+      if (mine && theirs) {
+        const mineHash = fingerprint(mine);
+        const theirsHash = fingerprint(theirs);
+        let merged;
+        if (mineHash === theirsHash) {
+          merged = mine;
+        } else if (mineHash === synced) {
+          merged = theirs;
+        } else if (theirsHash === synced) {
+          merged = mine;
+        } else {
+          merged = rules.resolve(mine, theirs);
+        }
+        const mergedHash = fingerprint(merged);
+        if (mergedHash !== mineHash) localChanged = true;
+        if (mergedHash !== theirsHash) remoteChanged = true;
+        records.push(merged);
+      } else if (mine) {
+        if (synced !== null && fingerprint(mine) === synced) {
+          localChanged = true; // deleted on another device
+        } else {
+          remoteChanged = true;
+          records.push(mine);
+        }
+      } else {
+        if (synced !== null && fingerprint(theirs) === synced) {
+          remoteChanged = true; // deleted on this device
+        } else {
+          localChanged = true;
+          records.push(theirs);
+        }
+      }
+    });
+
+    return { records: records, localChanged: localChanged, remoteChanged: remoteChanged };
+  }
+
+  // ========================================
+  // Remote file
+  // ========================================
+
+  /**
+   * Parse one JSON value from backup data
+   * @param {string|undefined} raw
+   * @param {*} fallback
+   * @returns {*}
+   */
+  function parseValue(raw, fallback) {
+    if (typeof raw !== 'string') return fallback;
+    try {
+      const value = JSON.parse(raw);
+      return value === null || value === undefined ? fallback : value;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Store records from backup data (the inverse of BibleDB.exportLegacyData)
+   * @param {Object} data - { localStorageKey: jsonString }
+   * @returns {Object} { storeName: Array }
+   */
+  function toStoreRecords(data) {
+    const state = parseValue(data[READING_STATE_KEY], {});
+    const records = {
+      readingEvents: (state.readingEvents && state.readingEvents.events) || [],
+      readingRollups: state.readingRollups || [],
+      plans: Object.values(state.plans || {}),
+      meta: Object.keys(state.meta || {}).map(key => ({ key: key, value: state.meta[key] }))
+    };
+    // Always present (null when no plan is set), as BibleDB stores it, so an unset
+    // plan doesn't read as a deletion in the merge
+    records.meta.push({ key: 'currentPlanId', value: state.currentPlanId || null });
+    Object.keys(RECORD_KEYS).forEach(storeName => {
+      const list = parseValue(data[RECORD_KEYS[storeName]], []);
+      records[storeName] = Array.isArray(list) ? list : [];
+    });
+    return records;
+  }
+
+  /**
+   * Request headers for the configured provider
+   * @param {Object} settings
+   * @returns {Object}
+   */
+  function authHeaders(settings) {
+    if (settings.provider === 'webdav' && settings.username) {
+      const credentials = unescape(encodeURIComponent(`${settings.username}:${settings.password || ''}`));
+      return { Authorization: `Basic ${btoa(credentials)}` };
+    }
+    if (settings.provider === 'rest' && settings.token) {
+      return { Authorization: `Bearer ${settings.token}` };
+    }
+    return {};
+  }
+
+  /**
+   * Error for a failed request. offline is true when the server couldn't be
+   * reached at all (worth retrying via background sync).
+   */
+  function syncError(message, offline) {
+    const error = new Error(message);
+    error.offline = Boolean(offline);
+    return error;
+  }
+
+  /**
+   * fetch() that turns network failures into offline sync errors
+   */
+  async function request(url, options) {
+    try {
+      // no-store: sw.js passes these straight to the network, and nothing is cached
+      return await fetch(url, Object.assign({ cache: 'no-store' }, options));
+    } catch (e) {
+      throw syncError('Could not reach the sync server.', true);
+    }
+  }
+
+  /**
+   * Download the remote file
+   * @param {Object} settings
+   * @returns {Promise<Object>} { data, etag } - data is null when nothing is stored yet
+   */
+  async function fetchRemote(settings) {
+    const response = await request(settings.url, { method: 'GET', headers: authHeaders(settings) });
+    if (response.status === 404) {
+      return { data: null, etag: null };
+    }
+    if (response.status === 401 || response.status === 403) {
+      throw syncError('The sync server refused the credentials.');
+    }
+    if (!response.ok) {
+      throw syncError(`The sync server answered ${response.status}.`);
+    }
+
+    const backup = root.BibleBackup.readBackup(await response.text());
+    return { data: backup.data, etag: response.headers.get('ETag') };
+  }
+
+  /**
+   * Upload the merged file
+   * @param {Object} settings
+   * @param {Object} data - { localStorageKey: jsonString }
+   * @param {string|null} etag - ETag from fetchRemote, null if the file didn't exist
+   * @param {boolean} existed - Whether the file existed
+   * @returns {Promise<boolean>} false if someone else uploaded first (412)
+   */
+  async function pushRemote(settings, data, etag, existed) {
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, authHeaders(settings));
+    if (etag) {
+      headers['If-Match'] = etag;
+    } else if (!existed) {
+      headers['If-None-Match'] = '*';
+    }
+
+    const response = await request(settings.url, {
+      method: 'PUT',
+      headers: headers,
+      body: JSON.stringify(root.BibleBackup.createBackup(data), null, 2)
+    });
+    if (response.status === 412) return false;
+    if (response.status === 401 || response.status === 403) {
+      throw syncError('The sync server refused the credentials.');
+    }
+    if (!response.ok) {
+      throw syncError(`The sync server answered ${response.status} to the upload.`);
+    }
+    return true;
+  }
+
+  // ========================================
+  // Settings & status
+  // ========================================
+
+  /**
+   * Current sync settings (defaults when sync was never set up)
+   * @returns {Promise<Object>} { provider, url, username, password, token, auto }
+   */
+  async function getSettings() {
+    const stored = await root.BibleDB.getMeta(SETTINGS_KEY, null);
+    return Object.assign({}, DEFAULT_SETTINGS, stored || {});
+  }
+
+  /**
+   * Save sync settings. Changing the URL forgets the last synced state.
+   * @param {Object} changes - Any of the settings fields
+   * @returns {Promise<Object>} The saved settings
+   */
+  async function setSettings(changes) {
+    const current = await getSettings();
+    const settings = Object.assign({}, current, changes);
+    settings.url = String(settings.url || '').trim();
+    if (settings.provider !== 'rest') settings.provider = 'webdav';
+
+    if (settings.url && !/^https?:\/\//i.test(settings.url)) {
+      throw new Error('The sync URL must start with https:// (or http:// for a local server).');
+    }
+
+    if (settings.url !== current.url) {
+      await root.BibleDB.setMeta(BASE_KEY, null);
+      await root.BibleDB.setMeta(STATUS_KEY, null);
+    }
+    await root.BibleDB.setMeta(SETTINGS_KEY, settings);
+    return settings;
+  }
+
+  /**
+   * Whether sync has a URL to sync with
+   * @returns {Promise<boolean>}
+   */
+  async function isEnabled() {
+    return Boolean((await getSettings()).url);
+  }
+
+  /**
+   * Turn sync off: forget the settings and the last synced state
+   * (data on this device and on the server is left as it is)
+   * @returns {Promise<void>}
+   */
+  async function disable() {
+    await root.BibleDB.setMeta(SETTINGS_KEY, null);
+    await root.BibleDB.setMeta(BASE_KEY, null);
+    await root.BibleDB.setMeta(STATUS_KEY, null);
+  }
+
+  /**
+   * Result of the last sync attempt
+   * @returns {Promise<Object|null>} { lastAttemptAt, lastSyncAt, ok, error, pending }
+   */
+  function getStatus() {
+    return root.BibleDB.getMeta(STATUS_KEY, null);
+  }
+
+  /**
+   * Record the outcome of a sync attempt
+   */
+  async function saveStatus(changes) {
+    const status = Object.assign({}, await getStatus(), changes, { lastAttemptAt: new Date().toISOString() });
+    await root.BibleDB.setMeta(STATUS_KEY, status);
+    return status;
+  }
+
+  // ========================================
+  // Sync
+  // ========================================
+
+  /**
+   * Pull, merge and push once
+   * @param {Object} settings
+   * @returns {Promise<Object|null>} { changedStores, pushed }, or null after a 412
+   */
+  async function syncOnce(settings) {
+    const remote = await fetchRemote(settings);
+    const remoteRecords = remote.data ? toStoreRecords(remote.data) : {};
+    const base = (await root.BibleDB.getMeta(BASE_KEY, null)) || {};
+    const baseStores = base.url === settings.url ? base.stores || {} : {};
+
+    const changedStores = [];
+    let remoteChanged = !remote.data;
+    const merged = {};
+
+    for (const storeName of Object.keys(STORE_RULES)) {
+      let local = await root.BibleDB.getAll(storeName);
+      let localOnly = [];
+      if (storeName === 'meta') {
+        localOnly = local.filter(record => record.key.startsWith(root.BibleDB.LOCAL_META_PREFIX));
+        local = local.filter(record => !record.key.startsWith(root.BibleDB.LOCAL_META_PREFIX));
+        // Same shape as the uploaded file, which always has currentPlanId
+        if (!local.some(record => record.key === 'currentPlanId')) {
+          local.push({ key: 'currentPlanId', value: null });
+        }
+      }
+
+      const result = mergeStore(storeName, local, remoteRecords[storeName] || [], baseStores[storeName] || {});
+      merged[storeName] = result.records;
+      if (result.remoteChanged) remoteChanged = true;
+      if (result.localChanged) {
+        changedStores.push(storeName);
+        await root.BibleDB.replaceAll(storeName, result.records.concat(localOnly));
+      }
+    }
+
+    if (remoteChanged) {
+      const data = await root.BibleDB.exportLegacyData();
+      // Never upload a file the other devices would reject
+      const problems = root.BibleBackup.validateBackupData(data);
+      if (problems.length) {
+        throw syncError(`This device's data can't be synced: ${problems[0]}`);
+      }
+      const pushed = await pushRemote(settings, data, remote.etag, Boolean(remote.data));
+      if (!pushed) return null;
+    }
+
+    const stores = {};
+    Object.keys(merged).forEach(storeName => { stores[storeName] = fingerprints(storeName, merged[storeName]); });
+    await root.BibleDB.setMeta(BASE_KEY, { url: settings.url, stores: stores });
+
+    return { changedStores: changedStores, pushed: remoteChanged };
+  }
+
+  /**
+   * Sync now (no-op when sync isn't set up). Concurrent calls share one run.
+   * @returns {Promise<Object|null>} { changedStores, pushed }, or null when sync is off.
+   *   Rejects with an Error (error.offline when the server was unreachable).
+   */
+  function syncNow() {
+    if (!running) {
+      running = (async () => {
+        const settings = await getSettings();
+        if (!settings.url) return null;
+
+        try {
+          for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            const result = await syncOnce(settings);
+            if (result) {
+              await saveStatus({ ok: true, error: null, pending: false, lastSyncAt: new Date().toISOString() });
+              console.log('[BibleSync] Synced; updated here:', result.changedStores.join(', ') || 'nothing',
+                '| uploaded:', result.pushed);
+              return result;
+            }
+            console.log('[BibleSync] Remote changed during sync, retrying');
+          }
+          throw syncError('Another device kept changing the synced data; try again shortly.');
+        } catch (error) {
+          await saveStatus({ ok: false, error: error.message, pending: Boolean(error.offline) });
+          throw error;
+        }
+      })().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  // Expose a global API under BibleSync
+  root.BibleSync = {
+    SYNC_TAG: SYNC_TAG,
+    getSettings: getSettings,
+    setSettings: setSettings,
+    isEnabled: isEnabled,
+    disable: disable,
+    getStatus: getStatus,
+    syncNow: syncNow,
+    mergeStore: mergeStore
+  };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Search Index Builder
+ *
+ * Builds the prebuilt inverted search index for each Bible version so the
+ * whole-Bible search only has to open the chapters that can match.
+ *
+ * Versions are read from scripts/config/versions.js; one index is written per
+ * unique dataPath (e.g. data/search-index.json, data/kjv/search-index.json).
+ * The tokenizer and index layout come from scripts/search/bible-search.js so
+ * the app and the builder always agree.
+ *
+ * Index JSON Schema:
+ * - { "format": 2, "language": "en", "books": ["Genesis", ...], "terms": { "love": "1k,3,..." } }
+ * - Terms are normalized for the version's language (points/accents folded;
+ *   character bigrams for Chinese and Japanese).
+ * - Postings are chapter refs ((bookIndex << 8) | chapter), sorted and stored
+ *   as comma-separated base-36 deltas.
+ *
+ * Usage:
+ *   node scripts/tools/build-search-index.mjs              # all versions
+ *   node scripts/tools/build-search-index.mjs \
+ *     --version-id en-kjv                                  # one version
+ *
+ * The indexes are not committed: the deploy workflow (.github/workflows/deploy.yml)
+ * runs this before publishing. Run it locally to search with indexes in development.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { createRequire } from 'module';
+import vm from 'vm';
+
+const require = createRequire(import.meta.url);
+const { BibleSearch } = require('../search/bible-search.js');
+
+const ROOT_DIR = process.cwd();
+const VERSIONS_FILE = join(ROOT_DIR, 'scripts/config/versions.js');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    versionId: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--version-id':
+        options.versionId = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        printUsage();
+        process.exit(0);
+      default:
+        throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print usage information
+ */
+function printUsage() {
+  console.log(`
+Search Index Builder
+
+Usage:
+  node build-search-index.mjs [--version-id <id>]
+
+Options:
+  --version-id   Only build the index for this version (default: all versions)
+  --help, -h     Show this help message
+
+Run from the repository root. Writes search-index.json into each version's dataPath.
+`);
+}
+
+/**
+ * Load the bibleVersions registry from scripts/config/versions.js
+ * (a browser script, so it is evaluated in a sandbox rather than imported)
+ */
+function loadVersions() {
+  const source = readFileSync(VERSIONS_FILE, 'utf-8');
+  const context = { window: {}, localStorage: { getItem: () => null, setItem: () => {} } };
+  vm.runInNewContext(source + '\nthis.bibleVersions = bibleVersions;', context);
+  return context.bibleVersions;
+}
+
+/**
+ * Build and write the index for one data directory
+ */
+function buildVersionIndex(version) {
+  const dataDir = join(ROOT_DIR, version.dataPath);
+  const booksPath = join(dataDir, version.booksFile || 'books.json');
+
+  if (!existsSync(booksPath)) {
+    console.warn(`⚠️  ${version.id}: ${booksPath} not found, skipping`);
+    return false;
+  }
+
+  const { books } = JSON.parse(readFileSync(booksPath, 'utf-8'));
+  let missing = 0;
+
+  const index = BibleSearch.buildIndex(books, book => {
+    const bookPath = join(dataDir, book.filename);
+    if (!existsSync(bookPath)) {
+      missing++;
+      return null;
+    }
+    return JSON.parse(readFileSync(bookPath, 'utf-8'));
+  }, version.language);
+
+  const outPath = join(dataDir, BibleSearch.INDEX_FILENAME);
+  const output = JSON.stringify(index);
+  writeFileSync(outPath, output);
+
+  const sizeKB = (Buffer.byteLength(output) / 1024).toFixed(0);
+  const termCount = Object.keys(index.terms).length;
+  console.log(`✓ ${version.id}: ${termCount} terms, ${sizeKB} KB → ${version.dataPath}${BibleSearch.INDEX_FILENAME}`);
+  if (missing > 0) {
+    console.warn(`  ⚠️  ${missing} book file(s) missing`);
+  }
+  return true;
+}
+
+/**
+ * Main build function
+ */
+function main() {
+  try {
+    const options = parseArgs();
+    const versions = loadVersions();
+
+    let targets = Object.values(versions);
+    if (options.versionId) {
+      targets = targets.filter(version => version.id === options.versionId);
+      if (targets.length === 0) {
+        throw new Error(`Unknown version: ${options.versionId}`);
+      }
+    }
+
+    console.log('🔎 Building search indexes...\n');
+
+    // Several version ids can share a dataPath; index each directory once
+    const seenPaths = new Set();
+    let built = 0;
+    targets.forEach(version => {
+      if (seenPaths.has(version.dataPath)) return;
+      seenPaths.add(version.dataPath);
+      if (buildVersionIndex(version)) built++;
+    });
+
+    console.log(`\n✅ Built ${built} index file(s)`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * Plan File Round-Trip Check
+ *
+ * Builds the schedule of every built-in reading plan, exports it with
+ * BiblePlans.toPlanFile() and imports the file again with
+ * BiblePlans.parsePlanFile(). Every day must come back with the same readings,
+ * so a shared plan file always describes the plan it was exported from.
+ *
+ * The plan templates, reading order datasets (data/plans/) and engine are the
+ * app's own (scripts/storage/reading-plans.js, scripts/plans/plan-engine.js).
+ *
+ * Usage:
+ *   node scripts/tools/check-plan-files.mjs                # all built-in plans
+ *   node scripts/tools/check-plan-files.mjs \
+ *     --plan-id chronological-1-year                       # one plan
+ *
+ * Exits with status 1 if any day changes. Re-run after changing the plan engine,
+ * the reference parser or a reading order dataset.
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import vm from 'vm';
+
+const ROOT_DIR = process.cwd();
+const START_DATE = '2026-01-01';
+
+// Loaded in page order; bible-db.js runs on its localStorage fallback with no
+// stored plans, so getPlans() returns just the built-in templates
+const SCRIPTS = [
+  'scripts/search/reference-parser.js',
+  'scripts/plans/plan-engine.js',
+  'scripts/storage/bible-db.js',
+  'scripts/storage/reading-plans.js'
+];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    planId: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--plan-id':
+        options.planId = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        printUsage();
+        process.exit(0);
+      default:
+        throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print usage information
+ */
+function printUsage() {
+  console.log(`
+Plan File Round-Trip Check
+
+Usage:
+  node check-plan-files.mjs [--plan-id <id>]
+
+Options:
+  --plan-id      Only check this built-in plan (default: all built-in plans)
+  --help, -h     Show this help message
+
+Run from the repository root. Exits with status 1 if an exported plan file
+doesn't import back to the same schedule.
+`);
+}
+
+/**
+ * Load the app's plan scripts into a sandbox
+ * @returns {Object} Sandbox with BiblePlans and BibleReading
+ */
+function loadScripts() {
+  const sandbox = { console: { log() {}, warn() {}, error: console.error } };
+  sandbox.window = sandbox;
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+
+  for (const file of SCRIPTS) {
+    vm.runInContext(readFileSync(join(ROOT_DIR, file), 'utf8'), sandbox, { filename: file });
+  }
+  return sandbox;
+}
+
+/**
+ * Schedule spec with { order } tracks replaced by their dataset's readings
+ * (as resolveScheduleSpec() in app.js does)
+ * @param {Object} BiblePlans
+ * @param {Object} spec - Template schedule spec
+ * @param {Array} books - Books array from books.json
+ * @returns {Object}
+ */
+function resolveScheduleSpec(BiblePlans, spec, books) {
+  const tracks = spec.tracks.map(track => {
+    if (!track.order) return track;
+    const data = JSON.parse(readFileSync(join(ROOT_DIR, 'data/plans', `${track.order}.json`), 'utf8'));
+    const result = BiblePlans.orderReadings(data, books);
+    if (result.error) throw new Error(`${track.order}.json: ${result.error}`);
+    return { readings: result.readings };
+  });
+  return Object.assign({}, spec, { tracks: tracks });
+}
+
+/**
+ * Export a plan, import the file and list the days that changed
+ * @param {Object} BiblePlans
+ * @param {Object} template - Built-in plan with a `schedule` spec
+ * @param {Array} books - Books array from books.json
+ * @returns {Object} { dayCount, problems: Array<string> }
+ */
+function checkPlan(BiblePlans, template, books) {
+  const spec = resolveScheduleSpec(BiblePlans, template.schedule, books);
+  const days = BiblePlans.buildSchedule(spec, books, START_DATE);
+  const plan = {
+    name: template.name,
+    config: { startDate: START_DATE, readingDays: template.schedule.readingDays || null, days: days }
+  };
+
+  // Through JSON text, as a downloaded file would be
+  const file = JSON.stringify(BiblePlans.toPlanFile(plan));
+  const result = BiblePlans.parsePlanFile(file, books);
+  if (result.error) {
+    return { dayCount: days.length, problems: [result.error] };
+  }
+
+  const problems = [];
+  if (result.plan.startDate !== START_DATE) {
+    problems.push(`startDate came back as ${result.plan.startDate}`);
+  }
+  if (result.plan.days.length !== days.length) {
+    problems.push(`${days.length} days came back as ${result.plan.days.length}`);
+  }
+  days.forEach((readings, index) => {
+    const imported = result.plan.days[index];
+    if (imported && JSON.stringify(imported) !== JSON.stringify(readings)) {
+      problems.push(`Day ${index + 1}: ${BiblePlans.formatReadings(readings)} came back as ${BiblePlans.formatReadings(imported)}`);
+    }
+  });
+  return { dayCount: days.length, problems: problems };
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const options = parseArgs();
+  const books = JSON.parse(readFileSync(join(ROOT_DIR, 'data/books.json'), 'utf8')).books;
+  const { BiblePlans, BibleReading } = loadScripts();
+
+  const templates = Object.values(await BibleReading.getPlans())
+    .filter(plan => plan.schedule)
+    .filter(plan => !options.planId || plan.id === options.planId);
+  if (templates.length === 0) {
+    throw new Error(`No built-in plan found: ${options.planId}`);
+  }
+
+  let failed = 0;
+  for (const template of templates) {
+    const { dayCount, problems } = checkPlan(BiblePlans, template, books);
+    if (problems.length === 0) {
+      console.log(`✓ ${template.id} (${dayCount} days)`);
+      continue;
+    }
+    failed++;
+    console.log(`✗ ${template.id} (${dayCount} days)`);
+    problems.forEach(problem => console.log(`  ${problem}`));
+  }
+
+  console.log(`\n${templates.length - failed}/${templates.length} plans round-trip unchanged`);
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Sync Test Server
+ *
+ * A local stand-in for a WebDAV folder or REST endpoint, for trying out
+ * Settings → Sync without a real server. Every path is one stored document
+ * (kept in memory, or in --data-dir so it survives restarts):
+ *
+ * - GET     -> 200 with the document and its ETag, or 404
+ * - PUT     -> stores the body; honours If-Match / If-None-Match (412 on mismatch)
+ * - DELETE  -> removes the document
+ * - OPTIONS -> CORS preflight (the app runs on another origin)
+ *
+ * Auth is optional: --token checks "Authorization: Bearer <token>" (REST),
+ * --user/--password check Basic auth (WebDAV).
+ *
+ * Usage:
+ *   node scripts/tools/sync-test-server.mjs                    # http://localhost:8787/
+ *   node scripts/tools/sync-test-server.mjs --port 9000 \
+ *     --user reader --password secret --data-dir /tmp/bible-sync
+ *
+ * Then set the sync URL to e.g. http://localhost:8787/bible-reader.json
+ */
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, unlinkSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    port: 8787,
+    token: null,
+    user: null,
+    password: '',
+    dataDir: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--port':
+        options.port = parseInt(args[++i], 10);
+        break;
+      case '--token':
+        options.token = args[++i];
+        break;
+      case '--user':
+        options.user = args[++i];
+        break;
+      case '--password':
+        options.password = args[++i];
+        break;
+      case '--data-dir':
+        options.dataDir = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        printUsage();
+        process.exit(0);
+      default:
+        throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print usage information
+ */
+function printUsage() {
+  console.log(`
+Sync Test Server
+
+Usage:
+  node sync-test-server.mjs [--port <port>] [--token <token>]
+                            [--user <name> --password <password>] [--data-dir <dir>]
+
+Options:
+  --port       Port to listen on (default: 8787)
+  --token      Require "Authorization: Bearer <token>"
+  --user       Require Basic auth with this user name (and --password)
+  --data-dir   Keep documents in this directory instead of memory
+  --help, -h   Show this help message
+`);
+}
+
+const options = parseArgs();
+const documents = new Map();
+
+if (options.dataDir && !existsSync(options.dataDir)) {
+  mkdirSync(options.dataDir, { recursive: true });
+}
+
+/**
+ * File for a document path when --data-dir is set
+ */
+function documentFile(path) {
+  return join(options.dataDir, encodeURIComponent(path));
+}
+
+/**
+ * Read a stored document (null if missing)
+ */
+function readDocument(path) {
+  if (!options.dataDir) return documents.get(path) || null;
+  const file = documentFile(path);
+  return existsSync(file) ? readFileSync(file, 'utf8') : null;
+}
+
+/**
+ * Store or remove a document
+ */
+function writeDocument(path, body) {
+  if (!options.dataDir) {
+    if (body === null) documents.delete(path);
+    else documents.set(path, body);
+    return;
+  }
+  const file = documentFile(path);
+  if (body === null) {
+    if (existsSync(file)) unlinkSync(file);
+  } else {
+    writeFileSync(file, body);
+  }
+}
+
+/**
+ * Strong ETag for a document body
+ */
+function etagOf(body) {
+  return `"${createHash('sha1').update(body).digest('hex')}"`;
+}
+
+/**
+ * Check the Authorization header against --token / --user
+ */
+function isAuthorized(req) {
+  const header = req.headers.authorization || '';
+  if (options.token && header !== `Bearer ${options.token}`) return false;
+  if (options.user) {
+    const expected = Buffer.from(`${options.user}:${options.password}`).toString('base64');
+    if (header !== `Basic ${expected}`) return false;
+  }
+  return true;
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag'
+};
+
+/**
+ * Send a response with CORS headers
+ */
+function send(res, status, body = '', headers = {}) {
+  res.writeHead(status, Object.assign({}, CORS_HEADERS, headers));
+  res.end(body);
+}
+
+const server = createServer((req, res) => {
+  const path = new URL(req.url, 'http://localhost').pathname;
+  console.log(`${req.method} ${path}`);
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+  if (!isAuthorized(req)) {
+    send(res, 401, 'Unauthorized', { 'WWW-Authenticate': 'Basic realm="bible-sync"' });
+    return;
+  }
+
+  const current = readDocument(path);
+
+  if (req.method === 'GET') {
+    if (current === null) {
+      send(res, 404, 'Not Found');
+    } else {
+      send(res, 200, current, { 'Content-Type': 'application/json', 'ETag': etagOf(current) });
+    }
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    writeDocument(path, null);
+    send(res, 204);
+    return;
+  }
+
+  if (req.method === 'PUT') {
+    const ifMatch = req.headers['if-match'];
+    const ifNoneMatch = req.headers['if-none-match'];
+    if ((ifMatch && (current === null || ifMatch !== etagOf(current))) ||
+        (ifNoneMatch === '*' && current !== null)) {
+      send(res, 412, 'Precondition Failed');
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      writeDocument(path, body);
+      send(res, current === null ? 201 : 204, '', { 'ETag': etagOf(body) });
+    });
+    return;
+  }
+
+  send(res, 405, 'Method Not Allowed', { 'Allow': 'GET, PUT, DELETE, OPTIONS' });
+});
+
+server.listen(options.port, () => {
+  console.log(`Sync test server listening on http://localhost:${options.port}/`);
+  console.log(options.dataDir ? `Documents kept in ${options.dataDir}` : 'Documents kept in memory');
+});
@@ -1,5 +1,5 @@
 // Cache version constant - increment this to bust the cache
-const CACHE_VERSION = "bible-pwa-v49";
+const CACHE_VERSION = "bible-pwa-v86";
 
 // Get the base path from the service worker's own location
 // e.g., if SW is at /bible-pwa/sw.js, base is /bible-pwa/
@@ -8,6 +8,13 @@ const BASE_PATH = SW_PATH.substring(0, SW_PATH.lastIndexOf('/') + 1);
 
 console.log('Service Worker base path:', BASE_PATH);
 
+// Storage and sync modules, for background sync (they expose self.BibleDB etc.)
+importScripts(
+  'scripts/storage/bible-db.js',
+  'scripts/storage/backup.js',
+  'scripts/storage/sync.js'
+);
+
 // WEB: 66 books + books.json = 67 files
 const PRECACHE_FILES = [
   `${BASE_PATH}data/books.json`,
@@ -363,6 +370,18 @@ const CUV_PRECACHE_FILES = [
   `${BASE_PATH}data/cuv/Zephaniah.json`
 ];
 
+// Search indexes of the precached versions. They are built at deploy time
+// (scripts/tools/build-search-index.mjs) rather than committed, so they're cached
+// best-effort: a checkout without them still installs, and search scans the books.
+// Other versions' indexes are cached on first use like their book files.
+const SEARCH_INDEX_FILES = [
+  `${BASE_PATH}data/search-index.json`,
+  `${BASE_PATH}data/kjv/search-index.json`,
+  `${BASE_PATH}data/krv/search-index.json`,
+  `${BASE_PATH}data/rvr/search-index.json`,
+  `${BASE_PATH}data/cuv/search-index.json`
+];
+
 // Main install handler that does the precaching
 self.addEventListener("install", (event) => {
   event.waitUntil(
@@ -376,7 +395,18 @@ self.addEventListener("install", (event) => {
         // Stylesheets and scripts
         `${BASE_PATH}styles/main.css`,
         `${BASE_PATH}scripts/config/versions.js`,
+        `${BASE_PATH}scripts/search/bible-search.js`,
+        `${BASE_PATH}scripts/search/search-query.js`,
+        `${BASE_PATH}scripts/search/reference-parser.js`,
+        `${BASE_PATH}scripts/search/search-worker.js`,
+        `${BASE_PATH}scripts/storage/bible-db.js`,
+        `${BASE_PATH}scripts/storage/backup.js`,
+        `${BASE_PATH}scripts/storage/reading-plans.js`,
+        `${BASE_PATH}scripts/storage/sync.js`,
+        `${BASE_PATH}scripts/plans/plan-engine.js`,
         `${BASE_PATH}scripts/app.js`,
+        // Reading order datasets for the built-in plans
+        `${BASE_PATH}data/plans/chronological.json`,
         // Icons (in assets/icons/)
         `${BASE_PATH}assets/icons/icon-72x72.png`,
         `${BASE_PATH}assets/icons/icon-96x96.png`,
@@ -406,7 +436,11 @@ self.addEventListener("install", (event) => {
         ...CUV_PRECACHE_FILES
       ];
 
-      return cache.addAll(allFiles);
+      return cache.addAll(allFiles).then(() => Promise.all(
+        SEARCH_INDEX_FILES.map((url) => cache.add(url).catch(() => {
+          console.warn('SW: search index not available, skipping:', url);
+        }))
+      ));
     }).then(() => {
       // Activate immediately without waiting for other tabs to close
       self.skipWaiting();
@@ -439,6 +473,14 @@ self.addEventListener("fetch", (event) => {
   const url = new URL(event.request.url);
   const pathname = url.pathname;
 
+  // Sync requests (other servers, uploads, cache: 'no-store') go straight to the
+  // network - a cached or synthetic 404 would look like an empty sync server
+  if (event.request.method !== 'GET' ||
+      url.origin !== self.location.origin ||
+      event.request.cache === 'no-store') {
+    return;
+  }
+
   // Determine request type
   const isNavigationRequest = event.request.mode === 'navigate' ||
                              pathname === BASE_PATH ||
@@ -466,6 +508,22 @@ self.addEventListener("fetch", (event) => {
   }
 });
 
+// Background sync: retry a sync that failed while offline once the browser is back online.
+// Rejecting waitUntil() lets the browser schedule another retry.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== BibleSync.SYNC_TAG) return;
+
+  event.waitUntil(
+    BibleSync.syncNow().then((result) => {
+      if (!result) return;
+      // Let open pages reload their user data
+      return self.clients.matchAll({ type: 'window' }).then((windows) => {
+        windows.forEach((client) => client.postMessage({ type: 'bible-sync-complete', result: result }));
+      });
+    })
+  );
+});
+
 /**
  * Network-first strategy for HTML shell (index.html, navigation)
  * Tries to fetch from network first for fresh content.
@@ -485,8 +543,8 @@ function networkFirstStrategy(request) {
     }
     return networkResponse;
   }).catch(() => {
-    // Network failed - try cache
-    return caches.match(request).then((cached) => {
+    // Network failed - try cache (ignoring ?ref= deep-link parameters)
+    return caches.match(request, { ignoreSearch: true }).then((cached) => {
       if (cached) return cached;
       // No network and no cache - offline response
       return new Response("Offline - please check your connection", {